@@ -95,7 +95,15 @@ module.exports = {
     }),
     // Makes environment variables available to the JS code, fallback to 'development'
     new webpack.DefinePlugin({
-      DEVELOPMENT: JSON.stringify(process.env.NODE_ENV === 'development')
+      DEVELOPMENT: JSON.stringify(process.env.NODE_ENV === 'development'),
+      // Base url of the REST api used by the SYNC driver (syncing is disabled if empty)
+      SYNC_URL: JSON.stringify(process.env.SYNC_URL || ''),
+      // Language the app starts in (ex. APP_LOCALE=de for a German build), the browser's language is used if empty
+      APP_LOCALE: JSON.stringify(process.env.APP_LOCALE || ''),
+      // Time-travel devtools panel for the app's actions and state (ex. DEVTOOLS=true npm start), see src/lib/devtools.js
+      DEVTOOLS: JSON.stringify(process.env.DEVTOOLS === 'true'),
+      // The service worker is only written by production builds (see configs/webpack.config.prod.js)
+      SERVICE_WORKER: JSON.stringify(false)
     }),
     // To be used for JSX support
     new webpack.ProvidePlugin({
@@ -76,11 +76,21 @@ module.exports = {
       template: 'public/index.html',
       inject: true,
       favicon: 'public/favicon.png',
-      hash: true
+      hash: true,
+      // Links the web app manifest, which scripts/build.js writes with the service worker
+      offline: true
     }),
     // Makes environment variables available to the JS code, fallback to 'production'
     new webpack.DefinePlugin({
-      PRODUCTION: JSON.stringify(process.env.NODE_ENV === 'production')
+      PRODUCTION: JSON.stringify(process.env.NODE_ENV === 'production'),
+      // Base url of the REST api used by the SYNC driver (syncing is disabled if empty)
+      SYNC_URL: JSON.stringify(process.env.SYNC_URL || ''),
+      // Language the app starts in (ex. APP_LOCALE=de for a German build), the browser's language is used if empty
+      APP_LOCALE: JSON.stringify(process.env.APP_LOCALE || ''),
+      // The devtools panel is only for dev builds (see configs/webpack.config.dev.js)
+      DEVTOOLS: JSON.stringify(false),
+      // Registers the service worker that scripts/build.js writes, so the app works offline
+      SERVICE_WORKER: JSON.stringify(true)
     }),
     // To be used for JSX support
     new webpack.ProvidePlugin({
@@ -88,5 +88,7 @@ module.exports = {
   // Enable HTTPS if the HTTPS environment variable is set to 'true'
   https: protocol === 'https',
   host: host,
-  overlay: false
+  overlay: false,
+  // Serve index.html for unknown paths so routes work in the router's 'history' mode (see src/routes.js)
+  historyApiFallback: true
 }
@@ -0,0 +1,122 @@
+'use strict'
+
+// Benchmark for the app with long todo lists
+//
+//   npm run benchmark
+//   npm run benchmark -- 2000 20000
+//
+// Generates lists of todos of each size (1000, 5000 and 10000 by default), runs the app on each one
+// with the mock drivers from src/test/mount.js, and reports how long it takes to render the list
+// and to react to some common interactions.
+//
+// Times are measured from the start of each step until the app's last render, so they include the
+// app's own delays (ex. actions run 10ms after the events that trigger them), but not the browser's
+// layout and painting.
+//
+// The mock drivers don't save anything, so for each step the values sent to the STORE and SYNC sinks
+// are counted, and the STORE values are serialised the way the localStorage driver does it. With long
+// lists, saving every todo again is usually what costs the most.
+
+require('babel-register')
+
+const chalk = require('chalk')
+const { mount } = require('../src/test/mount')
+const App = require('../src/app').default
+const { ROW_HEIGHT } = require('../src/lib/listWindow')
+const { encode, schemaFor } = require('../src/lib/storageSchema')
+const schemas = require('../src/schemas')
+
+const sizes = process.argv.slice(2).map(Number).filter(size => size > 0)
+const SIZES = sizes.length ? sizes : [1000, 5000, 10000]
+
+// every third todo is done, every tenth has subtasks, and a few have tags and due dates
+const generate = count => Array.from({ length: count }, (_, index) => {
+  const id = index + 1
+  return {
+    id,
+    title: `Todo number ${ id }`,
+    completed: id % 3 === 0,
+    tags: (id % 7 === 0) ? ['work'] : [],
+    due: (id % 11 === 0) ? '2030-01-01' : null,
+    priority: 'normal',
+    subtasks: (id % 10 === 0) ? [{ id: 1, title: 'First step', completed: true }, { id: 2, title: 'Second step', completed: false }] : [],
+  }
+})
+
+// how many quiet spells to wait for a step to render
+//  - with thousands of todos, the app can spend longer than a quiet spell working out its next render
+const MAX_SETTLES = 5
+
+// values sent to a sink so far
+const sent = (app, sink) => app.sent[sink] || []
+
+// how long it takes to serialise values sent to the STORE, like the localStorage driver does before saving them
+const serialise = writes => {
+  const start = Date.now()
+  writes.forEach(({ key, value }) => {
+    const schema = schemaFor(schemas, key)
+    JSON.stringify(schema ? encode(schema, value) : value)
+  })
+  return Date.now() - start
+}
+
+// run a step, and get
+//  - time: how long it took until the app rendered for the last time (or '-' if it didn't render)
+//  - stored and synced: how many values it sent to the STORE and SYNC sinks
+//  - saving: how long serialising the values sent to the STORE took
+const measure = (app, step) => {
+  const start    = Date.now()
+  const before   = { STORE: sent(app, 'STORE').length, SYNC: sent(app, 'SYNC').length }
+  const rendered = tries => app.settle().then(_ => {
+    if (app.renderedAt >= start) return app.renderedAt - start
+    return (tries > 1) ? rendered(tries - 1) : '-'
+  })
+  step()
+  return rendered(MAX_SETTLES).then(time => {
+    const writes = sent(app, 'STORE').slice(before.STORE)
+    return { time, stored: writes.length, synced: sent(app, 'SYNC').length - before.SYNC, saving: serialise(writes) }
+  })
+}
+
+// the interactions timed for each list, run in order on the same app
+const INTERACTIONS = [
+  ['toggle a todo',        app => app.simulate('.todo-2 .toggle', 'click', { target: { checked: true } })],
+  ['add a todo',           app => {
+                             app.simulate('.new-todo', 'input', { target: { value: 'One more thing' } })
+                             app.simulate('.new-todo', 'keydown', { key: 'Enter', keyCode: 13 })
+                           }],
+  ['scroll to the middle', app => app.simulate('.todo-list', 'scroll', { target: { scrollTop: ROW_HEIGHT * app.state.todos.length / 2, clientHeight: 600 } })],
+  ['show active todos',    app => app.emit('ROUTER', { name: 'visibility', params: { visibility: 'active' }, query: {} })],
+  ['show all todos',       app => app.emit('ROUTER', { name: 'home', params: {}, query: {} })],
+  ['clear completed',      app => app.simulate('.clear-completed', 'click')],
+]
+
+const pad = (text, width) => String(text).padEnd(width)
+
+const run = size => {
+  const todos = generate(size)
+  const rows  = []
+  const start = Date.now()
+  const app   = mount(App, { stored: { todos } })
+  return app.settle()
+    .then(_ => {
+      rows.push(['render the list', { time: app.renderedAt - start, stored: 0, synced: 0, saving: 0 }])
+      return INTERACTIONS.reduce((done, [name, step]) => done.then(_ => measure(app, _ => step(app)).then(result => rows.push([name, result]))), Promise.resolve())
+    })
+    .then(_ => {
+      app.dispose()
+      console.log(chalk.bold(`\n${ size } todos`) + chalk.gray(` (${ app.find('.todo-list li.todo').length } rendered)`))
+      console.log(chalk.gray(`  ${ pad('', 24) }${ pad('render', 10) }${ pad('saves', 7) }${ pad('syncs', 7) }serialising`))
+      rows.forEach(([name, { time, stored, synced, saving }]) => {
+        console.log(`  ${ pad(name, 24) }${ pad(`${ time }ms`, 10) }${ pad(stored, 7) }${ pad(synced, 7) }${ saving }ms`)
+      })
+    })
+}
+
+console.log(chalk.green('Benchmarking the app with long todo lists'))
+
+SIZES.reduce((done, size) => done.then(_ => run(size)), Promise.resolve())
+     .catch(e => {
+       console.log(chalk.red(e.stack || e))
+       process.exitCode = 1
+     })
@@ -38,6 +38,7 @@ const fs = require('fs-extra')
 const chalk = require('chalk')
 const webpack = require('webpack')
 const path = require('path')
+const offline = require('./utils/offline')
 
 const buildPath = path.join(process.cwd(), 'build')
 const publicPath = path.join(process.cwd(), 'public')
@@ -82,6 +83,15 @@ function copyPublicFolder () {
   })
 }
 
+// Add the icons, web app manifest and service worker that let the app be installed and used offline
+//  - this runs once webpack is done and the public folder is copied, so the service worker can list every file
+function writeOfflineFiles () {
+  const icons = offline.writeIcons(path.join(publicPath, 'favicon.png'), buildPath)
+  offline.writeManifest(buildPath, icons)
+  const { version, files } = offline.writeServiceWorker(buildPath)
+  console.log(`Service worker ${chalk.cyan(version)} caches ${files.length} files for offline use.`)
+}
+
 // Create the production build and print the deployment instructions.
 function build (previousFileSizes) {
   console.log('Creating an optimized production build...')
@@ -116,6 +126,13 @@ function build (previousFileSizes) {
     console.log(chalk.green('Compiled successfully.'))
     console.log()
 
+    try {
+      writeOfflineFiles()
+    } catch (err) {
+      printErrors('Failed to write the files for offline use.', [err])
+      process.exit(1)
+    }
+
     console.log()
   })
   // todo better output
@@ -0,0 +1,107 @@
+'use strict'
+
+// Simple in-memory REST server for testing the SYNC driver locally
+//
+//   npm run mock-server
+//
+// then start the app with the server's url:
+//
+//   SYNC_URL=http://localhost:3001 npm start
+//
+// Every collection (ex. /todos) supports:
+//   GET    /todos      list all items
+//   POST   /todos      create an item (the item's id is chosen by the client)
+//   PUT    /todos/:id  update an item (creates it if it doesn't exist)
+//   DELETE /todos/:id  delete an item
+//
+// Options (environment variables):
+//   MOCK_PORT   port to listen on (defaults to 3001)
+//   MOCK_DELAY  delay in milliseconds before responding (defaults to 0)
+//   MOCK_FAIL   fraction of requests that fail with a 500 error, ex. 0.2 (defaults to 0)
+
+const http = require('http')
+const chalk = require('chalk')
+
+const port = process.env.MOCK_PORT || 3001
+const delay = Number(process.env.MOCK_DELAY) || 0
+const failRate = Number(process.env.MOCK_FAIL) || 0
+
+// collections of items by name, each item is stored by id in insertion order
+const collections = {}
+
+const getCollection = name => {
+  if (!collections[name]) collections[name] = new Map()
+  return collections[name]
+}
+
+function send (res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  })
+  res.end(body === undefined ? '' : JSON.stringify(body))
+}
+
+function readBody (req) {
+  return new Promise((resolve, reject) => {
+    let data = ''
+    req.on('data', chunk => { data += chunk })
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : null)
+      } catch (e) {
+        reject(e)
+      }
+    })
+  })
+}
+
+// item ids are numbers in the app, but arrive as strings in the url
+const parseId = id => (/^\d+$/.test(id) ? Number(id) : decodeURIComponent(id))
+
+function handle (req, res) {
+  if (req.method === 'OPTIONS') return send(res, 204)
+  if (Math.random() < failRate) return send(res, 500, { error: 'Random failure (MOCK_FAIL)' })
+
+  const [name, rawId] = req.url.split('?')[0].split('/').filter(Boolean)
+  if (!name) return send(res, 200, Object.keys(collections))
+
+  const collection = getCollection(name)
+  const id = rawId !== undefined ? parseId(rawId) : undefined
+
+  if (req.method === 'GET' && id === undefined) return send(res, 200, Array.from(collection.values()))
+  if (req.method === 'GET') return collection.has(id) ? send(res, 200, collection.get(id)) : send(res, 404, { error: 'Not found' })
+
+  if (req.method === 'DELETE' && id !== undefined) {
+    if (!collection.has(id)) return send(res, 404, { error: 'Not found' })
+    collection.delete(id)
+    return send(res, 204)
+  }
+
+  if ((req.method === 'POST' && id === undefined) || (req.method === 'PUT' && id !== undefined)) {
+    return readBody(req).then(item => {
+      if (!item || typeof item !== 'object' || item.id === undefined) return send(res, 400, { error: 'Expecting an item with an id' })
+      if (id !== undefined && item.id !== id) return send(res, 400, { error: 'Item id does not match the url' })
+      const created = !collection.has(item.id)
+      collection.set(item.id, item)
+      send(res, created ? 201 : 200, item)
+    }, _ => send(res, 400, { error: 'Invalid JSON' }))
+  }
+
+  send(res, 405, { error: 'Method not allowed' })
+}
+
+const server = http.createServer((req, res) => {
+  setTimeout(() => {
+    console.log(chalk.gray(new Date().toISOString()), req.method, req.url)
+    handle(req, res)
+  }, delay)
+})
+
+server.listen(port, () => {
+  console.log(chalk.cyan(`Mock sync server running at http://localhost:${port}/`))
+  console.log()
+  console.log(`Start the app with ${chalk.cyan(`SYNC_URL=http://localhost:${port} npm start`)} to sync with it.`)
+})
@@ -0,0 +1,89 @@
+'use strict'
+
+// Files that let the production build be installed and used offline, written by scripts/build.js
+//
+//   - icons in a few sizes, made from public/favicon.png
+//   - manifest.json, the web app manifest browsers read to install the app (linked from public/index.html)
+//   - service-worker.js, made from ./service-worker.js with the list of files in the build and a version
+//     worked out from their contents, so every build that changes anything is a new version
+
+const fs = require('fs-extra')
+const path = require('path')
+const crypto = require('crypto')
+const png = require('./png')
+
+const SERVICE_WORKER = 'service-worker.js'
+const TEMPLATE = path.join(__dirname, 'service-worker.js')
+
+// sizes browsers look for when installing the app (and 180 for iOS home screens, see public/index.html)
+const ICON_SIZES = [180, 192, 512]
+
+// the app's name and colors (the light theme's colors from public/themes.css)
+const MANIFEST = {
+  name: 'Cycle.js • TodoMVC',
+  short_name: 'TodoMVC',
+  description: 'Keep track of your todos, even offline',
+  start_url: '.',
+  scope: '.',
+  display: 'standalone',
+  background_color: '#f5f5f5',
+  theme_color: '#af2f2f'
+}
+
+// files in the build that aren't needed offline (source maps are only loaded with the browser's devtools open)
+const skipped = file => file === SERVICE_WORKER || file.endsWith('.map') || path.basename(file).startsWith('.')
+
+// list every file inside a folder, with paths relative to it using '/' (ex. ['bundle.js', 'icons/icon-192.png'])
+function listFiles (dir, prefix = '') {
+  return fs.readdirSync(path.join(dir, prefix)).sort().reduce((files, name) => {
+    const file = prefix ? `${prefix}/${name}` : name
+    return fs.statSync(path.join(dir, file)).isDirectory() ? files.concat(listFiles(dir, file)) : files.concat(file)
+  }, [])
+}
+
+/**
+ * make the app's icons from an image
+ *
+ * @param {String} source path of the PNG image to make the icons from
+ * @param {String} buildPath folder of the build, the icons are written to its icons folder
+ * @return {Array} the icons like [{ src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' }, ...]
+ */
+function writeIcons (source, buildPath) {
+  const image = png.decode(fs.readFileSync(source))
+  return ICON_SIZES.map(size => {
+    const src = `icons/icon-${size}.png`
+    fs.outputFileSync(path.join(buildPath, src), png.encode(png.resize(image, size)))
+    return { src, sizes: `${size}x${size}`, type: 'image/png' }
+  })
+}
+
+/**
+ * write the web app manifest
+ *
+ * @param {String} buildPath folder of the build
+ * @param {Array} icons the icons to list (see writeIcons)
+ */
+function writeManifest (buildPath, icons) {
+  fs.writeFileSync(path.join(buildPath, 'manifest.json'), JSON.stringify(Object.assign({}, MANIFEST, { icons }), null, 2))
+}
+
+/**
+ * write the service worker, once everything else is in the build
+ *
+ * @param {String} buildPath folder of the build
+ * @return {Object} what was written like { version: '3f9a1c02b7', files: ['bundle.js', 'index.html', ...] }
+ */
+function writeServiceWorker (buildPath) {
+  const files = listFiles(buildPath).filter(file => !skipped(file))
+  const hash = crypto.createHash('sha256')
+  files.forEach(file => hash.update(file).update(fs.readFileSync(path.join(buildPath, file))))
+  const version = hash.digest('hex').slice(0, 10)
+
+  const worker = fs.readFileSync(TEMPLATE, 'utf8')
+                   .replace('__FILES__', JSON.stringify(files))
+                   .replace('__VERSION__', JSON.stringify(version))
+  fs.writeFileSync(path.join(buildPath, SERVICE_WORKER), worker)
+  return { version, files }
+}
+
+module.exports = { writeIcons, writeManifest, writeServiceWorker }
@@ -0,0 +1,172 @@
+'use strict'
+
+// Just enough PNG support to make the app's icons from public/favicon.png at build time
+//
+// Reads 8 bit RGB and RGBA images that aren't interlaced (like the favicon), resizes them,
+// and writes them back out as RGBA, without needing an image library.
+
+const zlib = require('zlib')
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+// bytes per pixel for the color types that can be read (2 is RGB, 6 is RGBA)
+const CHANNELS = { 2: 3, 6: 4 }
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1)
+  return c >>> 0
+})
+
+const crc32 = buffer => {
+  let crc = 0xffffffff
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// split a PNG file into its chunks, like [{ type: 'IHDR', data: <Buffer> }, ...]
+function readChunks (file) {
+  if (!file.slice(0, 8).equals(SIGNATURE)) throw new Error('not a PNG file')
+  const chunks = []
+  let offset = 8
+  while (offset < file.length) {
+    const length = file.readUInt32BE(offset)
+    const type = file.toString('ascii', offset + 4, offset + 8)
+    chunks.push({ type, data: file.slice(offset + 8, offset + 8 + length) })
+    offset += length + 12
+  }
+  return chunks
+}
+
+// undo the filter each row was saved with (see https://www.w3.org/TR/PNG/#9Filters)
+function unfilter (data, width, height, channels) {
+  const stride = width * channels
+  const pixels = Buffer.alloc(stride * height)
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)]
+    const row = data.slice(y * (stride + 1) + 1, (y + 1) * (stride + 1))
+    const out = y * stride
+    for (let x = 0; x < stride; x++) {
+      const left = (x >= channels) ? pixels[out + x - channels] : 0
+      const up = (y > 0) ? pixels[out + x - stride] : 0
+      const upLeft = (y > 0 && x >= channels) ? pixels[out + x - stride - channels] : 0
+      let predicted = 0
+      if (filter === 1) predicted = left
+      if (filter === 2) predicted = up
+      if (filter === 3) predicted = (left + up) >> 1
+      if (filter === 4) {
+        const p = left + up - upLeft
+        const pa = Math.abs(p - left)
+        const pb = Math.abs(p - up)
+        const pc = Math.abs(p - upLeft)
+        predicted = (pa <= pb && pa <= pc) ? left : (pb <= pc) ? up : upLeft
+      }
+      pixels[out + x] = (row[x] + predicted) & 0xff
+    }
+  }
+  return pixels
+}
+
+/**
+ * read a PNG image
+ *
+ * @param {Buffer} file contents of the PNG file
+ * @return {Object} the image like { width: 200, height: 200, pixels: <Buffer> }, with 4 bytes (RGBA) for each pixel
+ */
+function decode (file) {
+  const chunks = readChunks(file)
+  const header = chunks.find(chunk => chunk.type === 'IHDR').data
+  const width = header.readUInt32BE(0)
+  const height = header.readUInt32BE(4)
+  const bitDepth = header[8]
+  const colorType = header[9]
+  const interlaced = header[12] !== 0
+  const channels = CHANNELS[colorType]
+  if (bitDepth !== 8 || !channels || interlaced) throw new Error('only 8 bit RGB and RGBA images that aren\'t interlaced can be read')
+
+  const data = zlib.inflateSync(Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)))
+  const rgb = unfilter(data, width, height, channels)
+  if (channels === 4) return { width, height, pixels: rgb }
+
+  // add an opaque alpha channel to RGB images
+  const pixels = Buffer.alloc(width * height * 4, 0xff)
+  for (let i = 0; i < width * height; i++) rgb.copy(pixels, i * 4, i * 3, i * 3 + 3)
+  return { width, height, pixels }
+}
+
+/**
+ * resize an image by blending the 4 pixels nearest to each new pixel
+ *
+ * @param {Object} image image like { width: 200, height: 200, pixels: <Buffer> } (see decode)
+ * @param {Number} width width of the resized image
+ * @param {Number} height height of the resized image (the same as the width if not given)
+ * @return {Object} the resized image
+ *
+ * colors are weighted by their alpha while blending, so transparent pixels don't darken the edges of shapes
+ */
+function resize (image, width, height = width) {
+  const pixels = Buffer.alloc(width * height * 4)
+  const at = (x, y) => (Math.min(y, image.height - 1) * image.width + Math.min(x, image.width - 1)) * 4
+
+  for (let y = 0; y < height; y++) {
+    const sy = Math.max(0, (y + 0.5) * image.height / height - 0.5)
+    const y0 = Math.floor(sy)
+    const fy = sy - y0
+    for (let x = 0; x < width; x++) {
+      const sx = Math.max(0, (x + 0.5) * image.width / width - 0.5)
+      const x0 = Math.floor(sx)
+      const fx = sx - x0
+      const corners = [
+        [at(x0, y0), (1 - fx) * (1 - fy)],
+        [at(x0 + 1, y0), fx * (1 - fy)],
+        [at(x0, y0 + 1), (1 - fx) * fy],
+        [at(x0 + 1, y0 + 1), fx * fy]
+      ]
+      const alpha = corners.reduce((sum, [i, weight]) => sum + image.pixels[i + 3] * weight, 0)
+      const out = (y * width + x) * 4
+      for (let c = 0; c < 3; c++) {
+        const color = corners.reduce((sum, [i, weight]) => sum + image.pixels[i + c] * image.pixels[i + 3] * weight, 0)
+        pixels[out + c] = alpha ? Math.round(color / alpha) : 0
+      }
+      pixels[out + 3] = Math.round(alpha)
+    }
+  }
+  return { width, height, pixels }
+}
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4)
+  length.writeUInt32BE(data.length)
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data])
+  const crc = Buffer.alloc(4)
+  crc.writeUInt32BE(crc32(body))
+  return Buffer.concat([length, body, crc])
+}
+
+/**
+ * write an image as a PNG file
+ *
+ * @param {Object} image image like { width: 192, height: 192, pixels: <Buffer> } (see decode)
+ * @return {Buffer} contents of the PNG file, as 8 bit RGBA
+ */
+function encode ({ width, height, pixels }) {
+  const header = Buffer.alloc(13)
+  header.writeUInt32BE(width, 0)
+  header.writeUInt32BE(height, 4)
+  header[8] = 8
+  header[9] = 6
+
+  // every row is saved without a filter, deflate does well enough on icons
+  const stride = width * 4
+  const rows = Buffer.alloc((stride + 1) * height)
+  for (let y = 0; y < height; y++) pixels.copy(rows, y * (stride + 1) + 1, y * stride, (y + 1) * stride)
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ])
+}
+
+module.exports = { decode, resize, encode }
@@ -0,0 +1,54 @@
+// Service worker that keeps the app working offline
+//
+// This is a template: scripts/build.js fills in FILES and VERSION from the build (see ./offline.js)
+// and writes the result to build/service-worker.js. Every build with different files gets a different
+// VERSION, which makes the browser install the new worker next to the one in charge of the page.
+//
+//   - install:  every file of the build is downloaded into a cache named after the VERSION
+//   - activate: caches of older versions are deleted
+//   - fetch:    files of the build are served from the cache, and pages (ex. '/' or '/index.html?x=1') get the cached index.html,
+//               anything else (like the SYNC server) goes to the network as usual
+//   - message:  a new version waits until the app sends { type: 'SKIP_WAITING' }, so an open page doesn't get files
+//               from a different build (the app asks after the user chose to reload, see src/lib/serviceWorkerDriver.js)
+
+const FILES = __FILES__
+const VERSION = __VERSION__
+
+const PREFIX = 'todomvc-'
+const CACHE = PREFIX + VERSION
+
+// files are listed relative to the build, which may not be served from the root of the site
+const toUrl = file => new URL(file, self.registration.scope).href
+const INDEX = toUrl('index.html')
+
+self.addEventListener('install', event => {
+  // skip the browser's HTTP cache, so an older copy of a file doesn't end up in the new version
+  const download = cache => Promise.all(FILES.map(file => fetch(new Request(toUrl(file), { cache: 'reload' })).then(response => {
+    if (!response.ok) throw new Error(`couldn't download ${ file } (${ response.status })`)
+    return cache.put(toUrl(file), response)
+  })))
+
+  event.waitUntil(caches.open(CACHE).then(download))
+})
+
+self.addEventListener('activate', event => {
+  const old = name => name.startsWith(PREFIX) && name !== CACHE
+  event.waitUntil(caches.keys().then(names => Promise.all(names.filter(old).map(name => caches.delete(name))))
+                                .then(_ => self.clients.claim()))
+})
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting()
+})
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return
+
+  // index.html is loaded with a hash of the bundle in the query (ex. bundle.js?8f2c...), the cached file is the same one
+  const cached = (request.mode === 'navigate') ? caches.match(INDEX, { cacheName: CACHE })
+                                               : caches.match(request, { cacheName: CACHE, ignoreSearch: true })
+
+  // fall back to the network for files that aren't part of the build (or if the cache was cleared)
+  event.respondWith(cached.then(response => response || fetch(request)))
+})
@@ -0,0 +1,59 @@
+import assert from 'assert'
+import { render } from './test/mount'
+import { audit } from './test/audit'
+
+// accessibility checks for the whole app in the states users see most
+//  - see ./test/audit.js for the rules, problems are listed like 'button-name: button.destroy' when a check fails
+
+
+
+const todos = [
+  { id: 1, title: 'Buy milk', completed: false, tags: ['shopping'], due: '2017-10-20T17:00', subtasks: [] },
+  { id: 2, title: 'Plan trip', completed: false, tags: [], due: null, subtasks: [
+    { id: 1, title: 'Book flights', completed: true },
+    { id: 2, title: 'Book hotel', completed: false },
+  ] },
+  { id: 3, title: 'Call mum', completed: true, tags: ['family'], due: null, subtasks: [] },
+]
+
+const lists = [{ id: 'work', name: 'Work' }]
+
+// render the app and check it, showing every problem found if there are any
+const check = options => render(options).then(vtree => {
+  assert.ok(vtree, 'nothing was rendered')
+  const problems = audit(vtree).map(({ rule, node }) => `${ rule }: ${ node }`)
+  assert.deepEqual(problems, [])
+})
+
+describe('accessibility', function () {
+
+  it('has no problems with an empty list', () => check())
+
+  it('has no problems with todos, subtasks, and tags', () => check({ stored: { todos, lists } }))
+
+  it('has no problems on a filtered page', () => check({ stored: { todos }, route: { name: 'visibility', params: { visibility: 'active' }, query: { tag: 'shopping' } } }))
+
+  it('has no problems when a search has no matches', () => check({ stored: { todos }, route: { name: 'home', params: {}, query: { q: 'nothing like this' } } }))
+
+  it('has no problems while selecting todos', () => check({ stored: { todos }, state: { selecting: true } }))
+
+  it('has no problems with the keyboard shortcuts open', () => check({ stored: { todos }, state: { showHelp: true } }))
+
+  it('has no problems in other languages', () => check({ stored: { todos, lists }, locale: 'ar', state: { showHelp: true } }))
+
+  it('has no problems with an announcement', () => check({ stored: { todos }, state: { announcement: 'Todo added', announcements: 1 } }))
+
+  it('has a live region for announcements', () => render({ stored: { todos }, state: { announcement: '3 items cleared', announcements: 1 } }).then(vtree => {
+    const find = vnode => {
+      if (!vnode || !vnode.sel) return undefined
+      const { attrs={} } = vnode.data || {}
+      if (attrs['aria-live']) return vnode
+      return (vnode.children || []).map(find).find(Boolean)
+    }
+    const region = find(vtree)
+    assert.ok(region, 'no live region')
+    assert.equal(region.data.attrs['aria-live'], 'polite')
+    assert.ok(JSON.stringify(region).includes('3 items cleared'))
+  }))
+
+})
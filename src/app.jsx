@@ -1,8 +1,31 @@
 import xs from 'xstream'
 import sampleCombine from 'xstream/extra/sampleCombine'
-import { inputEvents, newId, classes } from './lib/utils'
-import { component } from 'cyclejs-component'
+import dropRepeats from 'xstream/extra/dropRepeats'
+import debounce from 'xstream/extra/debounce'
+import isolate from '@cycle/isolate'
+import { inputEvents, newId, classes, parseTitle, moveItem, memoizeLast } from './lib/utils'
+import { snapshot, sameSnapshot, isSettling, initHistory, record, rebase, undo, redo } from './lib/history'
+import { mergeTodos } from './lib/merge'
+import { component } from './lib/component'
 import todos from './components/todos'
+import lists from './components/lists'
+import selection from './components/selection'
+import help from './components/help'
+import transfer from './components/transfer'
+import { listHref, listRoute, parseListRoute } from './routes'
+import { DEFAULT_LIST, storageKey, hasList } from './lib/lists'
+import { dueFlags, reminderTime, formatDue } from './lib/dates'
+import { firstDue, nextOccurrence } from './lib/recurrence'
+import { SORT_MODES, DEFAULT_SORT, sortTodos } from './lib/sort'
+import { setCompleted, clearCompleted, indent, outdent } from './lib/subtasks'
+import { countTodos } from './lib/counts'
+import { isPicked, withoutSelection } from './lib/selection'
+import { announce } from './lib/announce'
+import { INITIAL_WINDOW, windowFor, revealRow, sliceWindow, mergeWindow } from './lib/listWindow'
+import { isFileDrag } from './lib/transfer'
+import { commandFor } from './keymap'
+import { LOCALES, DEFAULT_LOCALE, translate, translateParts } from './locales'
+import { THEMES, DEFAULT_THEME } from './themes'
 
 
 
@@ -10,9 +33,199 @@ import todos from './components/todos'
 const FILTER_LIST = {
   all:       todo => true,
   active:    todo => !todo.completed,
-  completed: todo => todo.completed
+  completed: todo => todo.completed,
+  today:     todo => !todo.completed && dueFlags(todo.due).dueToday,
+  overdue:   todo => !todo.completed && dueFlags(todo.due).overdue,
 }
 
+// how long to wait after the last key press before searching (in milliseconds)
+const SEARCH_DELAY = 200
+
+// get the tag to filter by from a route
+//  - either the '/tag/:name' route, or a 'tag' query parameter on any other route (ex. '#/active?tag=work')
+//  - tags are kept in lower case, so urls typed with capitals (ex. '#/tag/Work') still find them
+const routeTag = route => ((route.name === 'tag') ? route.params.name : (route.query.tag || '')).toLowerCase()
+
+// get the search query from a route's 'q' query parameter
+const routeSearch = route => (route.query.q || '').trim()
+
+// get the sort mode from a route's 'sort' query parameter (ex. '#/active?sort=due'), or '' if it doesn't have a valid one
+const routeSort = route => SORT_MODES.includes(route.query.sort) ? route.query.sort : ''
+
+// get the order todos are shown in
+//  - a sort mode in the route is used over the one picked last time, so links to sorted pages can be shared
+const currentSort = state => routeSort(state.route) || state.savedSort
+
+// get the todos that are shown, in the order they're shown in
+//  - the last result is kept, since this is needed for every render and sorting a long list takes a while
+const sortShown  = memoizeLast((todos, sort, locale) => sortTodos(todos.filter(todo => !todo.hidden), sort, locale))
+const shownTodos = state => sortShown(state.todos, currentSort(state), state.locale)
+
+// build a filter function for todos matching a search query
+//  - searches titles, tags, and the titles of subtasks, ignoring case
+const searchFilter = search => {
+  const needle = search.toLowerCase()
+  const matches = text => text.toLowerCase().includes(needle)
+  return todo => !needle || matches(todo.title) || (todo.tags || []).some(matches) || (todo.subtasks || []).some(subtask => matches(subtask.title))
+}
+
+// build a filter function for the todos that should be shown for the current visibility and route
+//  - the 'todo' route only shows the single todo it links to
+//  - tag and search filters are combined with the visibility filter
+const makeFilter = ({ visibility, route }) => {
+  const filters = [FILTER_LIST[visibility]]
+  const tag = routeTag(route)
+  const search = routeSearch(route)
+  if (route.name === 'todo') filters.push(todo => String(todo.id) === route.params.id)
+  if (tag) filters.push(todo => (todo.tags || []).includes(tag))
+  if (search) filters.push(searchFilter(search))
+  return todo => filters.every(filter => filter(todo))
+}
+
+// set the flags used to display each todo
+//  - `hidden` based on the current visibility and route
+//  - `overdue` and `dueToday` based on the todo's due date
+//  - `list` so the todo can link to pages of the list it's in
+//  - `search` so the todo can highlight the parts of its title matching the search
+//  - `locale` so the todo is shown in the app's language
+//  - `sorted` so the todo can't be dragged while the list is shown in a different order than it's stored in
+//  - todos whose flags haven't changed are kept as they are, so only their TODO components render again
+//  - the list itself is kept if no todo changed (ex. on most ticks), so it isn't saved again
+const withViewFlags = (todos, state) => {
+  const filter = makeFilter(state)
+  const search = routeSearch(state.route)
+  const sorted = currentSort(state) !== DEFAULT_SORT
+  const flagged = todos.map(todo => {
+    const flags = { ...dueFlags(todo.due), hidden: !filter(todo), list: state.route.list, search, locale: state.locale, sorted }
+    return Object.keys(flags).every(flag => todo[flag] === flags[flag]) ? todo : { ...todo, ...flags }
+  })
+  return flagged.every((todo, index) => todo === todos[index]) ? todos : flagged
+}
+
+// merge todos changed somewhere else (another tab or the sync server) into the state
+//  - conflicts are resolved per todo id, and edits in progress are kept
+//  - changes to lists other than the one being shown are ignored, since they're loaded fresh when switching lists
+//  - the changes are merged into every step of the undo history too, so they aren't recorded as a step that can be undone here,
+//    and undoing or redoing steps made here keeps them
+const mergeChanges = (state, { list, value, previous }) => {
+  if (list !== state.list) return state
+  const merge = todos => mergeTodos(todos, value, previous)
+  return { ...state, todos: withViewFlags(merge(state.todos), state), history: rebase(state.history, merge) }
+}
+
+// check if a keydown event is an undo (Ctrl+Z) or redo (Ctrl+Shift+Z) shortcut
+//  - events from text fields are ignored so the browser's native undo still works while typing
+const isHistoryKey = e => (e.ctrlKey || e.metaKey) && e.keyCode === 90 && e.target.tagName !== 'INPUT'
+
+// check if a keydown event moves a todo up (Alt+Up) or down (Alt+Down)
+//  - events from the edit fields are ignored so the cursor keys still work while editing
+const isMoveKey = e => e.altKey && (e.keyCode === 38 || e.keyCode === 40) && !['text', 'date'].includes(e.target.type)
+
+// check if an event came from inside a todo in the list
+const isTodoEvent = e => !!(e.target.closest && e.target.closest('.todo-list li.todo'))
+
+// visibility shown by each of the SHOW_* keyboard commands (ex. SHOW_ACTIVE shows 'active')
+const FILTER_COMMANDS = Object.keys(FILTER_LIST).reduce((acc, visibility) => ({ ...acc, ['SHOW_' + visibility.toUpperCase()]: visibility }), {})
+
+// check if an event came from inside a subtask
+const isSubtaskEvent = e => !!(e.target.closest && e.target.closest('.todo-list li.subtask'))
+
+// check if a keydown event indents a todo (Alt+Right) or outdents a subtask (Alt+Left)
+const isIndentKey  = e => e.altKey && e.keyCode === 39 && !['text', 'date'].includes(e.target.type)
+const isOutdentKey = e => e.altKey && e.keyCode === 37 && !['text', 'date'].includes(e.target.type)
+
+// get the id of the todo an element belongs to
+const todoIdOf = el => Number(el.closest('li.todo').getAttribute('data-id'))
+
+// check if a click should change which todos are selected instead of its usual action
+//  - Shift+click selects a range of todos, and Ctrl+click (Cmd+click on a Mac) adds or removes a single todo
+//  - clicks on the todo's buttons, links and fields keep working as usual
+const isSelectClick = e => (e.shiftKey || e.ctrlKey || e.metaKey) && !e.target.closest('input, button, a')
+
+// get the ids of the subtask an element belongs to, and of its parent todo
+const subtaskIdsOf = el => ({ parentId: todoIdOf(el), id: Number(el.closest('li.subtask').getAttribute('data-id')) })
+
+// find what should get focus when the todo or subtask an element belongs to is removed
+//  - the next item in the list, or the previous one if it was the last
+//  - the parent todo once its last subtask is gone, or the new todo field once the last todo is gone
+const focusAfterRemoving = el => {
+  const subtask = el.closest('li.subtask')
+  const item    = subtask || el.closest('li.todo')
+  const sibling = item.nextElementSibling || item.previousElementSibling
+  if (subtask) {
+    const parent = '.todo-' + todoIdOf(el)
+    return sibling ? `${ parent } .subtask-${ sibling.getAttribute('data-id') } .toggle` : parent
+  }
+  return sibling ? '.todo-' + sibling.getAttribute('data-id') : '.new-todo'
+}
+
+// work out which todo a dragged todo is over, and whether it would be dropped before or after it
+//  - the top half of a todo drops before it, the bottom half after it
+const dropTargetOf = e => {
+  const rect = e.target.closest('li.todo').getBoundingClientRect()
+  return { targetId: todoIdOf(e.target), after: e.clientY > rect.top + rect.height / 2 }
+}
+
+// copy each todo after changing their order
+//  - the todo list is only rendered again when a TODO component's state changes, so moving todos
+//    without changing them would leave the list in the old order
+const reordered = todos => todos.map(todo => ({ ...todo }))
+
+// remove the flags used while dragging a todo
+const withoutDragFlags = todos => todos.map(({ dragging, dropPosition, ...todo }) => todo)
+
+// count the todos in the list, counting the remaining ones only for todos matching the search (see ./lib/counts)
+//  - the last counts are kept until the todos or the search change
+const countShown = memoizeLast((todos, search) => countTodos(todos, searchFilter(search)))
+const todoCounts = state => countShown(state.todos, routeSearch(state.route))
+
+// get the tags used in the list, in alphabetical order
+const tagsOf = memoizeLast(todos => [...todos.reduce((acc, todo) => {
+  (todo.tags || []).forEach(tag => acc.add(tag))
+  return acc
+}, new Set())].sort())
+
+// get the rows of the todo list to render, only the ones in view once the list is long (see ./lib/listWindow)
+const listWindow = state => sliceWindow(shownTodos(state), state.listWindow)
+
+// the TODO components only get the todos in their rows, and their changes are put back into the whole list
+//  - the same object is given while the rows are the same, so the todos aren't rendered again for nothing
+const rowsState = memoizeLast(todos => ({ todos }))
+const rowsLens  = {
+  get: state => rowsState(listWindow(state).rows),
+  set: (state, { todos }) => ({ ...state, todos: mergeWindow(state.todos, listWindow(state).rows, todos) }),
+}
+
+// the todo list, with only the STATE channel isolated so the APP still hears the events of each todo
+const todoList = isolate(todos, { STATE: rowsLens, '*': null })
+
+// the import and export controls see the todos, and the list and filters exported files are named after
+//  - they can change the todos, whether files are dragged over the app, and the import status, and announce imports
+//  - imported todos get the flags for the current filters, like todos loaded from storage
+const transferLens = {
+  get: state => ({
+    todos:         state.todos,
+    list:          state.list,
+    visibility:    state.visibility,
+    tag:           routeTag(state.route),
+    locale:        state.locale,
+    fileOver:      state.fileOver,
+    importStatus:  state.importStatus,
+    announcement:  state.announcement,
+    announcements: state.announcements,
+  }),
+  set: (state, { todos, fileOver, importStatus, announcement, announcements }) => ({
+    ...state,
+    todos: (todos === state.todos) ? todos : withViewFlags(todos, state),
+    fileOver,
+    importStatus,
+    announcement,
+    announcements,
+  }),
+}
+
+const transferControls = isolate(transfer, { STATE: transferLens })
+
 
 
 export default component({
@@ -20,81 +233,507 @@ export default component({
 
   initialState: {
     visibility: 'all',
-    todos: []
+    route: { name: 'home', params: {}, query: {}, list: DEFAULT_LIST },
+    // the list the todos belong to (only changes once the todos of a new list are loaded)
+    list: DEFAULT_LIST,
+    lists: [],
+    listsLoaded: false,
+    loaded: false,
+    syncStatus: '',
+    syncRevisions: {},
+    // whether a new version of the app is waiting for a reload (see ./lib/serviceWorkerDriver)
+    updateReady: false,
+    reminders: false,
+    // whether files are being dragged over the app, and the result of the last import (see ./components/transfer)
+    fileOver: false,
+    importStatus: '',
+    // whether the selection checkboxes are shown, and the todo a Shift+click selects from
+    selecting: false,
+    selectionAnchor: null,
+    // whether the keyboard shortcuts are shown (see ./components/help)
+    showHelp: false,
+    // the language the app is shown in (see ./locales), and its colors (see ./themes)
+    locale: DEFAULT_LOCALE,
+    theme: DEFAULT_THEME,
+    // the sort mode picked last time (see ./lib/sort), used for pages without one in their route
+    savedSort: DEFAULT_SORT,
+    // the last message for screen readers, and how many messages there have been
+    announcement: '',
+    announcements: 0,
+    // the rows of the todo list in view, once it's long enough to only render those (see ./lib/listWindow)
+    listWindow: INITIAL_WINDOW,
+    now: Date.now(),
+    todos: [],
+    history: initHistory()
   },
 
   calculated: {
-    total:     (state) => state.todos.length,
-    remaining: (state) => state.todos.filter(todo => !todo.completed).length,
-    completed: (state) => state.todos.filter(todo => todo.completed).length,
-    allDone:   (state) => state.todos.every(todo => todo.completed),
+    // todos with subtasks are counted by their subtasks (see ./lib/subtasks)
+    //  - the number of todos left only counts todos matching the search
+    //  - counts are only worked out again for the todos that changed (see ./lib/counts)
+    total:     (state) => todoCounts(state).total,
+    remaining: (state) => todoCounts(state).remaining,
+    completed: (state) => todoCounts(state).completed,
+    allDone:   (state) => todoCounts(state).completed === todoCounts(state).total,
+    canUndo:   (state) => state.history.past.length > 0,
+    canRedo:   (state) => state.history.future.length > 0,
+    tag:       (state) => routeTag(state.route),
+    search:    (state) => routeSearch(state.route),
+    sort:      (state) => currentSort(state),
+    selected:  (state) => state.todos.filter(isPicked).length,
+    allTags:   (state) => tagsOf(state.todos),
   },
 
-  children: { todos },
+  children: { todos: todoList, lists, selection, help, transfer: transferControls },
 
   model: {
-    VISIBILITY: (state, visibility) => ({
-      ...state,
-      visibility,
-      todos: state.todos.map(todo => ({ ...todo, hidden: !FILTER_LIST[visibility](todo) }))
-    }),
+    // update the visibility filter whenever the route changes
+    //  - routes for named lists (ex. '/list/work/active') are treated the same as the routes for the default list
+    VISIBILITY: (state, data, next) => {
+      const route = parseListRoute(data)
+      // send unknown routes and lists back to the home page
+      if (route.name === 'notfound' || (state.listsLoaded && !hasList(state.lists, route.list))) {
+        next('NAVIGATE', { name: 'home', replace: true })
+      }
+      const visibility = route.params.visibility || 'all'
+      return { ...state, visibility, route, todos: withViewFlags(state.todos, { ...state, visibility, route }) }
+    },
+
+    LISTS_FROM_STORE: (state, lists, next) => {
+      // leave lists that were deleted (or never existed)
+      if (!hasList(lists, state.route.list)) next('NAVIGATE', { name: 'home', replace: true })
+      return { ...state, lists, listsLoaded: true }
+    },
+
+    // loading from storage (on start up, or when switching lists) starts a fresh undo history
+    FROM_STORE: (state, { list, todos }) => ({ ...state, list, loaded: true, todos: withViewFlags(todos, state), history: initHistory(todos) }),
+
+    // merge todos written to storage by another tab
+    MERGE_FROM_STORE: mergeChanges,
+
+    // merge todos changed on the sync server
+    //  - the revision of the change is kept for each list so the SYNC driver knows which lists already include it
+    //  - changes the list already includes are skipped (the SYNC driver repeats the last change when switching lists)
+    FROM_SYNC: (state, change) => {
+      if (change.list !== state.list || change.revision <= (state.syncRevisions[change.list] || 0)) return state
+      return { ...mergeChanges(state, change), syncRevisions: { ...state.syncRevisions, [change.list]: change.revision } }
+    },
+
+    SYNC_STATUS: (state, syncStatus) => ({ ...state, syncStatus }),
+
+    // the OFFLINE driver saved the app for offline use, or downloaded a new version of it
+    //  - a new version isn't used until the page reloads, so the user is asked to reload (or can keep working and dismiss it)
+    OFFLINE_STATUS: (state, status) => {
+      if (status === 'ready') return announce(state, 'offline.ready')
+      return announce({ ...state, updateReady: true }, 'offline.updateReady')
+    },
+
+    RELOAD_APP: { OFFLINE: { type: 'RELOAD' } },
+
+    DISMISS_UPDATE: (state) => ({ ...state, updateReady: false }),
+
+    // search by updating the route's 'q' query parameter, which updates the filters through VISIBILITY
+    //  - the current history entry is replaced so every search doesn't need its own press of the back button
+    SEARCH: (state, query, next) => {
+      const search = query.trim()
+      if (search === state.search) return state
+      const { list, name, params, query: routeQuery } = state.route
+      next('NAVIGATE', { ...listRoute(list, name, params, { ...routeQuery, q: search }), replace: true })
+      return state
+    },
+
+    // update due date highlighting and send reminders for todos that came due since the last tick
+    TICK: (state, now, next) => {
+      if (state.reminders) {
+        state.todos.filter(todo => !todo.completed && todo.due)
+                   .filter(todo => reminderTime(todo.due) > state.now && reminderTime(todo.due) <= now)
+                   .forEach(todo => next('REMIND', todo))
+      }
+      return { ...state, now, todos: withViewFlags(state.todos, state) }
+    },
+
+    REMINDERS_FROM_STORE: (state, reminders) => ({ ...state, reminders }),
+
+    TOGGLE_REMINDERS: (state, data, next) => {
+      const reminders = !state.reminders
+      // ask for permission to show notifications when reminders are turned on
+      if (reminders) next('REQUEST_NOTIFY_PERMISSION')
+      next('SAVE_REMINDERS', reminders)
+      return { ...state, reminders }
+    },
+
+    REQUEST_NOTIFY_PERMISSION: { NOTIFY: { type: 'REQUEST_PERMISSION' } },
+
+    REMIND: { NOTIFY: (state, todo) => ({ type: 'NOTIFY', data: { title: todo.title, body: translate(state.locale, 'due.reminder', { due: formatDue(todo.due, undefined, state.locale) }), tag: 'todo-' + todo.id } }) },
+
+    SAVE_REMINDERS: { STORE: (state, reminders) => ({ key: 'reminders', value: reminders }) },
+
+    // the LOCALE driver switched languages (on start up, or after CHANGE_LOCALE)
+    //  - todos show their own labels, so they need the new language too
+    SET_LOCALE: (state, locale) => {
+      if (locale === state.locale) return state
+      const next = { ...state, locale }
+      return { ...next, todos: withViewFlags(state.todos, next) }
+    },
+
+    // switch languages with the language picker, and remember the choice for next time
+    CHANGE_LOCALE: {
+      LOCALE: (state, locale) => locale,
+      STORE:  (state, locale) => ({ key: 'locale', value: locale })
+    },
+
+    LOCALE_FROM_STORE: { LOCALE: (state, locale) => locale },
+
+    // show the theme picked last time
+    THEME_FROM_STORE: (state, theme, next) => {
+      next('APPLY_THEME', theme)
+      return { ...state, theme }
+    },
 
-    FROM_STORE: (state, data) => ({ ...state, todos: data }),
+    // switch themes with the theme picker in the footer, and remember the choice for next time
+    CHANGE_THEME: (state, theme, next) => {
+      next('APPLY_THEME', theme)
+      next('SAVE_THEME', theme)
+      return { ...state, theme }
+    },
+
+    APPLY_THEME: { THEME: (state, theme) => theme },
+
+    SAVE_THEME: { STORE: (state, theme) => ({ key: 'theme', value: theme }) },
+
+    // show todos in the sort mode picked last time
+    SORT_FROM_STORE: (state, savedSort) => {
+      const next = { ...state, savedSort }
+      return { ...next, todos: withViewFlags(state.todos, next) }
+    },
+
+    // sort todos with the sort picker in the footer by updating the route's 'sort' query parameter,
+    // and remember the choice for pages without one
+    //  - the default sort mode isn't added to the route, so the urls of unsorted pages don't change
+    CHANGE_SORT: (state, sort, next) => {
+      const { list, name, params, query } = state.route
+      next('NAVIGATE', { ...listRoute(list, name, params, { ...query, sort: (sort === DEFAULT_SORT) ? '' : sort }), replace: true })
+      next('SAVE_SORT', sort)
+      const changed = { ...state, savedSort: sort }
+      return { ...changed, todos: withViewFlags(state.todos, changed) }
+    },
+
+    SAVE_SORT: { STORE: (state, sort) => ({ key: 'sort', value: sort }) },
+
+    // add the current todos as a new step in the undo history
+    RECORD_HISTORY: (state) => ({ ...state, history: record(state.history, state.todos) }),
+
+    UNDO: (state) => {
+      const history = undo(state.history)
+      if (history === state.history) return state
+      return announce({ ...state, history, todos: withViewFlags(history.present, state) }, 'announce.undone')
+    },
+
+    REDO: (state) => {
+      const history = redo(state.history)
+      if (history === state.history) return state
+      return announce({ ...state, history, todos: withViewFlags(history.present, state) }, 'announce.redone')
+    },
 
     NEW_TODO: (state, data, next) => {
       // calculate next id
       const nextId = newId(state.todos)
 
+      // split any #hashtags, due date, recurrence rule and priority marker out of the title
+      //  - recurring todos without a due date are due on the first day their rule repeats on
+      const { title, tags, due: typedDue, repeat, priority } = parseTitle(data)
+      const due = typedDue || (repeat ? firstDue(repeat) : null)
+
       // send a new action to clear the new todo field
       next('CLEAR_FORM')
 
       // add the new todo to the state
-      return {
+      return announce({
         ...state,
         todos: [
           ...state.todos,
           {
             id: nextId,
-            title: data,
+            title,
+            tags,
+            due,
+            ...dueFlags(due),
+            repeat,
+            priority,
+            list: state.list,
+            locale: state.locale,
+            subtasks: [],
             completed: false
           }
         ]
-      }
+      }, 'announce.added')
+    },
+
+    // add the next occurrence of recurring todos that were just completed (see TOGGLE in ./components/todos)
+    //  - the next occurrence goes just after the completed todo, and takes over its recurrence rule
+    //    so reopening and completing the old todo again doesn't add another one
+    REPEAT_TODOS: (state) => {
+      const { todos, added } = state.todos.reduce((acc, todo) => {
+        if (!todo.repeatPending) return { ...acc, todos: [...acc.todos, todo] }
+        const { repeatPending, ...completed } = todo
+        const next = { ...nextOccurrence(todo), id: newId([...state.todos, ...acc.added]) }
+        return { todos: [...acc.todos, { ...completed, repeat: null }, next], added: [...acc.added, next] }
+      }, { todos: [], added: [] })
+      if (added.length === 0) return state
+      return announce({ ...state, todos: withViewFlags(todos, state) }, 'announce.repeated', { due: formatDue(added[0].due, undefined, state.locale) })
     },
 
     TOGGLE_ALL: (state) => {
-      const allDone = state.todos.every(todo => todo.completed)
-      const todos   = state.todos.map(todo => ({ ...todo, completed: !allDone }))
-      return {...state, todos }
+      const todos = state.todos.map(todo => setCompleted(todo, !state.allDone))
+      return announce({ ...state, todos }, state.allDone ? 'announce.allActive' : 'announce.allCompleted')
     },
 
+    // completed subtasks are cleared from todos that still have something left to do
     CLEAR_COMPLETED: (state) => {
-      const todos = state.todos.filter(todo => !todo.completed)
+      const todos = clearCompleted(state.todos)
+      return announce({ ...state, todos }, 'announce.cleared', { count: state.completed })
+    },
+
+    // make a todo a subtask of the visible todo above it
+    INDENT_TODO: (state, id, next) => {
+      const visible = shownTodos(state)
+      const index   = visible.findIndex(todo => todo.id === id)
+      if (index < 1) return state
+      const parentId = visible[index - 1].id
+      const indented = indent(state.todos, id, parentId)
+      next('FOCUS_TODO', { selector: `.todo-${ parentId } .subtask-${ indented.id } .toggle` })
+      return announce({ ...state, todos: withViewFlags(indented.todos, state) }, 'announce.indented')
+    },
+
+    // turn a subtask back into a todo, just below its parent
+    OUTDENT_SUBTASK: (state, { parentId, id }, next) => {
+      const outdented = outdent(state.todos, parentId, id)
+      if (outdented.todos === state.todos) return state
+      next('FOCUS_TODO', { selector: `.todo-${ outdented.id } .toggle` })
+      return announce({ ...state, todos: withViewFlags(outdented.todos, state) }, 'announce.outdented')
+    },
+
+    // reorder todos by dragging and dropping
+    //  - DRAG_START marks the dragged todo, and DRAG_OVER marks where it would be dropped
+    //  - todos hidden by the current filter keep their place relative to the todos around them
+    DRAG_START: (state, id) => ({ ...state, todos: state.todos.map(todo => (todo.id === id) ? { ...todo, dragging: true } : todo) }),
+
+    DRAG_OVER: (state, { targetId, after }) => {
+      const dragged  = state.todos.find(todo => todo.dragging)
+      const target   = state.todos.find(todo => todo.id === targetId)
+      const position = (!dragged || dragged.id === targetId) ? undefined : (after ? 'after' : 'before')
+      // skip updating the state while the drop position hasn't changed
+      if (!target || target.dropPosition === position) return state
+      const todos = state.todos.map(todo => ({ ...todo, dropPosition: (todo.id === targetId) ? position : undefined }))
       return { ...state, todos }
     },
 
+    DROP: (state, { targetId, after }) => {
+      const dragged = state.todos.find(todo => todo.dragging)
+      const todos   = withoutDragFlags(state.todos)
+      if (!dragged) return { ...state, todos }
+      return { ...state, todos: reordered(moveItem(todos, dragged.id, targetId, after)) }
+    },
+
+    // the drag was cancelled (or has already been dropped)
+    DRAG_END: (state) => {
+      if (!state.todos.some(todo => todo.dragging || todo.dropPosition)) return state
+      return { ...state, todos: withoutDragFlags(state.todos) }
+    },
+
+    // move a todo past the next todo above or below it (Alt+Up / Alt+Down)
+    //  - todos hidden by the current filter are skipped so the todo always visibly moves
+    //  - todos can't be moved while the list is sorted, since they wouldn't visibly move either
+    MOVE_TODO: (state, { id, offset }, next) => {
+      if (state.sort !== DEFAULT_SORT) return state
+      const visible = state.todos.filter(todo => !todo.hidden)
+      const index   = visible.findIndex(todo => todo.id === id)
+      const target  = visible[index + offset]
+      if (index === -1 || !target) return state
+      // keep focus on the moved todo
+      next('FOCUS_TODO', { selector: '.todo-' + id + ' .toggle' })
+      return announce({ ...state, todos: reordered(moveItem(state.todos, id, target.id, offset > 0)) }, 'announce.moved', { direction: (offset > 0) ? 'down' : 'up' })
+    },
+
+    FOCUS_TODO: { DOMFX: (state, data) => ({ type: 'FOCUS', data }) },
+
+    // announce changes made by the TODO and SUBTASK components
+    ANNOUNCE: (state, { id, values }) => announce(state, id, values),
+
+    // a todo or subtask is being deleted, so move focus to the one after it (see the intent)
+    AFTER_DESTROY: (state, { selector, id, values }, next) => {
+      next('FOCUS_TODO', { selector })
+      return announce(state, id, values)
+    },
+
+    // keyboard shortcuts (see ./keymap)
+    //  - the cursor is the focused todo, moving it starts from the first or last shown todo if no todo is focused
+    MOVE_CURSOR: (state, { from, offset }, next) => {
+      const visible = shownTodos(state)
+      if (visible.length === 0) return state
+      const index  = visible.findIndex(todo => todo.id === from)
+      const target = (index === -1) ? visible[(offset > 0) ? 0 : visible.length - 1]
+                                    : visible[Math.max(0, Math.min(visible.length - 1, index + offset))]
+      next('FOCUS_TODO', { selector: '.todo-' + target.id })
+      // render the todo if it's out of view in a long list, focusing it then scrolls the list to it
+      const listWindow = revealRow(state.listWindow, visible.indexOf(target))
+      return (listWindow === state.listWindow) ? state : { ...state, listWindow }
+    },
+
+    // render the rows scrolled into view in a long list (see ./lib/listWindow)
+    SCROLL_LIST: (state, scroll) => {
+      const listWindow = windowFor(scroll)
+      if (listWindow.start === state.listWindow.start && listWindow.size === state.listWindow.size) return state
+      return { ...state, listWindow }
+    },
+
+    // switch filters without losing the tag, search or sort
+    SHOW_FILTER: { ROUTER: (state, visibility) => listRoute(state.route.list, 'visibility', { visibility }, { tag: routeTag(state.route), q: routeSearch(state.route), sort: routeSort(state.route) }) },
+
+    FOCUS_NEW_TODO: { DOMFX: { type: 'FOCUS', data: { selector: '.new-todo' } } },
+
+    // select todos for the bulk actions (see ./components/selection)
+    //  - selecting a range selects every shown todo between the last todo clicked and this one
+    //  - otherwise the todo is added to or removed from the selection
+    SELECT_TODO: (state, { id, range }) => {
+      const visible = shownTodos(state).map(todo => todo.id)
+      const from    = visible.indexOf(state.selectionAnchor)
+      const to      = visible.indexOf(id)
+      if (to === -1) return state
+      const ids = (range && from !== -1) ? visible.slice(Math.min(from, to), Math.max(from, to) + 1) : [id]
+      const selected = (range && from !== -1) || !state.todos.find(todo => todo.id === id).selected
+      const todos = state.todos.map(todo => ids.includes(todo.id) ? { ...todo, selected } : todo)
+      return { ...state, todos, selectionAnchor: id }
+    },
+
+    // show or hide the selection checkboxes (hiding them also clears the selection)
+    TOGGLE_SELECT_MODE: (state) => {
+      if (!state.selecting) return { ...state, selecting: true }
+      return { ...state, selecting: false, selectionAnchor: null, todos: withoutSelection(state.todos) }
+    },
+
     CLEAR_FORM: { DOMFX: ({ type: 'SET_VALUE', data: { selector: '.new-todo' } }) },
 
-    ADD_ROUTE: { ROUTER: true },
+    // show how many todos are left in the page's title, so it can be seen from other tabs
+    SET_TITLE: { DOMFX: (state, { count, locale }) => ({ type: 'SET_TITLE', data: { title: translate(locale, 'app.documentTitle', { count }) } }) },
+
+    NAVIGATE: { ROUTER: true },
 
-    TO_STORE: { STORE: (state, data) => {
-      // sanitize todo objects
-      const todos = state.todos.map(({ id, title, completed }) => ({ id, title, completed }))
-      return { key: 'todos', value: todos }
-    } },
+    // the intent sends the saved fields of the todos (see ./lib/history), and the list they belong to
+    TO_STORE: { STORE: (state, { list, todos }) => ({ key: storageKey(list), value: todos }) },
+
+    TO_SYNC: { SYNC: (state, { list, todos }) => ({ key: storageKey(list), value: todos, revision: state.syncRevisions[list] || 0 }) },
   },
 
-  intent: ({ STATE, DOM, ROUTER, STORE }) => {
+  intent: ({ STATE, DOM, ROUTER, STORE, SYNC, LOCALE, OFFLINE, CLOCK }) => {
+
+    // the list being shown
+    //  - remembered so every stream below gets the current list, not just the first one to subscribe
+    const list$            = ROUTER.map(route => parseListRoute(route).list).compose(dropRepeats()).remember()
 
-    // fetch stored todos from local storage
+    // fetch stored todos from local storage whenever a different list is shown
     //  - init to an empty array if no todos were found
     //  - only take the first event to prevent reloading after storing todos
-    const store$           = STORE.get('todos', [])
+    const store$           = list$.map(list => STORE.get(storageKey(list), []).map(todos => ({ list, todos }))).flatten()
+
+    // fetch the named lists, and any changes made to them in other tabs
+    const lists$           = xs.merge(STORE.get('lists', []), STORE.fromOtherTabs('lists', []).map(({ value }) => value))
+
+    // fetch whether reminders are turned on
+    const reminders$       = STORE.get('reminders', false)
+
+    // fetch the language picked last time (if there was one), and switch languages with the language picker
+    const storedLocale$    = STORE.get('locale', null).filter(Boolean)
+    const changeLocale$    = DOM.select('.language').events('change').map(e => e.target.value)
+
+    // fetch the theme picked last time (the THEME driver follows the system's setting until one is picked),
+    // and switch themes with the theme picker
+    const storedTheme$     = STORE.get('theme', null).filter(theme => THEMES.includes(theme))
+    const changeTheme$     = DOM.select('.theme').events('change').map(e => e.target.value)
+
+    // fetch the sort mode picked last time, and sort with the sort picker
+    const storedSort$      = STORE.get('sort', null).filter(sort => SORT_MODES.includes(sort))
+    const changeSort$      = DOM.select('.sort').events('change').map(e => e.target.value)
+
+    // todos of the list being shown that were saved by the app running in other tabs or windows
+    const otherTab$        = list$.map(list => STORE.fromOtherTabs(storageKey(list), []).map(change => ({ ...change, list }))).flatten()
+
+    // todos of the list being shown that changed on the sync server, and the status of the sync
+    const remote$          = list$.map(list => SYNC.remote(storageKey(list)).map(change => ({ ...change, list }))).flatten()
+    const syncStatus$      = SYNC.status()
+
+    // asking to use a new version of the app, or to keep working with this one
+    const reloadApp$       = DOM.select('.reload-app').events('click')
+    const dismissUpdate$   = DOM.select('.dismiss-update').events('click')
 
     const toggleAll$       = DOM.select('.toggle-all').events('click')
     const clearCompleted$  = DOM.select('.clear-completed').events('click')
+    const undoClick$       = DOM.select('.undo').events('click')
+    const redoClick$       = DOM.select('.redo').events('click')
+    const remindersClick$  = DOM.select('.reminders').events('click')
+    const historyKey$      = DOM.select('document').events('keydown').filter(isHistoryKey)
     const input$           = DOM.select('.new-todo')
 
+    // long lists scroll inside the todo list, which only renders the rows in view (see ./lib/listWindow)
+    // - 'scroll' events don't bubble, so the DOM driver listens for them while they're captured
+    const listScroll$      = DOM.select('.todo-list').events('scroll').map(e => ({ top: e.target.scrollTop, height: e.target.clientHeight }))
+
+    // search as the user types, waiting for a pause in typing so large lists aren't filtered on every key press
+    // - Escape clears the search
+    const searchInput$     = DOM.select('.search')
+    const search$          = xs.merge(
+                               searchInput$.events('input').map(e => e.target.value),
+                               searchInput$.events('keydown').filter(e => e.keyCode === 27).mapTo('')
+                             ).compose(debounce(SEARCH_DELAY))
+
+    // reorder todos by dragging them, or with Alt+Up / Alt+Down
+    // - the todos are isolated child components, so their events are picked up from the document
+    // - the default has to be prevented on 'dragover' for the browser to allow dropping
+    // - Firefox only starts a drag if some data is set
+    const dragEvents       = type => DOM.select('document').events(type).filter(e => isTodoEvent(e) && !isFileDrag(e))
+    const dragStart$       = dragEvents('dragstart').map(e => {
+                               const id = todoIdOf(e.target)
+                               if (e.dataTransfer) {
+                                 e.dataTransfer.effectAllowed = 'move'
+                                 e.dataTransfer.setData('text/plain', String(id))
+                               }
+                               return id
+                             })
+    const dragOver$        = dragEvents('dragover').map(e => e.preventDefault() || dropTargetOf(e))
+    const drop$            = dragEvents('drop').map(e => e.preventDefault() || dropTargetOf(e))
+    const dragEnd$         = dragEvents('dragend')
+    const moveKey$         = DOM.select('document').events('keydown')
+                                .filter(e => isTodoEvent(e) && !isSubtaskEvent(e) && isMoveKey(e))
+                                .map(e => {
+                                  e.preventDefault()
+                                  return { id: todoIdOf(e.target), offset: (e.keyCode === 38) ? -1 : 1 }
+                                })
+
+    // select todos with Shift+click or Ctrl+click, or with the checkboxes shown in selection mode
+    // - the default is prevented so Shift+click doesn't also select the todo's text
+    const selectTodo$      = DOM.select('document').events('click')
+                                .filter(e => isTodoEvent(e) && !isSubtaskEvent(e) && (e.target.matches('.select-todo') || isSelectClick(e)))
+                                .map(e => {
+                                  if (!e.target.matches('.select-todo')) e.preventDefault()
+                                  return { id: todoIdOf(e.target), range: e.shiftKey }
+                                })
+    const selectMode$      = DOM.select('.select-mode').events('click')
+
+    // keyboard shortcuts (see ./keymap)
+    // - the default is prevented so keys like '/' aren't also typed into the field they focus
+    // - TOGGLE, EDIT, PRIORITY and DESTROY are handled by the focused todo itself, and HELP by the help overlay (see ./components/help)
+    const command$         = DOM.select('document').events('keydown')
+                                .map(e => ({ e, command: commandFor(e) }))
+                                .filter(({ command }) => command && !['TOGGLE', 'EDIT', 'PRIORITY', 'DESTROY'].includes(command))
+                                .map(({ e, command }) => e.preventDefault() || { e, command })
+    const commandEvents    = name => command$.filter(({ command }) => command === name).map(({ e }) => e)
+    const moveCursor$      = xs.merge(
+                               commandEvents('CURSOR_DOWN').map(e => ({ e, offset: 1 })),
+                               commandEvents('CURSOR_UP').map(e => ({ e, offset: -1 }))
+                             ).map(({ e, offset }) => ({ from: isTodoEvent(e) ? todoIdOf(e.target) : null, offset }))
+    const showFilter$      = command$.filter(({ command }) => FILTER_COMMANDS[command]).map(({ command }) => FILTER_COMMANDS[command])
+    const focusNewTodo$    = commandEvents('FOCUS_NEW_TODO')
+
     // get events from the input field
     //  - the inputEvents helper returns common events and automatically returns the current value
     const { value$, enter$ } = inputEvents(input$)
@@ -107,63 +746,237 @@ export default component({
                            .map(([_, title]) => title.trim())
                            .filter(title => title !== '')
 
-    // add routes to handle filtering based on browser path
-    const route$ = xs.fromArray(Object.keys(FILTER_LIST))
-
-    // save todos to localStorage whenever the app state changes
-    // - ignore the first state event to prevent storing the initialization data
-    const toStore$ = STATE.stream.drop(1)
+    // indent todos into subtasks, and outdent them back out, with the buttons or Alt+Right / Alt+Left
+    const click$           = DOM.select('document').events('click')
+    const keydown$         = DOM.select('document').events('keydown')
+    const indent$          = xs.merge(
+                               click$.filter(e => isTodoEvent(e) && !isSubtaskEvent(e) && e.target.matches('.indent')),
+                               keydown$.filter(e => isTodoEvent(e) && !isSubtaskEvent(e) && isIndentKey(e)).map(e => e.preventDefault() || e)
+                             ).map(e => todoIdOf(e.target))
+    const outdent$         = xs.merge(
+                               click$.filter(e => isSubtaskEvent(e) && e.target.matches('.outdent')),
+                               keydown$.filter(e => isSubtaskEvent(e) && isOutdentKey(e)).map(e => e.preventDefault() || e)
+                             ).map(e => subtaskIdsOf(e.target))
+
+    // announce todos and subtasks being completed, reopened and deleted by the TODO and SUBTASK components
+    // - clicked checkboxes already have their new value, todos toggled from the keyboard still have the old one
+    // - when a todo is deleted, focus moves to the next one (or the previous one, or the new todo field for the last todo)
+    //   so it doesn't fall back to the page
+    const itemName         = e => isSubtaskEvent(e) ? 'step' : 'todo'
+    const todoKey          = name => keydown$.filter(e => e.target.matches('li.todo') && commandFor(e) === name)
+    const toggleMessage$   = xs.merge(
+                               click$.filter(e => isTodoEvent(e) && e.target.matches('.toggle')).map(e => ({ e, completed: e.target.checked })),
+                               todoKey('TOGGLE').map(e => ({ e, completed: !e.target.classList.contains('completed') }))
+                             ).map(({ e, completed }) => ({ id: completed ? 'announce.completed' : 'announce.reopened', values: { item: itemName(e) } }))
+    const destroyed$       = xs.merge(
+                               click$.filter(e => isTodoEvent(e) && e.target.matches('.destroy')),
+                               todoKey('DESTROY')
+                             ).map(e => ({ selector: focusAfterRemoving(e.target), id: 'announce.deleted', values: { item: itemName(e) } }))
+
+    // undo and redo from either the footer buttons or keyboard shortcuts
+    // - prevent the default so the browser doesn't also try to undo
+    const undo$ = xs.merge(undoClick$, historyKey$.filter(e => !e.shiftKey).map(e => e.preventDefault()))
+    const redo$ = xs.merge(redoClick$, historyKey$.filter(e => e.shiftKey).map(e => e.preventDefault()))
+
+    // recurring todos that were just completed and need their next occurrence adding
+    const repeat$ = STATE.stream.filter(state => state.todos.some(todo => todo.repeatPending))
+
+    // record a new undo step whenever the todos change
+    // - wait until any edit is finished so that EDIT_START through EDIT_DONE is a single step
+    // - changes caused by UNDO and REDO already match the history and are skipped
+    // - reducers from both the APP and TODO components are covered since all changes show up on the state stream
+    // - states that kept the same todos (like typing a new todo) are skipped before taking a snapshot, which is slow for long lists
+    const record$ = STATE.stream.compose(dropRepeats((a, b) => a.todos === b.todos))
+                                .filter(state => !isSettling(state.todos) && !sameSnapshot(snapshot(state.todos), state.history.present))
+
+    // save todos to storage whenever the app state changes
+    // - wait until the stored todos are loaded (STORE may be asynchronous) so they aren't overwritten by the empty initial state
+    // - ignore the first loaded state event to prevent storing the data that was just loaded
+    // - lists that were just deleted aren't saved again
+    // - states that kept the same todos (like scrolling, ticks or announcements) are skipped, since saving a long list is slow
+    // - so are changes that only touch flags that aren't saved (like filtering, searching, sorting or selecting todos),
+    //   which copy the todos without changing any of their saved fields
+    const toStore$ = STATE.stream.filter(state => state.loaded && hasList(state.lists, state.list))
+                                 .compose(dropRepeats((a, b) => a.todos === b.todos && a.list === b.list))
+                                 .map(state => ({ list: state.list, todos: snapshot(state.todos) }))
+                                 .compose(dropRepeats((a, b) => a.list === b.list && sameSnapshot(a.todos, b.todos)))
+                                 .drop(1)
+
+    // update the page's title whenever the number of todos left in the list (or the language) changes
+    // - subtasks are counted instead of the todos they belong to, like in the footer
+    // - the counts are the footer's, which are only worked out again when the todos change
+    const title$ = STATE.stream.filter(state => state.loaded)
+                               .map(state => {
+                                 const { total, completed } = todoCounts(state)
+                                 return { count: total - completed, locale: state.locale }
+                               })
+                               .compose(dropRepeats((a, b) => a.count === b.count && a.locale === b.locale))
+
+    // regularly update due date highlighting and check for reminders
+    //  - the CLOCK driver keeps the timer, so it's cleared when the app is stopped
+    const tick$ = CLOCK.ticks()
+
+    // send todos to the sync server whenever they are saved
+    // - the SYNC driver works out what changed and only sends those todos
+    const toSync$ = toStore$
 
 
     return {
-      VISIBILITY:      ROUTER,
-      FROM_STORE:      store$,
-      NEW_TODO:        newTodo$,
-      TOGGLE_ALL:      toggleAll$,
-      CLEAR_COMPLETED: clearCompleted$,
-      ADD_ROUTE:       route$,
-      TO_STORE:        toStore$,
+      VISIBILITY:           ROUTER,
+      LISTS_FROM_STORE:     lists$,
+      FROM_STORE:           store$,
+      MERGE_FROM_STORE:     otherTab$,
+      FROM_SYNC:            remote$,
+      SYNC_STATUS:          syncStatus$,
+      OFFLINE_STATUS:       OFFLINE,
+      RELOAD_APP:           reloadApp$,
+      DISMISS_UPDATE:       dismissUpdate$,
+      SEARCH:               search$,
+      TICK:                 tick$,
+      REMINDERS_FROM_STORE: reminders$,
+      SET_LOCALE:           LOCALE,
+      CHANGE_LOCALE:        changeLocale$,
+      LOCALE_FROM_STORE:    storedLocale$,
+      THEME_FROM_STORE:     storedTheme$,
+      CHANGE_THEME:         changeTheme$,
+      SORT_FROM_STORE:      storedSort$,
+      CHANGE_SORT:          changeSort$,
+      TOGGLE_REMINDERS:     remindersClick$,
+      NEW_TODO:             newTodo$,
+      DRAG_START:           dragStart$,
+      DRAG_OVER:            dragOver$,
+      DROP:                 drop$,
+      DRAG_END:             dragEnd$,
+      MOVE_TODO:            moveKey$,
+      INDENT_TODO:          indent$,
+      OUTDENT_SUBTASK:      outdent$,
+      ANNOUNCE:             toggleMessage$,
+      AFTER_DESTROY:        destroyed$,
+      SELECT_TODO:          selectTodo$,
+      TOGGLE_SELECT_MODE:   selectMode$,
+      MOVE_CURSOR:          moveCursor$,
+      SCROLL_LIST:          listScroll$,
+      SHOW_FILTER:          showFilter$,
+      FOCUS_NEW_TODO:       focusNewTodo$,
+      REPEAT_TODOS:         repeat$,
+      TOGGLE_ALL:           toggleAll$,
+      CLEAR_COMPLETED:      clearCompleted$,
+      RECORD_HISTORY:       record$,
+      UNDO:                 undo$,
+      REDO:                 redo$,
+      TO_STORE:             toStore$,
+      TO_SYNC:              toSync$,
+      SET_TITLE:            title$,
     }
   },
 
-  view: ({ state, todos }) => {
-    const { visibility, total, remaining, completed, allDone } = state
+  view: ({ state, todos, lists, selection, help, transfer }) => {
+    const { visibility, route, tag, search, sort, allTags, total, remaining, completed, allDone, canUndo, canRedo, syncStatus, updateReady, reminders, fileOver, selecting, selected, announcement, announcements, locale, theme } = state
 
     const links =  Object.keys(FILTER_LIST)
 
-    const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1)
-    const renderLink = link => <li><a href={ `#/${link}` } className={ classes({ selected: visibility == link }) }>{ capitalize(link) }</a></li>
+    // translate messages into the app's language (see ./locales)
+    //  - counts inside messages are shown in bold, so those messages are translated into parts
+    const t = (id, values) => translate(locale, id, values)
+    const renderPart = part => (typeof part === 'string') ? part : (part.name === 'count') ? <strong>{ part.value }</strong> : part.value
+    const renderParts = (id, values) => translateParts(locale, id, values).map(renderPart)
+
+    const isCurrent  = link => visibility == link && route.name !== 'todo'
+    const sortQuery  = routeSort(route)
+    const renderLink = link => <li><a href={ listHref(route.list, 'visibility', { visibility: link }, { tag, q: search, sort: sortQuery }) } className={ classes({ selected: isCurrent(link) }) } aria-current={ isCurrent(link) ? 'page' : false }>{ t('filter.' + link) }</a></li>
+    const renderTag  = name => <li><a href={ listHref(route.list, 'visibility', { visibility }, { tag: name, q: search, sort: sortQuery }) } className={ classes('tag', { selected: tag == name }) } aria-current={ (tag == name) ? 'page' : false }>#{ name }</a></li>
+    const renderLocale = ([code, { name }]) => <option value={ code } lang={ code } selected={ code === locale }>{ name }</option>
+    const renderTheme = name => <option value={ name } selected={ name === theme }>{ t('theme.' + name) }</option>
+    const renderSort = mode => <option value={ mode } selected={ mode === sort }>{ t('sort.' + mode) }</option>
+
+    // show the todos in the current sort order
+    //  - the todo components are matched to their todos by id, so the stored order is left alone (see ./lib/sort)
+    //  - only the shown todos have components, and long lists only the rows in view, with padding for the rest (see ./lib/listWindow)
+    const todoViews = todos.reduce((acc, view) => view ? { ...acc, [view.data.dataset.id]: view } : acc, {})
+    const { rows, windowed, before, after } = listWindow(state)
+    const sortedTodos = rows.map(todo => todoViews[todo.id])
 
     return (
-      <section className="todoapp">
-        <header className="header">
-          <h1>todos</h1>
-          <input className="new-todo" autofocus autocomplete="off" placeholder="What needs to be done?" />
-        </header>
-
-        { (total > 0) &&
-          <section className="main">
-            <input id="toggle-all" className="toggle-all" type="checkbox" checked={ allDone } />
-            <label for="toggle-all">Mark all as complete</label>
-            <ul className="todo-list">
-              { todos }
-            </ul>
-          </section>
-        }
+      <div className="layout">
+        { lists }
+        <section className={ classes('todoapp', { 'file-over': fileOver, selecting }) } data-drop-label={ t('transfer.drop') }>
+          <header className="header">
+            <h1>{ t('app.title') }</h1>
+            <input className="new-todo" autofocus autocomplete="off" placeholder={ t('app.newTodo') } aria-label={ t('app.newTodoLabel') } />
+            <input className="search" type="search" autocomplete="off" placeholder={ t('app.search') } aria-label={ t('app.searchLabel') } value={ search } />
+          </header>
+
+          { (total > 0) &&
+            <section className="main">
+              <input id="toggle-all" className="toggle-all" type="checkbox" checked={ allDone } />
+              <label for="toggle-all">{ t('app.toggleAll') }</label>
+              <ul className={ classes('todo-list', { windowed }) } aria-label={ t('app.todoList') } style={ windowed ? { paddingTop: before + 'px', paddingBottom: after + 'px' } : {} }>
+                { sortedTodos }
+              </ul>
+              { search && !state.todos.some(todo => !todo.hidden) && <p className="no-results">{ t('app.noResults', { search }) }</p> }
+            </section>
+          }
 
-        { (total > 0) &&
-          <footer className="footer">
-            <span className="todo-count">
-              <strong>{ remaining }</strong> { (remaining === 1) ? 'item' : 'items' } left
-            </span>
-            <ul className="filters">
-              { links.map(renderLink) }
-            </ul>
-            { (completed > 0) && <button className="clear-completed">Clear completed</button> }
-          </footer>
-        }
+          { (allTags.length > 0) &&
+            <nav className="tag-filters" aria-label={ t('app.tags') }>
+              <ul>
+                <li><a href={ listHref(route.list, 'visibility', { visibility }, { q: search, sort: sortQuery }) } className={ classes({ selected: !tag }) } aria-current={ !tag ? 'page' : false }>{ t('app.allTags') }</a></li>
+                { allTags.map(renderTag) }
+              </ul>
+            </nav>
+          }
+
+          { selection }
+
+          { !(selecting || selected > 0) && (total > 0 || canUndo || canRedo) &&
+            <footer className="footer">
+              <span className="todo-count">
+                { renderParts(search ? 'footer.remainingMatching' : 'footer.remaining', { count: remaining, search }) }
+              </span>
+              <ul className="filters" aria-label={ t('filter.label') }>
+                { links.map(renderLink) }
+              </ul>
+              { (completed > 0) && <button className="clear-completed">{ t('footer.clearCompleted') }</button> }
+              <div className="footer-tools">
+                <select className="sort" title={ t('footer.sort') } aria-label={ t('footer.sort') }>
+                  { SORT_MODES.map(renderSort) }
+                </select>
+                <button className="select-mode" title={ t('footer.selectTitle') } aria-pressed={ String(selecting) }>{ t('footer.select') }</button>
+                <button className={ classes('reminders', { enabled: reminders }) } title={ t('footer.remindersTitle') } aria-pressed={ String(reminders) }>
+                  { t('footer.reminders', { enabled: String(reminders) }) }
+                </button>
+                <select className="theme" title={ t('footer.theme') } aria-label={ t('footer.theme') }>
+                  { THEMES.map(renderTheme) }
+                </select>
+                { syncStatus && <span className={ classes('sync-status', syncStatus) }>{ t('footer.sync', { status: syncStatus }) }</span> }
+                <span className="history">
+                  <button className="undo" title={ t('footer.undoTitle') } disabled={ !canUndo }>{ t('footer.undo') }</button>
+                  <button className="redo" title={ t('footer.redoTitle') } disabled={ !canRedo }>{ t('footer.redo') }</button>
+                </span>
+              </div>
+            </footer>
+          }
 
-      </section>
+          { transfer }
+
+          <select className="language" aria-label={ t('app.language') }>
+            { Object.entries(LOCALES).map(renderLocale) }
+          </select>
+
+          <div className="announcer" role="status" aria-live="polite" aria-atomic="true">
+            { announcement + ((announcements % 2) ? '\u00a0' : '') }
+          </div>
+
+        </section>
+        { updateReady &&
+          <div className="update-prompt">
+            <span>{ t('offline.updateReady') }</span>
+            <button className="reload-app">{ t('offline.reload') }</button>
+            <button className="dismiss-update">{ t('offline.dismiss') }</button>
+          </div>
+        }
+        { help }
+      </div>
     )
   }
 
@@ -0,0 +1,819 @@
+import assert from 'assert'
+import { mount } from './test/mount'
+import { toDateString, addDays } from './lib/dates'
+import { ROW_HEIGHT, INITIAL_WINDOW } from './lib/listWindow'
+import App from './app'
+
+// tests for each action of the APP component, run with mock drivers (see ./test/mount.js)
+//  - each test starts the app, fires DOM events or sends values from the mock drivers, and waits for the app to settle
+//    before checking its state, what it rendered, and what it sent to the drivers
+//  - the TODO component's actions are tested in ./components/todos.test.js
+
+
+
+const todos = [
+  { id: 1, title: 'Buy milk', completed: false, tags: ['shopping'], due: null, priority: 'low', subtasks: [] },
+  { id: 2, title: 'Plan trip', completed: false, tags: [], due: null, priority: 'high', subtasks: [] },
+  { id: 3, title: 'Call mum', completed: true, tags: [], due: null, priority: 'normal', subtasks: [] },
+]
+
+const lists = [{ id: 'work', name: 'Work' }]
+
+const ENTER  = { key: 'Enter', keyCode: 13 }
+const ESCAPE = { key: 'Escape', keyCode: 27 }
+
+// the search waits for a pause in typing before it runs (see SEARCH_DELAY in ./app)
+const SEARCH_DELAY = 200
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// start the app, run a test once it has loaded, and stop it again whether the test passes or not
+const withApp = (options, test) => {
+  const app = mount(App, options)
+  return app.settle()
+            .then(_ => test(app))
+            .then(_ => app.dispose(), e => {
+              app.dispose()
+              throw e
+            })
+}
+
+// fire a DOM event and wait for the app to settle
+const act = (app, selector, type, fields) => {
+  app.simulate(selector, type, fields)
+  return app.settle()
+}
+
+// type into a field, and press a key in it
+const type  = (app, selector, value) => act(app, selector, 'input', { target: { value } })
+const press = (app, selector, key) => act(app, selector, 'keydown', key)
+
+// titles of the todos in their stored order, and in the order they're shown in
+const titles = app => app.state.todos.map(todo => todo.title)
+const shown  = app => app.find('.todo-list li.todo').map(el => Number(el.getAttribute('data-id')))
+
+// messages sent to a driver
+const sent = (app, driver) => app.sent[driver] || []
+const last = (app, driver) => sent(app, driver)[sent(app, driver).length - 1]
+
+// the DOMFX messages for fields and focus, leaving out the page title that's set whenever the number of todos left changes
+const effects    = app => sent(app, 'DOMFX').filter(({ type }) => type !== 'SET_TITLE')
+const lastEffect = app => effects(app)[effects(app).length - 1]
+
+// the DOMFX messages focusing an element
+const focused = app => sent(app, 'DOMFX').filter(({ type }) => type === 'FOCUS').map(({ data }) => data.selector)
+
+
+describe('APP', function () {
+
+  describe('loading', function () {
+
+    it('loads the stored todos and lists (FROM_STORE, LISTS_FROM_STORE)', () => withApp({ stored: { todos, lists } }, app => {
+      assert.equal(app.state.loaded, true)
+      assert.deepEqual(titles(app), ['Buy milk', 'Plan trip', 'Call mum'])
+      assert.deepEqual(app.state.lists, lists)
+      assert.deepEqual(shown(app), [1, 2, 3])
+    }))
+
+    it('loads the todos of the list in the route (FROM_STORE)', () => withApp({ stored: { lists, 'todos.work': [todos[0]] }, route: '/list/work' }, app => {
+      assert.equal(app.state.list, 'work')
+      assert.deepEqual(titles(app), ['Buy milk'])
+    }))
+
+    it('goes back to the home page for lists that don\'t exist (LISTS_FROM_STORE)', () => withApp({ stored: { lists }, route: '/list/gone' }, app => {
+      assert.deepEqual(sent(app, 'ROUTER')[0], { name: 'home', replace: true })
+      assert.equal(app.state.route.name, 'home')
+      assert.equal(app.state.list, 'default')
+    }))
+
+    it('filters todos by the route (VISIBILITY)', () => withApp({ stored: { todos }, route: '/active' }, app => {
+      assert.equal(app.state.visibility, 'active')
+      assert.deepEqual(shown(app), [1, 2])
+      app.emit('ROUTER', { name: 'tag', params: { name: 'shopping' }, query: {} })
+      return app.settle().then(_ => {
+        assert.equal(app.state.route.name, 'tag')
+        assert.deepEqual(shown(app), [1])
+      })
+    }))
+
+    it('filters by tags typed into the url with capitals (VISIBILITY)', () => withApp({ stored: { todos }, route: '/tag/Shopping' }, app => {
+      assert.deepEqual(shown(app), [1])
+      app.emit('ROUTER', { name: 'visibility', params: { visibility: 'all' }, query: { tag: 'SHOPPING' } })
+      return app.settle().then(_ => {
+        assert.deepEqual(shown(app), [1])
+        assert.equal(app.find('.tag.selected')[0].textContent, '#shopping')
+      })
+    }))
+
+    it('goes back to the home page for unknown routes (VISIBILITY)', () => withApp({ stored: { todos }, route: '/nowhere' }, app => {
+      assert.deepEqual(sent(app, 'ROUTER')[0], { name: 'home', replace: true })
+      assert.equal(app.state.route.name, 'home')
+    }))
+
+    it('merges todos saved by other tabs (MERGE_FROM_STORE)', () => withApp({ stored: { todos } }, app => {
+      app.emit('STORE.fromOtherTabs', { value: [...todos, { id: 4, title: 'Walk the dog', completed: false, tags: [], due: null, subtasks: [] }], previous: todos }, 'todos')
+      return app.settle().then(_ => {
+        assert.deepEqual(titles(app), ['Buy milk', 'Plan trip', 'Call mum', 'Walk the dog'])
+        assert.deepEqual(shown(app), [1, 2, 3, 4])
+      })
+    }))
+
+    it('doesn\'t make changes from other tabs an undo step (MERGE_FROM_STORE, RECORD_HISTORY)', () => withApp({ stored: { todos } }, app => {
+      const renamed = [{ ...todos[0], title: 'Buy oat milk' }, todos[1], todos[2]]
+      app.emit('STORE.fromOtherTabs', { value: renamed, previous: todos }, 'todos')
+      return app.settle().then(_ => {
+        assert.equal(app.state.history.past.length, 0)
+        return act(app, '.todo-2 .toggle', 'click', { target: { checked: true } })
+      }).then(_ => act(app, '.undo', 'click')).then(_ => {
+        assert.deepEqual(titles(app), ['Buy oat milk', 'Plan trip', 'Call mum'])
+        assert.deepEqual(app.state.todos.map(todo => todo.completed), [false, false, true])
+        assert.equal(app.state.history.past.length, 0)
+      })
+    }))
+
+    it('keeps changes from other tabs when undoing steps made before them (MERGE_FROM_STORE, UNDO, REDO)', () => withApp({ stored: { todos } }, app => {
+      const walk = { id: 4, title: 'Walk the dog', completed: false, tags: [], due: null, subtasks: [] }
+      return act(app, '.todo-2 .toggle', 'click', { target: { checked: true } }).then(_ => {
+        const current = app.stored.todos
+        app.emit('STORE.fromOtherTabs', { value: [{ ...current[0], title: 'Buy oat milk' }, ...current.slice(1), walk], previous: current }, 'todos')
+        return app.settle()
+      }).then(_ => act(app, '.undo', 'click')).then(_ => {
+        assert.deepEqual(titles(app), ['Buy oat milk', 'Plan trip', 'Call mum', 'Walk the dog'])
+        assert.deepEqual(app.state.todos.map(todo => todo.completed), [false, false, true, false])
+        assert.deepEqual(app.stored.todos.map(todo => todo.title), titles(app))
+        return act(app, '.redo', 'click')
+      }).then(_ => {
+        assert.deepEqual(titles(app), ['Buy oat milk', 'Plan trip', 'Call mum', 'Walk the dog'])
+        assert.deepEqual(app.state.todos.map(todo => todo.completed), [false, true, true, false])
+      })
+    }))
+
+    it('merges todos changed on the sync server, once per revision (FROM_SYNC)', () => withApp({ stored: { todos } }, app => {
+      const renamed = [{ ...todos[0], title: 'Buy oat milk' }, todos[1], todos[2]]
+      app.emit('SYNC.remote', { value: renamed, previous: todos, revision: 2 }, 'todos')
+      return app.settle().then(_ => {
+        assert.deepEqual(titles(app), ['Buy oat milk', 'Plan trip', 'Call mum'])
+        assert.equal(app.state.syncRevisions.default, 2)
+        app.emit('SYNC.remote', { value: todos, previous: renamed, revision: 2 }, 'todos')
+        return app.settle()
+      }).then(_ => {
+        assert.deepEqual(titles(app), ['Buy oat milk', 'Plan trip', 'Call mum'])
+      })
+    }))
+
+    it('shows the sync status (SYNC_STATUS)', () => withApp({ stored: { todos } }, app => {
+      app.emit('SYNC.status', 'pending')
+      return app.settle().then(_ => {
+        assert.equal(app.state.syncStatus, 'pending')
+        assert.equal(app.find('.sync-status.pending').length, 1)
+      })
+    }))
+
+    it('asks to reload once a new version is downloaded (OFFLINE_STATUS, RELOAD_APP, DISMISS_UPDATE)', () => withApp({ stored: { todos } }, app => {
+      app.emit('OFFLINE', 'ready')
+      return app.settle().then(_ => {
+        assert.equal(app.state.announcement, 'Ready to work offline')
+        assert.equal(app.find('.update-prompt').length, 0)
+        app.emit('OFFLINE', 'update')
+        return app.settle()
+      }).then(_ => {
+        assert.equal(app.find('.update-prompt').length, 1)
+        return act(app, '.reload-app', 'click')
+      }).then(_ => {
+        assert.deepEqual(sent(app, 'OFFLINE'), [{ type: 'RELOAD' }])
+        return act(app, '.dismiss-update', 'click')
+      }).then(_ => {
+        assert.equal(app.state.updateReady, false)
+        assert.equal(app.find('.update-prompt').length, 0)
+      })
+    }))
+
+    it('shows the number of todos left in the page\'s title (SET_TITLE)', () => withApp({ stored: { todos } }, app => {
+      const pageTitles = _ => sent(app, 'DOMFX').filter(({ type }) => type === 'SET_TITLE').map(({ data }) => data.title)
+      assert.deepEqual(pageTitles(), ['(2) Cycle.js • TodoMVC'])
+      return act(app, '.todo-1 .toggle', 'click', { target: { checked: true } }).then(_ => act(app, '.todo-2 .toggle', 'click', { target: { checked: true } })).then(_ => {
+        assert.deepEqual(pageTitles(), ['(2) Cycle.js • TodoMVC', '(1) Cycle.js • TodoMVC', 'Cycle.js • TodoMVC'])
+        app.emit('LOCALE', 'de')
+        return app.settle()
+      }).then(_ => {
+        assert.equal(pageTitles().length, 4)
+        return act(app, '.todo-1 .toggle', 'click', { target: { checked: false } })
+      }).then(_ => {
+        assert.equal(pageTitles()[pageTitles().length - 1], '(1 Aufgabe offen) Cycle.js • TodoMVC')
+      })
+    }))
+
+  })
+
+  describe('settings', function () {
+
+    it('loads whether reminders are on (REMINDERS_FROM_STORE)', () => withApp({ stored: { todos, reminders: true } }, app => {
+      assert.equal(app.state.reminders, true)
+      assert.equal(app.find('.reminders.enabled').length, 1)
+    }))
+
+    it('turns reminders on and asks for permission (TOGGLE_REMINDERS, REQUEST_NOTIFY_PERMISSION, SAVE_REMINDERS)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.reminders', 'click').then(_ => {
+        assert.equal(app.state.reminders, true)
+        assert.deepEqual(sent(app, 'NOTIFY'), [{ type: 'REQUEST_PERMISSION' }])
+        assert.equal(app.stored.reminders, true)
+        return act(app, '.reminders', 'click')
+      }).then(_ => {
+        assert.equal(app.state.reminders, false)
+        assert.equal(sent(app, 'NOTIFY').length, 1)
+        assert.equal(app.stored.reminders, false)
+      })
+    }))
+
+    it('sends reminders for todos that came due since the last tick (TICK, REMIND)', () => {
+      // due in an hour, with the clock moved on two hours
+      const inAnHour = new Date(Date.now() + 60 * 60 * 1000)
+      const due = toDateString(inAnHour) + 'T' + inAnHour.toTimeString().slice(0, 5)
+      return withApp({ stored: { todos: [{ ...todos[0], due }], reminders: true } }, app => {
+        app.emit('CLOCK', Date.now() + 2 * 60 * 60 * 1000)
+        return app.settle().then(_ => {
+          const reminders = sent(app, 'NOTIFY').filter(({ type }) => type === 'NOTIFY')
+          assert.equal(reminders.length, 1)
+          assert.equal(reminders[0].data.title, 'Buy milk')
+          assert.equal(reminders[0].data.tag, 'todo-1')
+          assert.ok(app.state.now > Date.now())
+        })
+      })
+    })
+
+    it('switches languages when the LOCALE driver does (SET_LOCALE)', () => withApp({ stored: { todos } }, app => {
+      app.emit('LOCALE', 'de')
+      return app.settle().then(_ => {
+        assert.equal(app.state.locale, 'de')
+        assert.ok(app.state.todos.every(todo => todo.locale === 'de'))
+        assert.equal(app.find('.new-todo')[0].placeholder, 'Was ist zu tun?')
+      })
+    }))
+
+    it('switches languages with the language picker (CHANGE_LOCALE)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.language', 'change', { target: { value: 'ja' } }).then(_ => {
+        assert.equal(last(app, 'LOCALE'), 'ja')
+        assert.equal(app.stored.locale, 'ja')
+        assert.equal(app.state.locale, 'ja')
+      })
+    }))
+
+    it('loads the language picked last time (LOCALE_FROM_STORE)', () => withApp({ stored: { todos, locale: 'ar' } }, app => {
+      assert.deepEqual(sent(app, 'LOCALE'), ['ar'])
+      assert.equal(app.state.locale, 'ar')
+    }))
+
+    it('loads the theme picked last time (THEME_FROM_STORE, APPLY_THEME)', () => withApp({ stored: { todos, theme: 'dark' } }, app => {
+      assert.equal(app.state.theme, 'dark')
+      assert.deepEqual(sent(app, 'THEME'), ['dark'])
+    }))
+
+    it('switches themes with the theme picker (CHANGE_THEME, SAVE_THEME)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.theme', 'change', { target: { value: 'high-contrast' } }).then(_ => {
+        assert.equal(app.state.theme, 'high-contrast')
+        assert.deepEqual(sent(app, 'THEME'), ['high-contrast'])
+        assert.equal(app.stored.theme, 'high-contrast')
+      })
+    }))
+
+    it('loads the sort mode picked last time (SORT_FROM_STORE)', () => withApp({ stored: { todos, sort: 'title' } }, app => {
+      assert.equal(app.state.savedSort, 'title')
+      assert.deepEqual(shown(app), [1, 3, 2])
+      assert.ok(app.state.todos.every(todo => todo.sorted))
+    }))
+
+    it('sorts with the sort picker, keeping the sort in the route (CHANGE_SORT, SAVE_SORT, NAVIGATE)', () => withApp({ stored: { todos }, route: '/active' }, app => {
+      return act(app, '.sort', 'change', { target: { value: 'priority' } }).then(_ => {
+        assert.deepEqual(last(app, 'ROUTER'), { name: 'visibility', params: { visibility: 'active' }, query: { sort: 'priority' }, replace: true })
+        assert.equal(app.state.route.query.sort, 'priority')
+        assert.equal(app.stored.sort, 'priority')
+        assert.deepEqual(shown(app), [2, 1])
+        return act(app, '.sort', 'change', { target: { value: 'manual' } })
+      }).then(_ => {
+        assert.equal(last(app, 'ROUTER').query.sort, '')
+        assert.equal(app.stored.sort, 'manual')
+        assert.deepEqual(shown(app), [1, 2])
+      })
+    }))
+
+    it('searches once typing stops, and clears the search with Escape (SEARCH)', () => withApp({ stored: { todos } }, app => {
+      return type(app, '.search', 'milk').then(_ => wait(SEARCH_DELAY)).then(_ => app.settle()).then(_ => {
+        assert.equal(last(app, 'ROUTER').query.q, 'milk')
+        assert.equal(app.state.route.query.q, 'milk')
+        assert.deepEqual(shown(app), [1])
+        return press(app, '.search', ESCAPE)
+      }).then(_ => wait(SEARCH_DELAY)).then(_ => app.settle()).then(_ => {
+        assert.ok(!app.state.route.query.q)
+        assert.deepEqual(shown(app), [1, 2, 3])
+      })
+    }))
+
+  })
+
+  describe('todos', function () {
+
+    it('adds todos typed into the new todo field (NEW_TODO, CLEAR_FORM)', () => withApp({ stored: { todos } }, app => {
+      return type(app, '.new-todo', '!! Pay rent #bills').then(_ => press(app, '.new-todo', ENTER)).then(_ => {
+        const added = app.state.todos[3]
+        assert.equal(added.id, 4)
+        assert.equal(added.title, 'Pay rent')
+        assert.deepEqual(added.tags, ['bills'])
+        assert.equal(added.priority, 'high')
+        assert.equal(added.completed, false)
+        assert.deepEqual(shown(app), [1, 2, 3, 4])
+        assert.deepEqual(lastEffect(app), { type: 'SET_VALUE', data: { selector: '.new-todo' } })
+        assert.equal(app.state.announcement, 'Todo added')
+      })
+    }))
+
+    it('doesn\'t add todos with blank titles (NEW_TODO)', () => withApp({ stored: { todos } }, app => {
+      return type(app, '.new-todo', '   ').then(_ => press(app, '.new-todo', ENTER)).then(_ => {
+        assert.equal(app.state.todos.length, 3)
+        assert.equal(effects(app).length, 0)
+      })
+    }))
+
+    it('adds the next occurrence of recurring todos once they\'re completed (REPEAT_TODOS)', () => {
+      const today = toDateString(new Date())
+      const recurring = { ...todos[0], due: today, repeat: { every: 'day', interval: 1 } }
+      return withApp({ stored: { todos: [recurring] } }, app => act(app, '.todo-1 .toggle', 'click', { target: { checked: true } }).then(_ => {
+        const [completed, next] = app.state.todos
+        assert.equal(completed.completed, true)
+        assert.equal(completed.repeat, null)
+        assert.equal(next.id, 2)
+        assert.equal(next.completed, false)
+        assert.equal(next.due, toDateString(addDays(new Date(), 1)))
+        assert.deepEqual(next.repeat, { every: 'day', interval: 1 })
+        assert.ok(app.state.announcement.startsWith('Todo completed, next one due'))
+      }))
+    })
+
+    it('completes all todos, and then reopens them (TOGGLE_ALL)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.toggle-all', 'click').then(_ => {
+        assert.ok(app.state.todos.every(todo => todo.completed))
+        assert.equal(app.state.announcement, 'All todos marked complete')
+        return act(app, '.toggle-all', 'click')
+      }).then(_ => {
+        assert.ok(app.state.todos.every(todo => !todo.completed))
+        assert.equal(app.state.announcement, 'All todos marked active')
+      })
+    }))
+
+    it('clears completed todos (CLEAR_COMPLETED)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.clear-completed', 'click').then(_ => {
+        assert.deepEqual(titles(app), ['Buy milk', 'Plan trip'])
+        assert.equal(app.state.announcement, '1 item cleared')
+      })
+    }))
+
+    it('makes a todo a subtask of the one above it (INDENT_TODO, FOCUS_TODO)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.todo-2 .indent', 'click').then(_ => {
+        assert.deepEqual(titles(app), ['Buy milk', 'Call mum'])
+        assert.deepEqual(app.state.todos[0].subtasks.map(subtask => subtask.title), ['Plan trip'])
+        assert.deepEqual(focused(app), ['.todo-1 .subtask-2 .toggle'])
+        assert.equal(app.state.announcement, 'Made a subtask')
+      })
+    }))
+
+    it('turns a subtask back into a todo (OUTDENT_SUBTASK)', () => {
+      const parent = { ...todos[0], subtasks: [{ id: 1, title: 'Oat milk', completed: false }, { id: 2, title: 'Soy milk', completed: false }] }
+      return withApp({ stored: { todos: [parent, todos[1]] } }, app => act(app, '.todo-1 .subtask-2 .outdent', 'click').then(_ => {
+        assert.deepEqual(titles(app), ['Buy milk', 'Soy milk', 'Plan trip'])
+        assert.deepEqual(app.state.todos[0].subtasks.map(subtask => subtask.title), ['Oat milk'])
+        assert.deepEqual(focused(app), ['.todo-3 .toggle'])
+        assert.equal(app.state.announcement, 'Made a todo')
+      }))
+    })
+
+    it('moves todos by dragging and dropping them (DRAG_START, DRAG_OVER, DROP)', () => withApp({ stored: { todos } }, app => {
+      // the bottom half of a todo drops after it
+      const bottomHalf = { clientY: 15, target: { getBoundingClientRect: _ => ({ top: 0, height: 20 }) } }
+      return act(app, '.todo-1', 'dragstart').then(_ => {
+        assert.equal(app.state.todos[0].dragging, true)
+        return act(app, '.todo-3 label', 'dragover', bottomHalf)
+      }).then(_ => {
+        assert.equal(app.state.todos[2].dropPosition, 'after')
+        assert.equal(app.find('.todo-3.drop-after').length, 1)
+        return act(app, '.todo-3 label', 'drop', bottomHalf)
+      }).then(_ => {
+        assert.deepEqual(titles(app), ['Plan trip', 'Call mum', 'Buy milk'])
+        assert.deepEqual(shown(app), [2, 3, 1])
+        assert.ok(app.state.todos.every(todo => !todo.dragging && !todo.dropPosition))
+      })
+    }))
+
+    it('clears the drag when it\'s cancelled (DRAG_END)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.todo-1', 'dragstart').then(_ => act(app, '.todo-1', 'dragend')).then(_ => {
+        assert.ok(app.state.todos.every(todo => !todo.dragging))
+        assert.deepEqual(titles(app), ['Buy milk', 'Plan trip', 'Call mum'])
+      })
+    }))
+
+    it('moves todos with Alt+Up and Alt+Down, unless the list is sorted (MOVE_TODO)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.todo-1', 'keydown', { altKey: true, keyCode: 40 }).then(_ => {
+        assert.deepEqual(titles(app), ['Plan trip', 'Buy milk', 'Call mum'])
+        assert.deepEqual(focused(app), ['.todo-1 .toggle'])
+        assert.equal(app.state.announcement, 'Moved down')
+        return act(app, '.sort', 'change', { target: { value: 'title' } })
+      }).then(_ => act(app, '.todo-1', 'keydown', { altKey: true, keyCode: 38 })).then(_ => {
+        assert.deepEqual(titles(app), ['Plan trip', 'Buy milk', 'Call mum'])
+      })
+    }))
+
+    it('announces todos being completed and reopened (ANNOUNCE)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.todo-1 .toggle', 'click', { target: { checked: true } }).then(_ => {
+        assert.equal(app.state.announcement, 'Todo completed')
+        return act(app, '.todo-3', 'keydown', { key: 'x' })
+      }).then(_ => {
+        assert.equal(app.state.announcement, 'Todo reopened')
+        assert.equal(app.state.todos[2].completed, false)
+      })
+    }))
+
+    it('moves focus to the next todo when one is deleted (AFTER_DESTROY)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.todo-1 .destroy', 'click').then(_ => {
+        assert.deepEqual(titles(app), ['Plan trip', 'Call mum'])
+        assert.deepEqual(focused(app), ['.todo-2'])
+        assert.equal(app.state.announcement, 'Todo deleted')
+        return act(app, '.todo-3', 'keydown', { key: 'Delete' })
+      }).then(_ => {
+        assert.deepEqual(titles(app), ['Plan trip'])
+        assert.deepEqual(focused(app), ['.todo-2', '.todo-2'])
+      })
+    }))
+
+  })
+
+  describe('history', function () {
+
+    it('undoes and redoes changes with the buttons (RECORD_HISTORY, UNDO, REDO)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.todo-1 .destroy', 'click').then(_ => {
+        assert.equal(app.state.history.past.length, 1)
+        return act(app, '.undo', 'click')
+      }).then(_ => {
+        assert.deepEqual(titles(app), ['Buy milk', 'Plan trip', 'Call mum'])
+        assert.equal(app.state.announcement, 'Undone')
+        assert.equal(app.state.history.future.length, 1)
+        return act(app, '.redo', 'click')
+      }).then(_ => {
+        assert.deepEqual(titles(app), ['Plan trip', 'Call mum'])
+        assert.equal(app.state.announcement, 'Redone')
+      })
+    }))
+
+    it('undoes and redoes changes with Ctrl+Z and Ctrl+Shift+Z (UNDO, REDO)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.clear-completed', 'click').then(_ => {
+        const undoKey = app.simulate('document', 'keydown', { ctrlKey: true, keyCode: 90 })
+        assert.equal(undoKey.defaultPrevented, true)
+        return app.settle()
+      }).then(_ => {
+        assert.deepEqual(titles(app), ['Buy milk', 'Plan trip', 'Call mum'])
+        return act(app, 'document', 'keydown', { ctrlKey: true, shiftKey: true, keyCode: 90 })
+      }).then(_ => {
+        assert.deepEqual(titles(app), ['Buy milk', 'Plan trip'])
+      })
+    }))
+
+  })
+
+  describe('keyboard shortcuts', function () {
+
+    it('moves the cursor between the shown todos (MOVE_CURSOR)', () => withApp({ stored: { todos }, route: '/active' }, app => {
+      return act(app, 'document', 'keydown', { key: 'j' }).then(_ => act(app, '.todo-1', 'keydown', { key: 'j' }))
+                                                           .then(_ => act(app, '.todo-2', 'keydown', { key: 'j' }))
+                                                           .then(_ => act(app, '.todo-2', 'keydown', { key: 'k' })).then(_ => {
+        assert.deepEqual(focused(app), ['.todo-1', '.todo-2', '.todo-2', '.todo-1'])
+      })
+    }))
+
+    it('switches filters, keeping the tag (SHOW_FILTER)', () => withApp({ stored: { todos }, route: '/?tag=shopping' }, app => {
+      return act(app, 'document', 'keydown', { key: '2' }).then(_ => {
+        const { name, params, query } = last(app, 'ROUTER')
+        assert.deepEqual({ name, params, query }, { name: 'visibility', params: { visibility: 'active' }, query: { tag: 'shopping', q: '', sort: '' } })
+        assert.equal(app.state.visibility, 'active')
+        assert.deepEqual(shown(app), [1])
+      })
+    }))
+
+    it('ignores shortcuts typed into text fields', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.new-todo', 'keydown', { key: '2' }).then(_ => {
+        assert.equal(sent(app, 'ROUTER').length, 0)
+      })
+    }))
+
+    it('focuses the new todo field (FOCUS_NEW_TODO)', () => withApp({ stored: { todos } }, app => {
+      const slash = app.simulate('document', 'keydown', { key: '/' })
+      return app.settle().then(_ => {
+        assert.equal(slash.defaultPrevented, true)
+        assert.deepEqual(focused(app), ['.new-todo'])
+      })
+    }))
+
+    it('opens and closes the keyboard shortcuts (TOGGLE_HELP, CLOSE_HELP)', () => withApp({ stored: { todos } }, app => {
+      return act(app, 'document', 'keydown', { key: '?' }).then(_ => {
+        assert.equal(app.state.showHelp, true)
+        assert.equal(app.find('.help-overlay').length, 1)
+        assert.deepEqual(focused(app), ['.close-help'])
+        return act(app, 'document', 'keydown', ESCAPE)
+      }).then(_ => {
+        assert.equal(app.state.showHelp, false)
+        assert.equal(app.find('.help-overlay').length, 0)
+        return act(app, 'document', 'keydown', { key: '?' })
+      }).then(_ => act(app, '.help h2', 'click')).then(_ => {
+        assert.equal(app.state.showHelp, true)
+        return act(app, '.close-help', 'click')
+      }).then(_ => {
+        assert.equal(app.state.showHelp, false)
+      })
+    }))
+
+  })
+
+  describe('selection', function () {
+
+    const selected = app => app.state.todos.filter(todo => todo.selected).map(todo => todo.id)
+
+    it('shows and hides the selection checkboxes (TOGGLE_SELECT_MODE)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.select-mode', 'click').then(_ => {
+        assert.equal(app.state.selecting, true)
+        assert.equal(app.find('.selection-toolbar').length, 1)
+        return act(app, '.todo-1 .select-todo', 'click')
+      }).then(_ => act(app, '.select-all', 'click')).then(_ => act(app, '.clear-selection', 'click')).then(_ => {
+        assert.equal(app.state.selecting, false)
+        assert.deepEqual(selected(app), [])
+        assert.equal(app.find('.selection-toolbar').length, 0)
+      })
+    }))
+
+    it('selects todos with the checkboxes, Ctrl+click and Shift+click (SELECT_TODO)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.todo-1 .select-todo', 'click').then(_ => {
+        assert.deepEqual(selected(app), [1])
+        return act(app, '.todo-1 label', 'click', { ctrlKey: true })
+      }).then(_ => {
+        assert.deepEqual(selected(app), [])
+        return act(app, '.todo-3 label', 'click', { shiftKey: true })
+      }).then(_ => {
+        assert.deepEqual(selected(app), [1, 2, 3])
+      })
+    }))
+
+    it('selects all the shown todos (SELECT_ALL)', () => withApp({ stored: { todos }, route: '/active' }, app => {
+      return act(app, '.select-mode', 'click').then(_ => act(app, '.select-all', 'click')).then(_ => {
+        assert.deepEqual(selected(app), [1, 2])
+        assert.equal(app.find('.selection-count strong')[0].textContent, '2')
+      })
+    }))
+
+    it('clears the selection with Escape (CLEAR_SELECTION)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.todo-1 .select-todo', 'click').then(_ => act(app, 'document', 'keydown', ESCAPE)).then(_ => {
+        assert.deepEqual(selected(app), [])
+        assert.equal(app.state.selectionAnchor, null)
+      })
+    }))
+
+    it('completes, reopens and deletes the selected todos (BULK_COMPLETE, BULK_UNCOMPLETE, BULK_DELETE)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.todo-1 .select-todo', 'click').then(_ => act(app, '.todo-2 .select-todo', 'click'))
+                                                         .then(_ => act(app, '.bulk-complete', 'click')).then(_ => {
+        assert.deepEqual(app.state.todos.map(todo => todo.completed), [true, true, true])
+        assert.equal(app.state.announcement, '2 todos completed')
+        return act(app, '.bulk-uncomplete', 'click')
+      }).then(_ => {
+        assert.deepEqual(app.state.todos.map(todo => todo.completed), [false, false, true])
+        assert.equal(app.state.announcement, '2 todos reopened')
+        return act(app, '.bulk-delete', 'click')
+      }).then(_ => {
+        assert.deepEqual(titles(app), ['Call mum'])
+        assert.equal(app.state.announcement, '2 todos deleted')
+      })
+    }))
+
+    it('adds the next occurrence of recurring todos completed together (BULK_COMPLETE, REPEAT_TODOS)', () => {
+      const today = toDateString(new Date())
+      const recurring = { ...todos[0], due: today, repeat: { every: 'day', interval: 1 } }
+      return withApp({ stored: { todos: [recurring, todos[1]] } }, app => {
+        return act(app, '.todo-1 .select-todo', 'click').then(_ => act(app, '.todo-2 .select-todo', 'click'))
+                                                           .then(_ => act(app, '.bulk-complete', 'click')).then(_ => {
+          assert.deepEqual(app.state.todos.map(todo => [todo.id, todo.completed, todo.due]), [[1, true, today], [3, false, toDateString(addDays(new Date(), 1))], [2, true, todos[1].due]])
+          assert.deepEqual(app.state.todos[1].repeat, { every: 'day', interval: 1 })
+          assert.ok(app.state.todos.every(todo => !todo.repeatPending))
+        })
+      })
+    })
+
+    it('leaves selected todos the filters hide alone, and doesn\'t count them (BULK_DELETE, BULK_TAG)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.todo-1 .select-todo', 'click').then(_ => act(app, '.todo-3 .select-todo', 'click'))
+                                                         .then(_ => app.emit('ROUTER', { name: 'visibility', params: { visibility: 'active' }, query: {} }))
+                                                         .then(_ => app.settle()).then(_ => {
+        assert.equal(app.find('.selection-count strong')[0].textContent, '1')
+        return type(app, '.bulk-tag', 'errands').then(_ => press(app, '.bulk-tag', ENTER))
+      }).then(_ => {
+        assert.deepEqual(app.state.todos.map(todo => todo.tags), [['shopping', 'errands'], [], []])
+        assert.equal(app.state.announcement, '1 todo tagged #errands')
+        return act(app, '.bulk-delete', 'click')
+      }).then(_ => {
+        assert.deepEqual(titles(app), ['Plan trip', 'Call mum'])
+        assert.equal(app.state.announcement, '1 todo deleted')
+      })
+    }))
+
+    it('tags the selected todos (BULK_TAG, CLEAR_BULK_TAG_FIELD)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.todo-1 .select-todo', 'click').then(_ => act(app, '.todo-2 .select-todo', 'click'))
+                                                         .then(_ => type(app, '.bulk-tag', '#Errands, shopping'))
+                                                         .then(_ => press(app, '.bulk-tag', ENTER)).then(_ => {
+        assert.deepEqual(app.state.todos.map(todo => todo.tags), [['shopping', 'errands'], ['errands', 'shopping'], []])
+        assert.deepEqual(lastEffect(app), { type: 'SET_VALUE', data: { selector: '.bulk-tag' } })
+        assert.equal(app.state.announcement, '2 todos tagged #errands #shopping')
+      })
+    }))
+
+    it('moves the selected todos to another list (BULK_MOVE, SAVE_TO_LIST, CLEAR_BULK_MOVE_FIELD)', () => {
+      const work = [{ id: 1, title: 'Write report', completed: false, tags: [], due: null, subtasks: [] }]
+      return withApp({ stored: { todos, lists, 'todos.work': work } }, app => act(app, '.todo-2 .select-todo', 'click').then(_ => act(app, '.bulk-move', 'change', { target: { value: 'work' } })).then(_ => {
+        assert.deepEqual(titles(app), ['Buy milk', 'Call mum'])
+        assert.deepEqual(app.stored['todos.work'].map(todo => [todo.id, todo.title]), [[1, 'Write report'], [2, 'Plan trip']])
+        const synced = sent(app, 'SYNC').filter(({ key }) => key === 'todos.work')
+        assert.equal(synced.length, 1)
+        assert.deepEqual(synced[0].value.map(todo => [todo.id, todo.title]), [[1, 'Write report'], [2, 'Plan trip']])
+        assert.equal(synced[0].revision, 0)
+        assert.deepEqual(lastEffect(app), { type: 'SET_VALUE', data: { selector: '.bulk-move' } })
+        assert.equal(app.state.announcement, '1 todo moved to Work')
+      }))
+    })
+
+  })
+
+  describe('import and export', function () {
+
+    it('downloads the shown todos (EXPORT)', () => withApp({ stored: { todos }, route: '/active' }, app => {
+      return act(app, '.export-todos[data-format="csv"]', 'click').then(_ => {
+        const { type, data } = last(app, 'FILES')
+        assert.equal(type, 'DOWNLOAD')
+        assert.equal(data.filename, 'todos-active.csv')
+        assert.equal(data.mimeType, 'text/csv')
+        assert.ok(data.content.includes('Buy milk'))
+        assert.ok(!data.content.includes('Call mum'))
+      })
+    }))
+
+    it('reads files picked with the file input (READ_FILES)', () => withApp({ stored: { todos } }, app => {
+      const file = { name: 'todos.json' }
+      return act(app, '.import-file', 'change', { target: { files: [file] } }).then(_ => {
+        const { type, data } = last(app, 'FILES')
+        assert.equal(type, 'READ')
+        assert.deepEqual(data, [file])
+      })
+    }))
+
+    it('reads files dropped onto the app (DRAG_FILES_OVER, DRAG_FILES_LEAVE, DROP_FILES)', () => withApp({ stored: { todos } }, app => {
+      const file = { name: 'todos.csv' }
+      const dataTransfer = { types: ['Files'], files: [file] }
+      return act(app, '.todoapp', 'dragover', { dataTransfer }).then(_ => {
+        assert.equal(app.state.fileOver, true)
+        assert.equal(app.find('.todoapp.file-over').length, 1)
+        return act(app, '.todoapp', 'dragleave', { dataTransfer, relatedTarget: null })
+      }).then(_ => {
+        assert.equal(app.state.fileOver, false)
+        return act(app, '.todo-list', 'dragover', { dataTransfer })
+      }).then(_ => act(app, '.todo-list', 'drop', { dataTransfer })).then(_ => {
+        assert.equal(app.state.fileOver, false)
+        assert.deepEqual(last(app, 'FILES').data, [file])
+      })
+    }))
+
+    it('adds the todos from imported files, skipping ones it already has (IMPORT, CLEAR_IMPORT_FIELD)', () => withApp({ stored: { todos } }, app => {
+      const text = JSON.stringify([{ title: 'Buy milk', tags: ['shopping'] }, { title: 'Water plants' }])
+      app.emit('FILES', { name: 'todos.json', text })
+      return app.settle().then(_ => {
+        assert.deepEqual(titles(app), ['Buy milk', 'Plan trip', 'Call mum', 'Water plants'])
+        assert.equal(app.state.importStatus, 'Imported 1 todo, skipped 1 duplicate')
+        assert.deepEqual(lastEffect(app), { type: 'SET_VALUE', data: { selector: '.import-file' } })
+      })
+    }))
+
+    it('shows files that couldn\'t be imported (IMPORT, CLEAR_IMPORT_STATUS)', () => withApp({ stored: { todos } }, app => {
+      app.emit('FILES', { name: 'todos.json', text: '{ not json' })
+      return app.settle().then(_ => {
+        assert.ok(app.state.importStatus.startsWith('Couldn\'t import todos.json'))
+        assert.equal(app.state.todos.length, 3)
+        return act(app, '.import-status', 'click')
+      }).then(_ => {
+        assert.equal(app.state.importStatus, '')
+        assert.equal(app.find('.import-status').length, 0)
+      })
+    }))
+
+  })
+
+  describe('long lists', function () {
+
+    // more todos than the list renders in full (see WINDOW_THRESHOLD in ./lib/listWindow)
+    const many = Array.from({ length: 500 }, (_, index) => ({ id: index + 1, title: 'Todo ' + (index + 1), completed: false, tags: [], due: null, priority: 'normal', subtasks: [] }))
+
+    const rendered = app => app.find('.todo-list li.todo').map(el => Number(el.getAttribute('data-id')))
+
+    it('only renders the todos in view, padding the list for the rest', () => withApp({ stored: { todos: many } }, app => {
+      assert.equal(app.find('.todo-list.windowed').length, 1)
+      assert.deepEqual(rendered(app), many.slice(0, INITIAL_WINDOW.size).map(todo => todo.id))
+      assert.equal(app.find('.todo-list')[0].vnode.data.style.paddingBottom, (500 - INITIAL_WINDOW.size) * ROW_HEIGHT + 'px')
+      assert.equal(app.find('.todo-count strong')[0].textContent, '500')
+    }))
+
+    it('renders the todos scrolled into view (SCROLL_LIST)', () => withApp({ stored: { todos: many } }, app => {
+      return act(app, '.todo-list', 'scroll', { target: { scrollTop: 100 * ROW_HEIGHT, clientHeight: 10 * ROW_HEIGHT } }).then(_ => {
+        assert.deepEqual(app.state.listWindow, { start: 90, size: 30 })
+        assert.deepEqual(rendered(app), many.slice(90, 120).map(todo => todo.id))
+        assert.equal(app.find('.todo-list')[0].vnode.data.style.paddingTop, 90 * ROW_HEIGHT + 'px')
+      })
+    }))
+
+    it('doesn\'t save or sync the todos again while scrolling (SCROLL_LIST)', () => withApp({ stored: { todos: many } }, app => {
+      const saves = _ => sent(app, 'STORE').filter(({ key }) => key === 'todos').length
+      const syncs = _ => sent(app, 'SYNC').length
+      const before = { saves: saves(), syncs: syncs() }
+      return act(app, '.todo-list', 'scroll', { target: { scrollTop: 100 * ROW_HEIGHT, clientHeight: 10 * ROW_HEIGHT } }).then(_ => {
+        assert.deepEqual(app.state.listWindow, { start: 90, size: 30 })
+        assert.deepEqual({ saves: saves(), syncs: syncs() }, before)
+      })
+    }))
+
+    it('only renders the shown todos once a long list is filtered', () => withApp({ stored: { todos: many.map(todo => ({ ...todo, completed: todo.id > 20 })) } }, app => {
+      app.emit('ROUTER', { name: 'visibility', params: { visibility: 'active' }, query: {} })
+      return app.settle().then(_ => {
+        assert.equal(app.find('.todo-list.windowed').length, 0)
+        assert.equal(app.find('.todo-list li.todo').length, 20)
+        assert.equal(app.vtree && app.find('.todo-list')[0].vnode.children.length, 20)
+      })
+    }))
+
+    it('puts changes to the rendered todos back into the whole list', () => withApp({ stored: { todos: many } }, app => {
+      return act(app, '.todo-list', 'scroll', { target: { scrollTop: 100 * ROW_HEIGHT, clientHeight: 10 * ROW_HEIGHT } })
+        .then(_ => act(app, '.todo-101 .toggle', 'click', { target: { checked: true } }))
+        .then(_ => act(app, '.todo-102 .destroy', 'click')).then(_ => {
+          assert.equal(app.state.todos.length, 499)
+          assert.equal(app.state.todos[100].completed, true)
+          assert.equal(app.state.todos[101].id, 103)
+          assert.equal(app.find('.todo-count strong')[0].textContent, '498')
+          assert.equal(app.stored.todos.length, 499)
+        })
+    }))
+
+    it('renders the todo the cursor moves to when it\'s out of view (MOVE_CURSOR)', () => withApp({ stored: { todos: many } }, app => {
+      return act(app, '.todo-40', 'keydown', { key: 'j' }).then(_ => {
+        assert.deepEqual(focused(app), ['.todo-41'])
+        assert.deepEqual(app.state.listWindow, { start: 20, size: INITIAL_WINDOW.size })
+        assert.equal(app.find('.todo-41').length, 1)
+      })
+    }))
+
+  })
+
+  describe('storage', function () {
+
+    it('saves and syncs the todos whenever they change (TO_STORE, TO_SYNC)', () => withApp({ stored: { todos } }, app => {
+      return act(app, '.todo-2 .toggle', 'click', { target: { checked: true } }).then(_ => {
+        assert.deepEqual(app.stored.todos.map(todo => todo.completed), [false, true, true])
+        assert.ok(app.stored.todos.every(todo => !('hidden' in todo)))
+        const { key, value, revision } = last(app, 'SYNC')
+        assert.equal(key, 'todos')
+        assert.deepEqual(value, app.stored.todos)
+        assert.equal(revision, 0)
+      })
+    }))
+
+    it('doesn\'t save or sync the todos when only the filters or the selection change', () => withApp({ stored: { todos } }, app => {
+      const before = { STORE: sent(app, 'STORE').length, SYNC: sent(app, 'SYNC').length }
+      app.emit('ROUTER', { name: 'visibility', params: { visibility: 'active' }, query: {} })
+      return app.settle().then(_ => act(app, '.todo-1 .select-todo', 'click')).then(_ => {
+        assert.equal(app.state.todos.filter(todo => todo.hidden).length, 1)
+        assert.equal(sent(app, 'STORE').length, before.STORE)
+        assert.equal(sent(app, 'SYNC').length, before.SYNC)
+      })
+    }))
+
+    it('removes the todos of deleted lists once that\'s confirmed, here and on the sync server (CONFIRM_DELETE, DELETE_LIST, REMOVE_TODOS)', () => withApp({ stored: { todos, lists, 'todos.work': [todos[0]] }, route: '/list/work' }, app => {
+      // deleting a list asks first, and nothing is deleted until the DOMFX driver reports the answer
+      const confirm = { type: 'CONFIRM', data: { message: 'Delete this list and all of its todos?', list: 'work' }, action: 'CONFIRM_DELETE' }
+      return act(app, '.list-work .delete-list', 'click').then(_ => {
+        const { type, data } = lastEffect(app)
+        assert.deepEqual({ type, data }, { type: confirm.type, data: confirm.data })
+        assert.deepEqual(app.stored.lists, lists)
+        // cancelling is reported as an error
+        app.emit('DOMFX', { ...confirm, error: 'cancelled' })
+        return app.settle()
+      }).then(_ => {
+        assert.deepEqual(app.stored.lists, lists)
+        assert.deepEqual(app.stored['todos.work'], [todos[0]])
+        app.emit('DOMFX', confirm)
+        return app.settle()
+      }).then(_ => {
+        assert.deepEqual(app.stored.lists, [])
+        assert.ok(!app.stored.hasOwnProperty('todos.work'))
+        assert.deepEqual(app.stored.todos, todos)
+        assert.deepEqual(sent(app, 'SYNC').filter(({ key }) => key === 'todos.work').map(({ key, remove }) => ({ key, remove })), [{ key: 'todos.work', remove: true }])
+        assert.equal(app.state.list, 'default')
+      })
+    }))
+
+  })
+
+})
@@ -0,0 +1,77 @@
+import xs from 'xstream'
+import isolate from '@cycle/isolate'
+import { component } from '../lib/component'
+import { commandFor, bindings } from '../keymap'
+import { translate } from '../locales'
+
+
+
+const helpOverlay = component({
+  name: 'HELP',
+
+  model: {
+
+    // move focus into the help overlay when it opens
+    TOGGLE_HELP: (state, data, next) => {
+      if (!state.showHelp) next('FOCUS', { selector: '.close-help' })
+      return { ...state, showHelp: !state.showHelp }
+    },
+
+    CLOSE_HELP:  (state) => state.showHelp ? { ...state, showHelp: false } : state,
+
+    FOCUS:       { DOMFX: (state, data) => ({ type: 'FOCUS', data }) },
+
+  },
+
+  intent: ({ DOM }) => {
+    // open and close the overlay with the HELP keyboard shortcut (see ../keymap)
+    //  - the APP prevents the default for every shortcut, so the key isn't also typed into a field
+    const toggleHelp$ = DOM.select('document').events('keydown').filter(e => commandFor(e) === 'HELP')
+
+    // Escape, a click outside the dialog or the close button closes the overlay
+    const closeHelp$  = xs.merge(
+                          DOM.select('document').events('keydown').filter(e => e.keyCode === 27),
+                          DOM.select('.help-overlay').events('click').filter(e => e.target === e.currentTarget || e.target.matches('.close-help'))
+                        )
+
+
+    return {
+      TOGGLE_HELP: toggleHelp$,
+      CLOSE_HELP:  closeHelp$,
+    }
+  },
+
+  view: ({ state }) => {
+    const { showHelp, locale } = state
+    if (!showHelp) return null
+
+    // translate messages into the app's language (see ../locales)
+    const t = (id, values) => translate(locale, id, values)
+
+    const renderKey = key => <kbd>{ key }</kbd>
+    const renderBinding = ({ command, keys }) => [<dt>{ keys.map(renderKey) }</dt>, <dd>{ t('command.' + command) }</dd>]
+
+    return (
+      <div className="help-overlay">
+        <div className="help" role="dialog" aria-modal="true" aria-labelledby="help-title">
+          <h2 id="help-title">{ t('help.title') }</h2>
+          <dl>
+            { bindings().map(renderBinding) }
+          </dl>
+          <button className="close-help">{ t('help.close') }</button>
+        </div>
+      </div>
+    )
+  }
+
+})
+
+
+// the overlay only sees whether it's open and the app's language, and can only open or close itself
+const helpLens = {
+  get: state => ({ showHelp: state.showHelp, locale: state.locale }),
+  set: (state, { showHelp }) => ({ ...state, showHelp }),
+}
+
+
+export default isolate(helpOverlay, { STATE: helpLens })
@@ -0,0 +1,152 @@
+import xs from 'xstream'
+import sampleCombine from 'xstream/extra/sampleCombine'
+import isolate from '@cycle/isolate'
+import { component } from '../lib/component'
+import { inputEvents, classes } from '../lib/utils'
+import { DEFAULT_LIST, storageKey, listId } from '../lib/lists'
+import { listHref } from '../routes'
+import { translate } from '../locales'
+
+
+
+// get the id of the list an element belongs to
+const listIdOf = el => el.closest('li[data-id]').getAttribute('data-id')
+
+// remove the flags used while renaming a list before it's stored
+const forStorage = lists => lists.map(({ id, name }) => ({ id, name }))
+
+
+const listSwitcher = component({
+  name: 'LISTS',
+
+  model: {
+
+    NEW_LIST: (state, name, next) => {
+      const id = listId(name, state.lists)
+      next('SET_VALUE', { selector: '.new-list' })
+      next('SAVE_LISTS')
+      // go straight to the new list
+      next('NAVIGATE', { name: 'list', params: { list: id } })
+      return { ...state, lists: [...state.lists, { id, name }] }
+    },
+
+    RENAME_START: (state, id, next) => {
+      const list = state.lists.find(list => list.id === id)
+      const selector = '.list-' + id + ' .rename'
+      next('SET_VALUE', { selector, value: list.name })
+      next('FOCUS', { selector })
+      return { ...state, lists: state.lists.map(list => (list.id === id) ? { ...list, editing: true } : list) }
+    },
+
+    RENAME_DONE: (state, name, next) => {
+      // if no list is being renamed then don't change
+      if (!state.lists.some(list => list.editing)) return state
+      // blank names are ignored, and keep the current name
+      const lists = state.lists.map(list => list.editing ? { id: list.id, name: name.trim() || list.name } : list)
+      next('SAVE_LISTS')
+      return { ...state, lists }
+    },
+
+    RENAME_CANCEL: (state) => ({ ...state, lists: forStorage(state.lists) }),
+
+    // deleting a list also deletes its todos, so check first (in the app's language)
+    //  - the DOMFX driver asks, and the list is deleted once it reports the answer without an error
+    CONFIRM_DELETE: { DOMFX: (state, id) => ({ type: 'CONFIRM', data: { message: translate(state.locale, 'lists.confirmDelete'), list: id } }) },
+
+    DELETE_LIST: (state, id, next) => {
+      next('SAVE_LISTS')
+      // remove the deleted list's todos, here and on the sync server
+      next('REMOVE_TODOS', id)
+      // leave the deleted list if it's the one being shown
+      if (state.current === id) next('NAVIGATE', { name: 'home' })
+      return { ...state, lists: state.lists.filter(list => list.id !== id) }
+    },
+
+    SAVE_LISTS:  { STORE: (state) => ({ key: 'lists', value: forStorage(state.lists) }) },
+
+    REMOVE_TODOS: {
+      STORE: (state, id) => ({ key: storageKey(id), remove: true }),
+      SYNC:  (state, id) => ({ key: storageKey(id), remove: true }),
+    },
+
+    NAVIGATE:    { ROUTER: true },
+
+    SET_VALUE:   { DOMFX: (state, data) => ({ type: 'SET_VALUE', data }) },
+
+    FOCUS:       { DOMFX: (state, data) => ({ type: 'FOCUS', data }) },
+
+  },
+
+  intent: ({ DOM, DOMFX }) => {
+    // create a new list from the name typed in the new list field
+    const { value$: nameValue$, enter$: nameEnter$ } = inputEvents(DOM.select('.new-list'))
+    const newList$ = nameEnter$.compose(sampleCombine(nameValue$))
+                               .map(([_, name]) => name.trim())
+                               .filter(name => name !== '')
+
+    // rename lists with the rename button or by double clicking their name
+    const renameStart$ = xs.merge(
+      DOM.select('.rename-list').events('click'),
+      DOM.select('.user-list .list-name').events('dblclick')
+    ).map(e => listIdOf(e.target))
+
+    const { value$, enter$, escape$, blur$ } = inputEvents(DOM.select('.rename'))
+    const renameDone$ = xs.merge(enter$, blur$)
+                          .compose(sampleCombine(value$))
+                          .map(([_, name]) => name)
+
+    // delete lists once the user confirms it (see CONFIRM_DELETE)
+    const confirmDelete$ = DOM.select('.delete-list').events('click').map(e => listIdOf(e.target))
+    const delete$        = DOMFX.filter(({ action, error }) => action === 'CONFIRM_DELETE' && !error).map(({ data }) => data.list)
+
+
+    return {
+      NEW_LIST:       newList$,
+      RENAME_START:   renameStart$,
+      RENAME_DONE:    renameDone$,
+      RENAME_CANCEL:  escape$,
+      CONFIRM_DELETE: confirmDelete$,
+      DELETE_LIST:    delete$,
+    }
+  },
+
+  view: ({ state }) => {
+    const { lists, current, locale } = state
+
+    // translate messages into the app's language (see ../locales)
+    const t = (id, values) => translate(locale, id, values)
+
+    const renderList = ({ id, name, editing }) => (
+      <li className={ classes('user-list', 'list-' + id, { selected: current === id, editing }) } data-id={ id }>
+        <a className="list-name" href={ listHref(id, 'home') } aria-current={ (current === id) ? 'page' : false }>{ name }</a>
+        <button className="rename-list" title={ t('lists.renameTitle') } aria-label={ t('lists.renameLabel', { name }) }>{ t('lists.rename') }</button>
+        <button className="delete-list" title={ t('lists.deleteTitle') } aria-label={ t('lists.deleteLabel', { name }) } />
+        <input className="rename" type="text" value={ name } aria-label={ t('lists.name') } />
+      </li>
+    )
+
+    return (
+      <aside className="list-switcher" aria-labelledby="list-switcher-title">
+        <h2 id="list-switcher-title">{ t('lists.title') }</h2>
+        <ul>
+          <li className={ classes('list-default', { selected: current === DEFAULT_LIST }) }>
+            <a className="list-name" href={ listHref(DEFAULT_LIST, 'home') } aria-current={ (current === DEFAULT_LIST) ? 'page' : false }>{ t('lists.default') }</a>
+          </li>
+          { lists.map(renderList) }
+        </ul>
+        <input className="new-list" autocomplete="off" placeholder={ t('lists.new') } aria-label={ t('lists.new') } />
+      </aside>
+    )
+  }
+
+})
+
+
+// the switcher only sees the lists, which one is being shown, and the app's language, and can only change the lists
+const listsLens = {
+  get: state => ({ lists: state.lists, current: state.route.list, locale: state.locale }),
+  set: (state, { lists }) => ({ ...state, lists }),
+}
+
+
+export default isolate(listSwitcher, { STATE: listsLens })
@@ -0,0 +1,183 @@
+import xs from 'xstream'
+import sampleCombine from 'xstream/extra/sampleCombine'
+import isolate from '@cycle/isolate'
+import { component } from '../lib/component'
+import { inputEvents, newId } from '../lib/utils'
+import { snapshot } from '../lib/history'
+import { setCompleted, completeTodo } from '../lib/subtasks'
+import { DEFAULT_LIST, storageKey } from '../lib/lists'
+import { isPicked, withoutSelection } from '../lib/selection'
+import { announce } from '../lib/announce'
+import { translate, translateParts } from '../locales'
+
+
+
+// clean up tags typed into the bulk tag field (ex. '#Work home' becomes ['work', 'home'])
+const parseTags = text => text.split(/[\s,]+/).map(tag => tag.replace(/^#+/, '').toLowerCase()).filter(Boolean)
+
+// get the name of a list in the app's language (only the default list's name is translated)
+const listName = (state, list) => (list === DEFAULT_LIST) ? translate(state.locale, 'lists.default') : (state.lists.find(({ id }) => id === list) || { name: list }).name
+
+
+const selectionToolbar = component({
+  name: 'SELECTION',
+
+  calculated: {
+    selected: (state) => state.todos.filter(isPicked).length,
+  },
+
+  model: {
+
+    SELECT_ALL: (state) => ({ ...state, todos: state.todos.map(todo => todo.hidden ? todo : { ...todo, selected: true }) }),
+
+    CLEAR_SELECTION: (state) => ({ ...state, selecting: false, selectionAnchor: null, todos: withoutSelection(state.todos) }),
+
+    // bulk actions on the selected todos
+    //  - each one changes all of the selected todos at once, so it's also a single step in the undo history
+    //  - selected todos hidden by the current filters are left alone (see isPicked), and aren't counted in the announcements
+    //  - todos are completed like they are one at a time, so recurring ones still get their next occurrence (see completeTodo in ../lib/subtasks)
+    BULK_COMPLETE: (state) => {
+      const todos = state.todos.map(todo => isPicked(todo) ? completeTodo(todo, true) : todo)
+      return announce({ ...state, todos }, 'announce.bulkCompleted', { count: state.selected })
+    },
+
+    BULK_UNCOMPLETE: (state) => {
+      const todos = state.todos.map(todo => isPicked(todo) ? setCompleted(todo, false) : todo)
+      return announce({ ...state, todos }, 'announce.bulkReopened', { count: state.selected })
+    },
+
+    BULK_DELETE: (state) => {
+      const todos = state.todos.filter(todo => !isPicked(todo))
+      return announce({ ...state, selectionAnchor: null, todos }, 'announce.bulkDeleted', { count: state.todos.length - todos.length })
+    },
+
+    BULK_TAG: (state, text, next) => {
+      const tags = parseTags(text)
+      next('CLEAR_BULK_TAG_FIELD')
+      if (tags.length === 0) return state
+      const todos = state.todos.map(todo => {
+        if (!isPicked(todo)) return todo
+        const added = tags.filter(tag => !(todo.tags || []).includes(tag))
+        return added.length ? { ...todo, tags: [...(todo.tags || []), ...added] } : todo
+      })
+      return announce({ ...state, todos }, 'announce.bulkTagged', { count: state.selected, tags: tags.map(tag => '#' + tag).join(' ') })
+    },
+
+    // move the selected todos to the end of another list
+    //  - the other list's todos are loaded by the intent, and the moved todos get fresh ids there
+    BULK_MOVE: (state, { list, existing }, next) => {
+      const moving = snapshot(state.todos.filter(isPicked))
+      if (list === state.list || moving.length === 0) return state
+      const moved = moving.reduce((acc, todo) => [...acc, { ...todo, id: newId(acc) }], existing)
+      next('SAVE_TO_LIST', { list, todos: moved })
+      next('CLEAR_BULK_MOVE_FIELD')
+      const todos = state.todos.filter(todo => !isPicked(todo))
+      return announce({ ...state, selectionAnchor: null, todos }, 'announce.bulkMoved', { count: moving.length, list: listName(state, list) })
+    },
+
+    // save and sync the other list, like the APP does for the list being shown (see TO_STORE and TO_SYNC in ../app)
+    SAVE_TO_LIST: {
+      STORE: (state, { list, todos }) => ({ key: storageKey(list), value: todos }),
+      SYNC:  (state, { list, todos }) => ({ key: storageKey(list), value: todos, revision: state.syncRevisions[list] || 0 }),
+    },
+
+    CLEAR_BULK_TAG_FIELD:  { DOMFX: ({ type: 'SET_VALUE', data: { selector: '.bulk-tag' } }) },
+
+    CLEAR_BULK_MOVE_FIELD: { DOMFX: ({ type: 'SET_VALUE', data: { selector: '.bulk-move' } }) },
+
+  },
+
+  intent: ({ DOM, STORE }) => {
+    const selectAll$      = DOM.select('.select-all').events('click')
+
+    // Escape clears the selection too (unless it's closing an edit)
+    const clearSelection$ = xs.merge(
+                              DOM.select('.clear-selection').events('click'),
+                              DOM.select('document').events('keydown').filter(e => e.keyCode === 27 && !['INPUT', 'SELECT'].includes(e.target.tagName))
+                            )
+    const bulkComplete$   = DOM.select('.bulk-complete').events('click')
+    const bulkUncomplete$ = DOM.select('.bulk-uncomplete').events('click')
+    const bulkDelete$     = DOM.select('.bulk-delete').events('click')
+
+    const { value$: tagValue$, enter$: tagEnter$ } = inputEvents(DOM.select('.bulk-tag'))
+    const bulkTag$        = tagEnter$.compose(sampleCombine(tagValue$)).map(([_, text]) => text)
+
+    // moving todos to another list needs that list's todos, so load them first
+    const bulkMove$       = DOM.select('.bulk-move').events('change')
+                               .map(e => e.target.value)
+                               .filter(list => list !== '')
+                               .map(list => STORE.get(storageKey(list), []).take(1).map(existing => ({ list, existing })))
+                               .flatten()
+
+
+    return {
+      SELECT_ALL:      selectAll$,
+      CLEAR_SELECTION: clearSelection$,
+      BULK_COMPLETE:   bulkComplete$,
+      BULK_UNCOMPLETE: bulkUncomplete$,
+      BULK_DELETE:     bulkDelete$,
+      BULK_TAG:        bulkTag$,
+      BULK_MOVE:       bulkMove$,
+    }
+  },
+
+  // the toolbar takes the footer's place while the selection checkboxes are shown, or while any todo is selected
+  view: ({ state }) => {
+    const { selecting, selected, current, locale } = state
+    if (!selecting && selected === 0) return null
+
+    // translate messages into the app's language (see ../locales)
+    //  - the count is shown in bold, so it's translated into parts
+    const t = (id, values) => translate(locale, id, values)
+    const renderPart = part => (typeof part === 'string') ? part : (part.name === 'count') ? <strong>{ part.value }</strong> : part.value
+
+    const renderMoveTarget = ({ id, name }) => <option value={ id }>{ name }</option>
+    const moveTargets = [{ id: DEFAULT_LIST, name: t('lists.default') }, ...state.lists].filter(({ id }) => id !== current)
+
+    return (
+      <footer className="footer selection-toolbar">
+        <span className="selection-count">
+          { translateParts(locale, 'selection.count', { count: selected }).map(renderPart) }
+        </span>
+        <button className="select-all">{ t('selection.selectAll') }</button>
+        <button className="clear-selection">{ t('selection.done') }</button>
+        <div className="footer-tools" role="toolbar" aria-label={ t('selection.toolbar') }>
+          <button className="bulk-complete" disabled={ selected === 0 }>{ t('selection.complete') }</button>
+          <button className="bulk-uncomplete" disabled={ selected === 0 }>{ t('selection.uncomplete') }</button>
+          <button className="bulk-delete" disabled={ selected === 0 }>{ t('selection.delete') }</button>
+          <input className="bulk-tag" autocomplete="off" placeholder={ t('selection.tag') } aria-label={ t('selection.tagLabel') } disabled={ selected === 0 } />
+          { (moveTargets.length > 0) &&
+            <select className="bulk-move" aria-label={ t('selection.moveLabel') } disabled={ selected === 0 }>
+              <option value="" selected>{ t('selection.move') }</option>
+              { moveTargets.map(renderMoveTarget) }
+            </select>
+          }
+        </div>
+      </footer>
+    )
+  }
+
+})
+
+
+// the toolbar sees the todos, the lists they can be moved to (and how far each one is synced), and the app's language
+//  - it can change the todos and the selection, and announce what it did
+//  - todos keep the view flags the APP gave them, which the bulk actions don't change
+const selectionLens = {
+  get: state => ({
+    todos:           state.todos,
+    selecting:       state.selecting,
+    selectionAnchor: state.selectionAnchor,
+    list:            state.list,
+    lists:           state.lists,
+    syncRevisions:   state.syncRevisions,
+    current:         state.route.list,
+    locale:          state.locale,
+    announcement:    state.announcement,
+    announcements:   state.announcements,
+  }),
+  set: (state, { todos, selecting, selectionAnchor, announcement, announcements }) => ({ ...state, todos, selecting, selectionAnchor, announcement, announcements }),
+}
+
+
+export default isolate(selectionToolbar, { STATE: selectionLens })
@@ -0,0 +1,125 @@
+import xs from 'xstream'
+import sampleCombine from 'xstream/extra/sampleCombine'
+import { component, collection } from '../lib/component'
+import { inputEvents, classes } from '../lib/utils'
+import { withCompletion } from '../lib/subtasks'
+import { translate, DEFAULT_LOCALE } from '../locales'
+
+
+
+
+const subtask = component({
+  name: 'SUBTASK',
+
+  model: {
+
+    TOGGLE:     (state) => ({ ...state, completed: !state.completed }),
+    DESTROY:    (state) => undefined,
+
+    EDIT_START: (state, data, next) => {
+      const selector = '.subtask-' + state.id + ' .edit'
+      // update the value of the input field to the current title
+      next('SET_EDIT_VALUE',   { selector, value: state.title })
+      // set focus on the input field
+      next('FOCUS_EDIT_FIELD', { selector })
+      // mark the subtask as being edited and save the current title in case the edit is cancelled
+      return { ...state, editing: true, cachedTitle: state.title }
+    },
+
+    EDIT_DONE: (state, title) => {
+      // if the subtask is not being edited then don't change
+      if (state.editing === false) return state
+      // remove subtasks that were edited down to nothing
+      if (title.trim() === '') return undefined
+      return { ...state, title: title.trim(), editing: false, cachedTitle: '' }
+    },
+
+    EDIT_CANCEL: (state, done, next) => {
+      const selector = '.subtask-' + state.id + ' .edit'
+      // set the value of the edit input field back to the original title
+      next('SET_EDIT_VALUE', { selector, value: state.cachedTitle })
+      // the edit field is hidden again, so put focus back on the subtask
+      next('FOCUS_SUBTASK')
+      // set the subtask back to the pre-edit value and remove the editing flag
+      return { ...state, title: state.cachedTitle, editing: false, cachedTitle: '' }
+    },
+
+    // put focus back on the subtask after finishing an edit with Enter, so it doesn't fall back to the page
+    RESTORE_FOCUS: (state, data, next) => {
+      next('FOCUS_SUBTASK')
+      return state
+    },
+
+    FOCUS_SUBTASK:    { DOMFX: (state) => ({ type: 'FOCUS', data: { selector: '.subtask-' + state.id + ' .toggle' } }) },
+
+    SET_EDIT_VALUE:   { DOMFX: (state, data) => ({ type: 'SET_VALUE', data }) },
+
+    FOCUS_EDIT_FIELD: { DOMFX: (state, data) => ({ type: 'FOCUS', data }) },
+
+  },
+
+  intent: ({ DOM }) => {
+    // collect DOM events and elements
+    const toggle$   = DOM.select('.toggle').events('click')
+    const label$    = DOM.select('.subtask label').events('dblclick')
+    const destroy$  = DOM.select('.destroy').events('click')
+    const input$    = DOM.select('.edit')
+
+    // get events from the input field
+    const { value$, enter$, escape$, blur$ } = inputEvents(input$)
+
+    // map submitted edits to the new title
+    const doneEditing$ = xs.merge(enter$, blur$)
+                           .compose(sampleCombine(value$))
+                           .map(([_, title]) => title)
+
+    // subtasks edited down to nothing are removed, so there's nothing to put focus back on
+    const restoreFocus$ = enter$.compose(sampleCombine(value$))
+                                .filter(([_, title]) => title.trim() !== '')
+
+
+    return {
+      TOGGLE:        toggle$,
+      DESTROY:       destroy$,
+      EDIT_START:    label$,
+      EDIT_DONE:     doneEditing$,
+      EDIT_CANCEL:   escape$,
+      RESTORE_FOCUS: restoreFocus$,
+    }
+  },
+
+  view: ({ state }) => {
+    const { id, completed, editing, title, locale=DEFAULT_LOCALE } = state
+    // calculate class for subtask
+    const classNames = classes('subtask', 'subtask-' + id, { completed, editing })
+    // translate messages into the app's language (see ../locales)
+    //  - the checkbox and buttons only show an icon, so their labels for screen readers name the subtask
+    const t = (id, values) => translate(locale, id, values)
+
+    return (
+      <li className={ classNames } data-id={ id }>
+        <div className="view">
+          <input className="toggle" type="checkbox" checked={ !!completed } aria-label={ t('step.complete', { title }) } />
+          <label>{ title }</label>
+          <button className="outdent" title={ t('step.outdentTitle') } aria-label={ t('step.outdent', { title }) }>&larr;</button>
+          <button className="destroy" aria-label={ t('step.delete', { title }) } />
+        </div>
+        <input className="edit" type="text" value={ title } aria-label={ t('step.edit') } />
+      </li>
+    )
+  }
+
+})
+
+
+// subtasks are kept in the `subtasks` field of their parent todo
+//  - the parent is completed whenever all of its subtasks are, so changes to the subtasks also update the parent
+//  - older todos may not have a `subtasks` field yet
+//  - subtasks are shown in the same language as their parent, which isn't saved with them
+const subtasksLens = {
+  get: todo => (todo.subtasks || []).map(subtask => ({ ...subtask, locale: todo.locale })),
+  set: (todo, subtasks) => withCompletion({ ...todo, subtasks: subtasks.map(({ locale, ...subtask }) => subtask) }),
+}
+
+
+export default collection(subtask, subtasksLens)
@@ -1,23 +1,42 @@
 import xs from 'xstream'
 import sampleCombine from 'xstream/extra/sampleCombine'
-import { component, collection } from 'cyclejs-component'
-import { inputEvents, classes } from '../lib/utils'
+import { component, collection } from '../lib/component'
+import { inputEvents, classes, newId, parseTitle, formatTitle, splitMatches } from '../lib/utils'
+import { listHref } from '../routes'
+import { dueFlags, formatDue } from '../lib/dates'
+import { describeRepeat, firstDue } from '../lib/recurrence'
+import { nextPriority, priorityMarker, DEFAULT_PRIORITY } from '../lib/priority'
+import { hasSubtasks, withCompletion, completeTodo, progress } from '../lib/subtasks'
+import subtasks from './subtasks'
+import { DEFAULT_LIST } from '../lib/lists'
+import { commandFor } from '../keymap'
+import { translate, DEFAULT_LOCALE } from '../locales'
 
 
 
+// count the subtasks of a todo that are done, for the progress message read out by screen readers
+const progressCounts = todo => ({ done: todo.subtasks.filter(subtask => subtask.completed).length, total: todo.subtasks.length })
+
 
 const todo = component({
   name: 'TODO',
 
+  children: { subtasks },
+
   model: {
 
-    TOGGLE:     (state) => ({ ...state, completed: !state.completed }),
+    // toggling a todo with subtasks toggles all of its subtasks too
+    //  - completing a recurring todo flags it so the app adds its next occurrence (see completeTodo in ../lib/subtasks)
+    TOGGLE:     (state) => completeTodo(state, !state.completed),
     DESTROY:    (state) => undefined,
 
+    // cycle through the priorities (low, normal, high, and back to low)
+    PRIORITY:   (state) => ({ ...state, priority: nextPriority(state.priority || DEFAULT_PRIORITY) }),
+
     EDIT_START: (state, data, next) => {
       const selector = '.todo-' + state.id + ' .edit'
-      // update the value of the input field to the current todo title
-      next('SET_EDIT_VALUE',   { selector, value: state.title })
+      // update the value of the input field to the current todo title (including its #hashtags)
+      next('SET_EDIT_VALUE',   { selector, value: formatTitle(state) })
       // set focus on the input field
       next('FOCUS_EDIT_FIELD', { selector })
       // mark the todo as being edited and save the current title in case the edit is cancelled
@@ -27,18 +46,51 @@ const todo = component({
     EDIT_DONE: (state, data) => {
       // if the todo is not being edited then don't change
       if (state.editing === false) return state
-      // update the todo's title, remove the editing flag, and delete the cached title
-      return { ...state, title: data, editing: false, cachedTitle: '' }
+      // split any #hashtags, due date, recurrence rule and priority marker out of the new title
+      //  - keep the current due date if the new title doesn't mention one (it can be cleared with the date field)
+      //  - the rule and marker are part of the edited text, so leaving them out stops the todo repeating and lowers its priority
+      //  - todos that start repeating without a due date are due on the first day the rule repeats on
+      const parsed = parseTitle(data)
+      const repeat = parsed.repeat
+      const due    = parsed.due || state.due || (repeat ? firstDue(repeat) : null)
+      // update the todo's title, tags, due date, recurrence rule and priority, remove the editing flag, and delete the cached title
+      return { ...state, title: parsed.title, tags: parsed.tags, due, ...dueFlags(due), repeat, priority: parsed.priority, editing: false, cachedTitle: '' }
+    },
+
+    SET_DUE: (state, date) => {
+      // keep the time of day from the current due date when a new day is picked
+      const time = (state.due && state.due.includes('T')) ? state.due.slice(10) : ''
+      const due  = date ? date + time : null
+      return { ...state, due, ...dueFlags(due) }
     },
 
     EDIT_CANCEL: (state, done, next) => {
       const selector = '.todo-' + state.id + ' .edit'
       // set the value of the edit input field back to the original title
-      next('SET_EDIT_VALUE', { selector: selector, value: state.cachedTitle })
+      next('SET_EDIT_VALUE', { selector: selector, value: formatTitle({ ...state, title: state.cachedTitle }) })
+      // the edit field is hidden again, so put focus back on the todo
+      next('FOCUS_TODO')
       // set the todo back to the pre-edit value and remove the editing flag
       return { ...state, title: state.cachedTitle, editing: false, cachedTitle: '' }
     },
 
+    ADD_SUBTASK: (state, title, next) => {
+      const subtasks = state.subtasks || []
+      // clear the new subtask field
+      next('SET_EDIT_VALUE', { selector: '.todo-' + state.id + ' .new-subtask' })
+      // adding a subtask that isn't done reopens a completed todo
+      return withCompletion({ ...state, subtasks: [...subtasks, { id: newId(subtasks), title, completed: false }] })
+    },
+
+    // put focus back on the todo after finishing an edit with Enter, so it doesn't fall back to the page
+    //  - edits finished by moving focus somewhere else leave it there
+    RESTORE_FOCUS: (state, data, next) => {
+      next('FOCUS_TODO')
+      return state
+    },
+
+    FOCUS_TODO:       { DOMFX: (state) => ({ type: 'FOCUS', data: { selector: '.todo-' + state.id } }) },
+
     SET_EDIT_VALUE:   { DOMFX: (state, data) => ({ type: 'SET_VALUE', data }) },
 
     FOCUS_EDIT_FIELD: { DOMFX: (state, data) => ({ type: 'FOCUS', data }) },
@@ -50,44 +102,109 @@ const todo = component({
     const toggle$   = DOM.select('.toggle').events('click')
     const label$    = DOM.select('.todo label').events('dblclick')
     const destroy$  = DOM.select('.destroy').events('click')
+    const priority$ = DOM.select('.priority').events('click')
     const input$    = DOM.select('.edit')
+    const dueDate$  = DOM.select('.edit-due')
 
     // get events from the input field
     //  - the inputEvents helper returns common events and automatically returns the current value
     const { value$, enter$, escape$, blur$ } = inputEvents(input$)
 
+    // moving focus between the title and due date fields doesn't finish the edit
+    const focusMovedTo = className => e => !!(e.relatedTarget && e.relatedTarget.classList && e.relatedTarget.classList.contains(className))
+    const titleBlur$   = blur$.filter(e => !focusMovedTo('edit-due')(e))
+    const dueBlur$     = dueDate$.events('blur').filter(e => !focusMovedTo('edit')(e))
+
+    // titles for new subtasks
+    const { value$: subtaskValue$, enter$: subtaskEnter$ } = inputEvents(DOM.select('.new-subtask'))
+    const addSubtask$ = subtaskEnter$.compose(sampleCombine(subtaskValue$))
+                                     .map(([_, title]) => title.trim())
+                                     .filter(title => title !== '')
+
+    // keyboard shortcuts for the todo under the cursor (see ../keymap)
+    //  - the cursor is the focused todo, so only keys pressed on the todo itself (and not its fields or buttons) count
+    const command = name => DOM.select('.todo').events('keydown')
+                               .filter(e => e.target.matches('li.todo') && commandFor(e) === name)
+                               .map(e => e.preventDefault() || e)
+
+    // new due dates picked in the date field (an empty value clears the due date)
+    const setDue$ = dueDate$.events('change').map(e => e.target.value)
+
     // map submitted edits to the new title
-    const doneEditing$ = xs.merge(enter$, blur$)
+    const doneEditing$ = xs.merge(enter$, titleBlur$, dueBlur$)
                            .compose(sampleCombine(value$))
                            .map(([_, title]) => title)
 
 
     return {
-      TOGGLE:      toggle$,
-      DESTROY:     destroy$,
-      EDIT_START:  label$,
-      EDIT_DONE:   doneEditing$,
-      EDIT_CANCEL: escape$,
+      TOGGLE:        xs.merge(toggle$, command('TOGGLE')),
+      DESTROY:       xs.merge(destroy$, command('DESTROY')),
+      PRIORITY:      xs.merge(priority$, command('PRIORITY')),
+      EDIT_START:    xs.merge(label$, command('EDIT')),
+      EDIT_DONE:     doneEditing$,
+      EDIT_CANCEL:   escape$,
+      RESTORE_FOCUS: enter$,
+      SET_DUE:       setDue$,
+      ADD_SUBTASK:   addSubtask$,
     }
   },
 
-  view: ({ state }) => {
-    const { id, hidden, completed, editing, title } = state
+  view: ({ state, subtasks }) => {
+    const { id, hidden, completed, selected, editing, title, tags=[], due, repeat, priority=DEFAULT_PRIORITY, overdue, dueToday, dragging, dropPosition, sorted, list=DEFAULT_LIST, search='', locale=DEFAULT_LOCALE } = state
     if (hidden) return
     // calculate class for todo
-    const classNames = classes('todo', 'todo-' + id, { completed, editing })
+    //  - due dates are only highlighted for todos that still need doing
+    //  - drop-before and drop-after show where a dragged todo will land
+    const classNames = classes('todo', 'todo-' + id, 'priority-' + priority, {
+      completed,
+      selected,
+      editing,
+      dragging,
+      overdue:       overdue && !completed,
+      'due-today':   dueToday && !completed,
+      'drop-before': dropPosition === 'before',
+      'drop-after':  dropPosition === 'after',
+    })
 
     // is the todo completed?
     const checked = !!completed
 
+    // todos are dragged around in the stored order, so they can't be dragged while the list is sorted (see ../lib/sort)
+    const draggable = !editing && !sorted
+
+    // translate messages into the app's language (see ../locales)
+    //  - the checkboxes and buttons only show an icon, so their labels for screen readers name the todo
+    const t = (id, values) => translate(locale, id, values)
+
+    // highlight the parts of the title matching the current search
+    const titleParts = splitMatches(title, search).map(part => part.match ? <mark>{ part.text }</mark> : part.text)
+
     return (
-      <li className={ classNames }>
+      <li className={ classNames } data-id={ id } draggable={ draggable } tabIndex={ -1 }>
         <div className="view">
-          <input className="toggle" type="checkbox" checked={ checked } />
-          <label>{ title }</label>
-          <button className="destroy" />
+          <input className="select-todo" type="checkbox" checked={ !!selected } title={ t('todo.selectTitle') } aria-label={ t('todo.select', { title }) } />
+          <input className="toggle" type="checkbox" checked={ checked } aria-label={ t('todo.complete', { title }) } />
+          <label>
+            { titleParts }
+            { tags.map(tag => <a className="tag" href={ listHref(list, 'tag', { name: tag }) }>#{ tag }</a>) }
+            { due && <span className="due">{ formatDue(due, undefined, locale) }</span> }
+            { repeat && <span className="repeat">{ describeRepeat(repeat, locale) }</span> }
+            { hasSubtasks(state) && <span className="progress" aria-label={ t('todo.progress', progressCounts(state)) }>{ progress(state) }</span> }
+          </label>
+          <button className="priority" title={ t('todo.priorityTitle') } aria-label={ t('todo.priority', { title, priority: t('priority.' + priority) }) }>{ priorityMarker(priority) || '!' }</button>
+          <button className="indent" title={ t('todo.indentTitle') } aria-label={ t('todo.indent', { title }) }>&rarr;</button>
+          <button className="destroy" aria-label={ t('todo.delete', { title }) } />
+        </div>
+        <input className="edit" type="text" value={ formatTitle(state) } aria-label={ t('todo.edit') } />
+        <input className="edit-due" type="date" title={ t('todo.due') } aria-label={ t('todo.due') } value={ due ? due.slice(0, 10) : '' } />
+        <div className={ classes('subtasks', { empty: !hasSubtasks(state) }) }>
+          { hasSubtasks(state) &&
+            <ul aria-label={ t('todo.steps', { title }) }>
+              { subtasks }
+            </ul>
+          }
+          <input className="new-subtask" autocomplete="off" placeholder={ t('todo.newStep') } aria-label={ t('todo.newStepLabel', { title }) } />
         </div>
-        <input className="edit" type="text" value={ title } />
       </li>
     )
   }
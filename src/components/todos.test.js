@@ -0,0 +1,197 @@
+import assert from 'assert'
+import { mount } from '../test/mount'
+import { toDateString, addDays } from '../lib/dates'
+import todos from './todos'
+
+// tests for each action of the TODO component, run on its own with mock drivers (see ../test/mount.js)
+//  - the todo list is started with todos in its state, like the APP gives it
+//  - events are fired on the todos' elements, and the tests check the todos and what was sent to the DOMFX driver
+
+
+
+const list = [
+  { id: 1, title: 'Buy milk', completed: false, tags: ['shopping'], due: null, priority: 'normal', subtasks: [] },
+  { id: 2, title: 'Plan trip', completed: false, tags: [], due: '2017-10-20T17:00', priority: 'normal', subtasks: [
+    { id: 1, title: 'Book flights', completed: true },
+    { id: 2, title: 'Book hotel', completed: false },
+  ] },
+]
+
+const ENTER  = { key: 'Enter', keyCode: 13 }
+const ESCAPE = { key: 'Escape', keyCode: 27 }
+
+// start the todo list, run a test once it has rendered, and stop it again whether the test passes or not
+const withTodos = (state, test) => {
+  const component = mount(todos, { state })
+  return component.settle()
+                  .then(_ => test(component))
+                  .then(_ => component.dispose(), e => {
+                    component.dispose()
+                    throw e
+                  })
+}
+
+// fire a DOM event and wait for the todos to settle
+const act = (component, selector, type, fields) => {
+  component.simulate(selector, type, fields)
+  return component.settle()
+}
+
+const todo = (component, id) => component.state.todos.find(todo => todo.id === id)
+
+// messages sent to the DOMFX driver, without the name of the action that sent them
+const effects = component => (component.sent.DOMFX || []).map(({ type, data }) => ({ type, data }))
+
+
+describe('TODO', function () {
+
+  it('renders each todo', () => withTodos({ todos: list }, component => {
+    assert.equal(component.find('li.todo').length, 2)
+    assert.equal(component.find('.todo-1 label')[0].textContent, 'Buy milk#shopping')
+    assert.equal(component.find('.todo-2 li.subtask').length, 2)
+  }))
+
+  it('completes and reopens todos with the checkbox and the x key (TOGGLE)', () => withTodos({ todos: list }, component => {
+    return act(component, '.todo-1 .toggle', 'click').then(_ => {
+      assert.equal(todo(component, 1).completed, true)
+      assert.equal(component.find('.todo-1.completed').length, 1)
+      return act(component, '.todo-1', 'keydown', { key: 'x' })
+    }).then(_ => {
+      assert.equal(todo(component, 1).completed, false)
+    })
+  }))
+
+  it('completes all of the subtasks of a todo (TOGGLE)', () => withTodos({ todos: list }, component => {
+    return act(component, '.todo-2 .toggle', 'click').then(_ => {
+      assert.equal(todo(component, 2).completed, true)
+      assert.deepEqual(todo(component, 2).subtasks.map(subtask => subtask.completed), [true, true])
+    })
+  }))
+
+  it('flags recurring todos for their next occurrence when they\'re completed (TOGGLE)', () => withTodos({ todos: [{ ...list[0], repeat: { every: 'week', interval: 1 } }] }, component => {
+    return act(component, '.todo-1 .toggle', 'click').then(_ => {
+      assert.equal(todo(component, 1).completed, true)
+      assert.equal(todo(component, 1).repeatPending, true)
+    })
+  }))
+
+  it('ignores shortcuts pressed in the todo\'s fields and buttons (TOGGLE)', () => withTodos({ todos: list }, component => {
+    return act(component, '.todo-1 .destroy', 'keydown', { key: 'x' }).then(_ => {
+      assert.equal(todo(component, 1).completed, false)
+    })
+  }))
+
+  it('deletes todos with the delete button and the Delete key (DESTROY)', () => withTodos({ todos: list }, component => {
+    return act(component, '.todo-1 .destroy', 'click').then(_ => {
+      assert.deepEqual(component.state.todos.map(todo => todo.id), [2])
+      assert.equal(component.find('.todo-1').length, 0)
+      return act(component, '.todo-2', 'keydown', { key: 'Delete' })
+    }).then(_ => {
+      assert.deepEqual(component.state.todos, [])
+    })
+  }))
+
+  it('highlights the parts of titles matching the search, ignoring case', () => withTodos({ todos: [{ ...list[0], title: 'İstanbul trip (Milk) and milk', search: '(MILK)' }] }, component => {
+    assert.deepEqual(component.find('.todo-1 mark').map(el => el.textContent), ['(Milk)'])
+  }))
+
+  it('cycles through the priorities with the priority button and the p key (PRIORITY)', () => withTodos({ todos: list }, component => {
+    return act(component, '.todo-1 .priority', 'click').then(_ => {
+      assert.equal(todo(component, 1).priority, 'high')
+      assert.equal(component.find('.todo-1.priority-high').length, 1)
+      assert.equal(component.find('.todo-1 .priority')[0].textContent, '!')
+      return act(component, '.todo-1', 'keydown', { key: 'p' })
+    }).then(_ => {
+      assert.equal(todo(component, 1).priority, 'low')
+      assert.equal(component.find('.todo-1 .priority')[0].textContent, '~')
+      return act(component, '.todo-1', 'keydown', { key: 'p' })
+    }).then(_ => {
+      assert.equal(todo(component, 1).priority, 'normal')
+    })
+  }))
+
+  it('starts editing on a double click or the e key, filling in the edit field (EDIT_START, SET_EDIT_VALUE, FOCUS_EDIT_FIELD)', () => withTodos({ todos: list }, component => {
+    return act(component, '.todo-1 label', 'dblclick').then(_ => {
+      assert.equal(todo(component, 1).editing, true)
+      assert.equal(todo(component, 1).cachedTitle, 'Buy milk')
+      assert.equal(component.find('.todo-1.editing').length, 1)
+      assert.deepEqual(effects(component), [
+        { type: 'SET_VALUE', data: { selector: '.todo-1 .edit', value: 'Buy milk #shopping' } },
+        { type: 'FOCUS', data: { selector: '.todo-1 .edit' } },
+      ])
+      return act(component, '.todo-2', 'keydown', { key: 'e' })
+    }).then(_ => {
+      assert.equal(todo(component, 2).editing, true)
+    })
+  }))
+
+  it('saves edits with Enter and puts focus back on the todo (EDIT_DONE, RESTORE_FOCUS, FOCUS_TODO)', () => withTodos({ todos: list }, component => {
+    return act(component, '.todo-1 label', 'dblclick').then(_ => act(component, '.todo-1 .edit', 'input', { target: { value: '! Buy oat milk #shopping #vegan every week' } }))
+                                                       .then(_ => act(component, '.todo-1 .edit', 'keydown', ENTER)).then(_ => {
+      const edited = todo(component, 1)
+      assert.equal(edited.title, 'Buy oat milk')
+      assert.deepEqual(edited.tags, ['shopping', 'vegan'])
+      assert.equal(edited.priority, 'high')
+      assert.deepEqual(edited.repeat, { every: 'week', interval: 1 })
+      assert.equal(edited.due, toDateString(new Date()))
+      assert.equal(edited.editing, false)
+      assert.deepEqual(effects(component)[effects(component).length - 1], { type: 'FOCUS', data: { selector: '.todo-1' } })
+    })
+  }))
+
+  it('saves edits when focus leaves the edit field, but not for the due date field (EDIT_DONE)', () => withTodos({ todos: list }, component => {
+    return act(component, '.todo-2 label', 'dblclick').then(_ => act(component, '.todo-2 .edit', 'input', { target: { value: 'Plan holiday' } }))
+                                                       .then(_ => act(component, '.todo-2 .edit', 'blur', { relatedTarget: component.find('.todo-2 .edit-due')[0] })).then(_ => {
+      assert.equal(todo(component, 2).editing, true)
+      return act(component, '.todo-2 .edit', 'blur', { relatedTarget: null })
+    }).then(_ => {
+      assert.equal(todo(component, 2).title, 'Plan holiday')
+      assert.equal(todo(component, 2).due, '2017-10-20T17:00')
+      assert.equal(todo(component, 2).editing, false)
+    })
+  }))
+
+  it('cancels edits with Escape (EDIT_CANCEL)', () => withTodos({ todos: list }, component => {
+    return act(component, '.todo-1 label', 'dblclick').then(_ => act(component, '.todo-1 .edit', 'input', { target: { value: 'Buy bread' } }))
+                                                       .then(_ => act(component, '.todo-1 .edit', 'keydown', ESCAPE)).then(_ => {
+      assert.equal(todo(component, 1).title, 'Buy milk')
+      assert.equal(todo(component, 1).editing, false)
+      assert.deepEqual(effects(component).slice(-2), [
+        { type: 'SET_VALUE', data: { selector: '.todo-1 .edit', value: 'Buy milk #shopping' } },
+        { type: 'FOCUS', data: { selector: '.todo-1' } },
+      ])
+    })
+  }))
+
+  it('changes the due date with the date field, keeping its time (SET_DUE)', () => withTodos({ todos: list }, component => {
+    const tomorrow = toDateString(addDays(new Date(), 1))
+    return act(component, '.todo-2 .edit-due', 'change', { target: { value: tomorrow } }).then(_ => {
+      assert.equal(todo(component, 2).due, tomorrow + 'T17:00')
+      assert.equal(todo(component, 2).overdue, false)
+      return act(component, '.todo-2 .edit-due', 'change', { target: { value: '' } })
+    }).then(_ => {
+      assert.equal(todo(component, 2).due, null)
+      assert.equal(component.find('.todo-2 .due').length, 0)
+    })
+  }))
+
+  it('adds subtasks, reopening completed todos (ADD_SUBTASK)', () => withTodos({ todos: [{ ...list[1], completed: true, subtasks: list[1].subtasks.map(subtask => ({ ...subtask, completed: true })) }] }, component => {
+    return act(component, '.todo-2 .new-subtask', 'input', { target: { value: 'Pack' } }).then(_ => act(component, '.todo-2 .new-subtask', 'keydown', ENTER)).then(_ => {
+      assert.deepEqual(todo(component, 2).subtasks.map(subtask => [subtask.id, subtask.title, subtask.completed]), [[1, 'Book flights', true], [2, 'Book hotel', true], [3, 'Pack', false]])
+      assert.equal(todo(component, 2).completed, false)
+      assert.deepEqual(effects(component), [{ type: 'SET_VALUE', data: { selector: '.todo-2 .new-subtask' } }])
+    })
+  }))
+
+  it('adds the first subtask to todos without any (ADD_SUBTASK)', () => withTodos({ todos: list }, component => {
+    assert.equal(component.find('.todo-1 .subtasks.empty .new-subtask').length, 1)
+    assert.equal(component.find('.todo-1 .subtasks ul').length, 0)
+    return act(component, '.todo-1 .new-subtask', 'input', { target: { value: 'Check the fridge' } }).then(_ => act(component, '.todo-1 .new-subtask', 'keydown', ENTER)).then(_ => {
+      assert.deepEqual(todo(component, 1).subtasks.map(subtask => [subtask.id, subtask.title, subtask.completed]), [[1, 'Check the fridge', false]])
+      assert.equal(component.find('.todo-1 .subtasks.empty').length, 0)
+      assert.equal(component.find('.todo-1 li.subtask').length, 1)
+      assert.equal(component.find('.todo-1 .progress')[0].textContent, '0/1')
+    })
+  }))
+
+})
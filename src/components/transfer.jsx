@@ -0,0 +1,128 @@
+import { component } from '../lib/component'
+import { DEFAULT_LIST } from '../lib/lists'
+import { FORMATS, exportTodos, detectFormat, parseTodos, importTodos, isFileDrag } from '../lib/transfer'
+import { announce } from '../lib/announce'
+import { translate } from '../locales'
+
+
+
+// check if an event came from inside the app (and not the list switcher)
+const isAppEvent = e => !!(e.target.closest && e.target.closest('.todoapp'))
+
+// name exported files after the list and the filters they were exported with (ex. 'work-active.csv')
+const exportFilename = ({ list, visibility, tag }, format) => {
+  const parts = [(list === DEFAULT_LIST) ? 'todos' : list, (visibility !== 'all') && visibility, tag]
+  return parts.filter(Boolean).join('-') + '.' + FORMATS[format].extension
+}
+
+
+// the import and export controls at the bottom of the app
+//  - the APP isolates them, giving them the todos and the filters they're shown with (see transferLens in ../app)
+export default component({
+  name: 'TRANSFER',
+
+  model: {
+
+    // export the todos shown by the current filters
+    EXPORT: { FILES: (state, format) => ({
+      type: 'DOWNLOAD',
+      data: {
+        filename: exportFilename(state, format),
+        mimeType: FORMATS[format].mimeType,
+        content:  exportTodos(state.todos.filter(todo => !todo.hidden), format)
+      }
+    }) },
+
+    // import files picked with the file input or dropped onto the app
+    //  - the FILES driver reads them and sends the contents back to IMPORT
+    READ_FILES: { FILES: (state, files) => ({ type: 'READ', data: files }) },
+
+    DRAG_FILES_OVER:  (state) => state.fileOver ? state : { ...state, fileOver: true },
+
+    DRAG_FILES_LEAVE: (state) => state.fileOver ? { ...state, fileOver: false } : state,
+
+    DROP_FILES: (state, files, next) => {
+      next('READ_FILES', files)
+      return { ...state, fileOver: false }
+    },
+
+    // add the todos from an imported file to the list being shown
+    //  - todos that are already in the list are skipped, and the rest get fresh ids
+    IMPORT: (state, { name, text, error }, next) => {
+      // clear the file input so picking the same file again still imports it
+      next('CLEAR_IMPORT_FIELD')
+      if (error) return { ...state, importStatus: translate(state.locale, 'transfer.readError', { name, error }) }
+      try {
+        const imported = importTodos(state.todos, parseTodos(text, detectFormat(name, text)))
+        const todos    = imported.todos.map(todo => ({ list: state.list, ...todo }))
+        const summary  = { added: imported.added, duplicates: imported.duplicates }
+        return announce({ ...state, todos, importStatus: translate(state.locale, 'transfer.imported', summary) }, 'transfer.imported', summary)
+      } catch (e) {
+        return { ...state, importStatus: translate(state.locale, 'transfer.importError', { name, error: e.message }) }
+      }
+    },
+
+    CLEAR_IMPORT_STATUS: (state) => ({ ...state, importStatus: '' }),
+
+    CLEAR_IMPORT_FIELD: { DOMFX: ({ type: 'SET_VALUE', data: { selector: '.import-file' } }) },
+
+  },
+
+  intent: ({ DOM, FILES }) => {
+    // export the shown todos with the export buttons
+    const export$        = DOM.select('.export-todos').events('click').map(e => e.target.getAttribute('data-format'))
+
+    // import files picked with the file input, or dragged from outside the page and dropped onto the app
+    // - the file input is cleared after each import, which also fires a 'change' event without any files
+    // - the default has to be prevented on 'dragover' for the browser to allow dropping, and on 'drop' so it doesn't open the file
+    const pickFiles$     = DOM.select('.import-file').events('change')
+                              .map(e => Array.from(e.target.files || []))
+                              .filter(files => files.length > 0)
+    const fileEvents     = type => DOM.select('document').events(type).filter(e => isAppEvent(e) && isFileDrag(e))
+    const filesOver$     = fileEvents('dragover').map(e => {
+                             e.preventDefault()
+                             e.dataTransfer.dropEffect = 'copy'
+                             return true
+                           })
+    // - 'dragleave' also fires when moving between elements inside the app, so only leaving the app counts
+    const filesLeave$    = fileEvents('dragleave').filter(e => !(e.relatedTarget && e.relatedTarget.closest && e.relatedTarget.closest('.todoapp')))
+    const dropFiles$     = fileEvents('drop').map(e => e.preventDefault() || Array.from(e.dataTransfer.files))
+    const dismissImport$ = DOM.select('.import-status').events('click')
+
+
+    return {
+      EXPORT:              export$,
+      READ_FILES:          pickFiles$,
+      DRAG_FILES_OVER:     filesOver$,
+      DRAG_FILES_LEAVE:    filesLeave$,
+      DROP_FILES:          dropFiles$,
+      IMPORT:              FILES,
+      CLEAR_IMPORT_STATUS: dismissImport$,
+    }
+  },
+
+  view: ({ state }) => {
+    const { todos, importStatus, locale } = state
+
+    // translate messages into the app's language (see ../locales)
+    const t = (id, values) => translate(locale, id, values)
+
+    const renderExport = ([format, { label }]) => <button className="export-todos" data-format={ format } title={ t('transfer.exportTitle', { format: label }) }>{ label }</button>
+
+    return (
+      <div className="transfer">
+        <label className="import" title={ t('transfer.importTitle') }>
+          { t('transfer.import') }
+          <input className="import-file" type="file" accept=".json,.csv,.md,.markdown,.txt,application/json,text/csv,text/markdown,text/plain" />
+        </label>
+        { todos.some(todo => !todo.hidden) &&
+          <span className="export">
+            { t('transfer.export') } { Object.entries(FORMATS).map(renderExport) }
+          </span>
+        }
+        { importStatus && <button className="import-status" title={ t('transfer.dismiss') }>{ importStatus }</button> }
+      </div>
+    )
+  }
+
+})
@@ -1,10 +1,23 @@
 import { run } from '@cycle/run'
 import { makeDOMDriver } from '@cycle/dom'
 import DOMfxDriver from './lib/DOMfxDriver'
-import localStorageDriver from './lib/localStorageDriver'
-import routerDriver from './lib/routerDriver'
+import { makeLocalStorageDriver } from './lib/localStorageDriver'
+import { makeIndexedDBDriver } from './lib/indexedDBDriver'
+import { makeRouterDriver } from './lib/routerDriver'
+import { makeSyncDriver } from './lib/syncDriver'
+import notificationDriver from './lib/notificationDriver'
+import fileDriver from './lib/fileDriver'
+import { makeLocaleDriver } from './lib/localeDriver'
+import { makeThemeDriver } from './lib/themeDriver'
+import { makeServiceWorkerDriver } from './lib/serviceWorkerDriver'
+import { makeClockDriver } from './lib/clockDriver'
+import { withDevtools, makeDevtoolsDriver } from './lib/devtools'
 import { withState } from '@cycle/state'
 import App from './app'
+import * as schemas from './schemas'
+import { routes, MODE } from './routes'
+import { LOCALES, DEFAULT_LOCALE } from './locales'
+import { THEMES, DEFAULT_THEME } from './themes'
 
 // add hierarchical state handling using reducers by wrapping the App with "withState" from @cycle/state
 //  - a "state" sink is automatically added to the root component and any child components using the "isolate" wrapper
@@ -13,7 +26,20 @@ import App from './app'
 //  - see docs for @cycle/state and @cycle/isolate for more information
 //  NOTE: by default, withState() adds a 'state' (lowercase) source/sink to your application
 //        the 2nd argument allows you to set any name for the state source/sink
-const main = withState(App, 'STATE')
+//  - in dev builds with DEVTOOLS turned on, the App is also wrapped with the devtools (see ./lib/devtools.js),
+//    inside withState() so it sees the state each reducer results in, and can put the app back in a recorded state
+const main = withState(DEVTOOLS ? withDevtools(App) : App, 'STATE')
+
+// storage backend used by the STORE driver
+//  - 'localStorage' is synchronous and limited to a few MB
+//  - 'indexedDB' is asynchronous, has much larger limits, and only writes the todos that changed
+//  - both use the same source and sink API, so the app works the same with either
+const STORAGE = 'localStorage'
+
+const storageDrivers = {
+  localStorage: _ => makeLocalStorageDriver(schemas),
+  indexedDB:    _ => makeIndexedDBDriver({ schemas }),
+}
 
 const drivers = {
   // DOM driver - attach app to the #root element
@@ -24,20 +50,63 @@ const drivers = {
   //  - sink expects vDom (JSX or Cycle DOM helpers) and renders to the specified contaiiner (#root) whenever vDom is received
   DOM:    makeDOMDriver('#root'),
   // DOM side effects driver for handling non-render interactions with the page
-  // mostly useful for input fields on forms
-  //  - no source events
-  //  - sink expects an object like { type: 'SET_VALUE', selector: '#my-input-field' value: 'Abracadabara' }
+  // mostly useful for input fields on forms, focus, and the page title (see ./lib/DOMfxDriver.js for every effect)
+  //  - source is a stream of effects once they're done, with an `error` message if they failed
+  //    like { type: 'FOCUS', data: { selector: '.todo-3' }, action: 'FOCUS_TODO', error: "no element matches '.todo-3'" }
+  //  - sink expects an object like { type: 'SET_VALUE', data: { selector: '#my-input-field', value: 'Abracadabara' } }
   DOMFX:  DOMfxDriver,
-  // driver to handle getting and putting data to local storage
+  // driver to handle getting and putting data to local storage (or IndexedDB, see STORAGE above)
   //  - source provides a .get() method that takes a 'key' to fetch from localstorage
   //    and optionally takes a second argument for a default value to use
-  //  - sink expects an object like { key: 'localstorage-key', value: 'value to save' }
-  STORE:  localStorageDriver,
-  // driver for setting up page routes and getting routing events
-  //  - source is a stream of routing events that emits the name of the new page route
-  //  - sink accepts names of routes to listen for that will then be sent to the source
-  ROUTER: routerDriver,
+  //  - source also provides a .fromOtherTabs() method that takes a 'key' and emits values written to it by other tabs
+  //  - sink expects an object like { key: 'localstorage-key', value: 'value to save' }, or { key: 'localstorage-key', remove: true }
+  //  - keys with a schema in ./schemas are saved with a version number and migrated when loaded
+  STORE:  storageDrivers[STORAGE](),
+  // driver for page routes using the route table in ./routes
+  //  - source is a stream of routing events that emits objects like { name: 'todo', params: { id: '3' }, query: {} }
+  //  - sink accepts paths or objects like { name: 'todo', params: { id: 3 } } to navigate to
+  ROUTER: makeRouterDriver(routes, { mode: MODE }),
+  // driver to sync todos with a REST backend (see scripts/mockServer.js for a local test server)
+  //  - the url comes from the SYNC_URL environment variable at build time, syncing is disabled if it isn't set
+  //  - source provides a .remote() method that takes a 'key' and emits changes made on the server
+  //    and a .status() method that emits 'synced', 'pending' or 'error'
+  //  - sink expects an object like { key: 'todos', value: [ ...todos ] }, changes are sent as create/update/delete requests
+  //    or { key: 'todos', remove: true } to delete every todo in a list
+  SYNC:   makeSyncDriver({ url: SYNC_URL }),
+  // driver for due date reminders using desktop notifications
+  //  - no source events
+  //  - sink expects an object like { type: 'NOTIFY', data: { title: 'Buy milk', body: 'Due today' } }
+  //    or { type: 'REQUEST_PERMISSION' } to ask the user to allow notifications
+  NOTIFY: notificationDriver,
+  // driver for exporting and importing todos as files
+  //  - source emits the contents of files that were read, like { name: 'todos.csv', text: '...' }
+  //  - sink expects an object like { type: 'DOWNLOAD', data: { filename: 'todos.csv', mimeType: 'text/csv', content: '...' } }
+  //    or { type: 'READ', data: [ ...files ] } to read files picked or dropped by the user
+  FILES:  fileDriver,
+  // driver for the language the app is shown in (see ./locales for the translations)
+  //  - the build's language comes from the APP_LOCALE environment variable at build time,
+  //    if it isn't set the browser's preferred language is used (or English if it isn't supported)
+  //  - source is a stream of language codes like 'de', starting with the language the app starts in
+  //  - sink expects a language code to switch to, the page's `lang` and `dir` attributes are updated to match
+  LOCALE: makeLocaleDriver({ locales: LOCALES, initial: APP_LOCALE, fallback: DEFAULT_LOCALE }),
+  // driver for the app's colors (see ./themes, and public/themes.css for the colors of each theme)
+  //  - no source events
+  //  - sink expects a theme name like 'dark' to switch to, 'system' follows the operating system's light or dark setting
+  THEME:  makeThemeDriver({ themes: THEMES, initial: DEFAULT_THEME }),
+  // driver for the service worker that keeps the app working offline, only in production builds (see scripts/utils/offline.js)
+  //  - source emits 'ready' once the app is saved for offline use, and 'update' when a new version is waiting to be used
+  //  - sink expects { type: 'RELOAD' } to switch to the new version and reload the page
+  OFFLINE: makeServiceWorkerDriver({ enabled: SERVICE_WORKER }),
+  // driver for the time, used to update due date highlighting and check for reminders
+  //  - no sink
+  //  - source provides a .ticks() method that emits the time every 30 seconds
+  CLOCK:  makeClockDriver({ interval: 30 * 1000 }),
 }
 
+// time-travel devtools panel, only in dev builds started with DEVTOOLS=true (see configs/webpack.config.dev.js)
+//  - source is a stream of commands like { type: 'JUMP', data: state } to put the app in a recorded state
+//  - sink expects the actions recorded by withDevtools(), which are listed in a panel at the bottom of the page
+if (DEVTOOLS) drivers.DEVTOOLS = makeDevtoolsDriver()
+
 // start the Cycle application
 run(main, drivers)
@@ -0,0 +1,77 @@
+// keyboard shortcuts
+//  - keys are KeyboardEvent.key values (ex. 'j', 'Enter', '?'), and values are the name of the command they run
+//  - change or add entries to rebind the shortcuts, the help overlay ('?') is built from this table
+//  - shortcuts are ignored while typing in a text field, and when Ctrl, Alt or Cmd is held (those are used by the browser and other shortcuts)
+//  - TOGGLE, EDIT, PRIORITY and DESTROY act on the todo under the cursor (the focused todo)
+export const keymap = {
+  'j':      'CURSOR_DOWN',
+  'k':      'CURSOR_UP',
+  'x':      'TOGGLE',
+  'e':      'EDIT',
+  'Enter':  'EDIT',
+  'p':      'PRIORITY',
+  'Delete': 'DESTROY',
+  '/':      'FOCUS_NEW_TODO',
+  '1':      'SHOW_ALL',
+  '2':      'SHOW_ACTIVE',
+  '3':      'SHOW_COMPLETED',
+  '4':      'SHOW_TODAY',
+  '5':      'SHOW_OVERDUE',
+  '?':      'HELP',
+}
+
+// commands in the order they're listed in the help overlay
+//  - their descriptions are in the message catalogue as 'command.<name>' (ex. 'command.CURSOR_DOWN', see ./locales)
+export const COMMANDS = [
+  'CURSOR_DOWN',
+  'CURSOR_UP',
+  'TOGGLE',
+  'EDIT',
+  'PRIORITY',
+  'DESTROY',
+  'FOCUS_NEW_TODO',
+  'SHOW_ALL',
+  'SHOW_ACTIVE',
+  'SHOW_COMPLETED',
+  'SHOW_TODAY',
+  'SHOW_OVERDUE',
+  'HELP',
+]
+
+/**
+ * check if a keyboard event happened while typing, where keys should be left alone
+ *
+ * @param {Event} e keyboard event
+ * @return {Boolean} true for events from text fields, drop downs and editable content (checkboxes and buttons don't count)
+ */
+export function isTyping(e) {
+  const { tagName, type, isContentEditable } = e.target
+  if (isContentEditable || tagName === 'TEXTAREA' || tagName === 'SELECT') return true
+  return tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(type)
+}
+
+/**
+ * find the command for a keyboard event
+ *
+ * @param {Event} e keyboard event
+ * @param {Object} map keymap to look the key up in (defaults to the keymap above)
+ * @return {String} name of the command, or undefined if the key isn't bound (or the event should be left alone)
+ */
+export function commandFor(e, map=keymap) {
+  if (e.ctrlKey || e.altKey || e.metaKey || isTyping(e)) return undefined
+  return map[e.key]
+}
+
+/**
+ * list the keys bound to each command
+ *
+ * @param {Object} map keymap to list (defaults to the keymap above)
+ * @return {Array} commands with their keys like [{ command: 'CURSOR_DOWN', keys: ['j'] }]
+ *                 in the order of COMMANDS, leaving out commands without any keys
+ */
+export function bindings(map=keymap) {
+  return COMMANDS.map(command => ({
+    command,
+    keys: Object.keys(map).filter(key => map[key] === command)
+  })).filter(({ keys }) => keys.length > 0)
+}
@@ -1,14 +1,111 @@
+import xs from 'xstream'
+import {adapt} from '@cycle/run/lib/adapt'
+
+// find the first element matching a selector
+//  - elements added by the same action might not be rendered yet, so they're given a frame to show up
+//  - fails if there's still no element after that (it may have been removed in the meantime)
+const waitFor = selector => new Promise(resolve => {
+  const el = document.querySelector(selector)
+  if (el) return resolve(el)
+  requestAnimationFrame(_ => resolve(document.querySelector(selector)))
+}).then(el => {
+  if (!el) throw new Error(`no element matches '${ selector }'`)
+  return el
+})
+
+// find every element matching a selector, failing if there aren't any
+const findAll = selector => {
+  const els = Array.from(document.querySelectorAll(selector))
+  if (els.length === 0) throw new Error(`no element matches '${ selector }'`)
+  return els
+}
+
+// select the text inside an element that isn't a field (fields have their own select())
+const selectContents = el => {
+  const range = document.createRange()
+  range.selectNodeContents(el)
+  const selection = window.getSelection()
+  selection.removeAllRanges()
+  selection.addRange(range)
+}
+
+// copy text with an off-screen field for browsers without the Clipboard API
+const copyWithField = text => {
+  const field = document.createElement('textarea')
+  field.value = text
+  field.setAttribute('readonly', '')
+  field.style.position = 'fixed'
+  field.style.left = '-9999px'
+  document.body.appendChild(field)
+  field.select()
+  const copied = document.execCommand('copy')
+  document.body.removeChild(field)
+  if (!copied) throw new Error('the browser didn\'t allow copying')
+}
+
+// how to run each effect, given its data
+//  - effects return a Promise when they finish later, and throw (or reject) when they fail
+const EFFECTS = {
+  SET_VALUE:           ({ selector, value }) => findAll(selector).forEach(el => {
+                         el.value = value || ''
+                         el.dispatchEvent(new Event('change'))
+                       }),
+  FOCUS:               ({ selector }) => waitFor(selector).then(el => el.focus()),
+  // blurs the focused element if there's no selector
+  BLUR:                ({ selector }) => selector ? waitFor(selector).then(el => el.blur()) : document.activeElement && document.activeElement.blur(),
+  SELECT_TEXT:         ({ selector }) => waitFor(selector).then(el => el.select ? el.select() : selectContents(el)),
+  SCROLL_INTO_VIEW:    ({ selector, block='nearest', behavior='auto' }) => waitFor(selector).then(el => el.scrollIntoView({ block, behavior })),
+  SET_TITLE:           ({ title }) => { document.title = title },
+  // fails if the user cancels, so only confirmed questions are reported without an error
+  CONFIRM:             ({ message }) => {
+                         if (!window.confirm(message)) throw new Error('cancelled')
+                       },
+  COPY_TO_CLIPBOARD:   ({ text }) => (navigator.clipboard && navigator.clipboard.writeText) ? navigator.clipboard.writeText(text) : copyWithField(text),
+  SET_SELECTION_RANGE: ({ selector, start, end=start, direction='none' }) => waitFor(selector).then(el => {
+                         if (!el.setSelectionRange) throw new Error(`'${ selector }' isn't a text field`)
+                         el.setSelectionRange(start, end, direction)
+                       }),
+}
+
+/**
+ * driver for changing the page in ways the vDom doesn't cover, like focusing elements and setting the page title
+ *
+ * @param {Stream} fx$ stream of effects
+ *
+ * - sink expects objects like:
+ *     { type: 'SET_VALUE', data: { selector: '.new-todo', value: 'Buy milk' } }    set the value of every matching field (empties them without a value)
+ *     { type: 'FOCUS', data: { selector: '.todo-3' } }                              focus an element
+ *     { type: 'BLUR', data: { selector: '.edit' } }                                 take focus away from an element (or from whatever has it, without a selector)
+ *     { type: 'SELECT_TEXT', data: { selector: '.edit' } }                          select all of the text in a field or element
+ *     { type: 'SCROLL_INTO_VIEW', data: { selector: '.todo-3', block: 'center' } }  scroll an element into view (block defaults to 'nearest')
+ *     { type: 'SET_TITLE', data: { title: '(3) todos' } }                          set the page's title
+ *     { type: 'CONFIRM', data: { message: 'Delete this list?', list: 'work' } }      ask the user to confirm something (extra data is reported back with the answer)
+ *     { type: 'COPY_TO_CLIPBOARD', data: { text: 'Buy milk' } }                    copy text to the clipboard
+ *     { type: 'SET_SELECTION_RANGE', data: { selector: '.edit', start: 0, end: 3 } }  select part of the text in a field (or move the cursor, without an end)
+ * - source is a stream of the effects once they're done, like { type: 'FOCUS', data: { selector: '.todo-3' }, action: 'FOCUS_TODO' },
+ *   or with an `error` message if they failed, like { type: 'FOCUS', data: { ... }, action: 'FOCUS_TODO', error: "no element matches '.todo-3'" }
+ *   - `action` is the name of the action that sent the effect, so components can pick out their own effects
+ *   - unknown effect types fail with an error too (and a warning in the console)
+ */
 export default function DOMfxDriver (fx$) {
+  const result$ = xs.create()
+
   fx$.subscribe({next: fx => {
-    const {selector, value} = fx.data
-    if (fx.type === 'SET_VALUE') {
-      for (let el of document.querySelectorAll(selector)) {
-        el.value = value||''
-        el.dispatchEvent(new Event('change'))
-      }
+    const data   = fx.data || {}
+    const report = error => result$.shamefullySendNext({ type: fx.type, data, action: fx._action, ...(error ? { error } : {}) })
+    const effect = EFFECTS[fx.type]
+
+    if (!effect) {
+      console.warn(`Unknown DOMFX effect type '${ fx.type }'`)
+      return report(`unknown effect type '${ fx.type }'`)
     }
-    if (fx.type === 'FOCUS') {
-      document.querySelector(selector).focus()
+
+    try {
+      Promise.resolve(effect(data)).then(_ => report(), e => report(e.message))
+    } catch (e) {
+      report(e.message)
     }
   }})
-}
\ No newline at end of file
+
+  return adapt(result$)
+}
@@ -0,0 +1,20 @@
+import { translate } from '../locales'
+
+// messages for screen readers, read out through the live region at the bottom of the app
+//  - the APP and its child components (ex. ../components/selection) all announce through the same state fields
+
+
+
+/**
+ * set the message read out by screen readers
+ *
+ * @param {Object} state state with the app's `locale`, and the `announcement` and `announcements` fields
+ * @param {String} id id of the message, translated into the app's language (ex. 'announce.cleared', see ../locales)
+ * @param {Object} values values for the message (ex. { count: 2 })
+ * @return {Object} the state with the new message
+ *
+ * the count changes the text of the live region even when the same message is announced twice in a row
+ */
+export function announce(state, id, values) {
+  return { ...state, announcement: translate(state.locale, id, values), announcements: state.announcements + 1 }
+}
@@ -0,0 +1,38 @@
+import xs from 'xstream'
+import {adapt} from '@cycle/run/lib/adapt'
+
+/**
+ * make a driver for the time, read at a regular interval
+ *
+ * @param {Object} options
+ *   - interval: how often to read the time, in milliseconds (defaults to 30 seconds)
+ * @return {Function} the driver
+ *
+ * - no sink
+ * - source provides a .ticks() method that returns a stream of the time (like Date.now()) every interval
+ * - the timer is cleared once the app is stopped (with the function returned by run() from @cycle/run),
+ *   even if something still listens to the ticks
+ */
+export function makeClockDriver ({ interval=30 * 1000 }={}) {
+  return function clockDriver () {
+    let timer = null
+
+    const stop = _ => {
+      clearInterval(timer)
+      timer = null
+    }
+
+    const tick$ = xs.create({
+      start: listener => {
+        timer = setInterval(_ => listener.next(Date.now()), interval)
+      },
+      stop
+    })
+
+    return {
+      ticks:   _ => adapt(tick$),
+      // called by run() from @cycle/run when the app is stopped
+      dispose: stop
+    }
+  }
+}
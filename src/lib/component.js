@@ -0,0 +1,18 @@
+import { component as makeComponent, collection } from 'cyclejs-component'
+import { ENABLED, instrument } from './devtools'
+
+// cyclejs-component's component() and collection() for the app's components
+//  - with the devtools on (see ./devtools.js), each component's model is instrumented so its actions are recorded
+//  - otherwise the components are made exactly as cyclejs-component makes them
+
+
+
+/**
+ * make a component from its definition (see the cyclejs-component docs)
+ *
+ * @param {Object} definition the component's name, initialState, model, intent, view and so on
+ * @return {Function} the component
+ */
+export const component = definition => makeComponent(ENABLED ? instrument(definition) : definition)
+
+export { collection }
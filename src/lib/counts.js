@@ -0,0 +1,35 @@
+import { leaves } from './subtasks'
+
+// counts of the todos in a list, for the footer and the toggle-all checkbox
+//  - todos with subtasks are counted by their subtasks (see ./subtasks)
+//  - each todo's counts are kept until the todo changes (todos are never changed in place, so a changed todo is a new object),
+//    so counting a long list again after a change only looks inside the todos that changed
+
+
+
+const counted = new WeakMap()
+
+const countsOf = todo => {
+  if (!counted.has(todo)) {
+    const items = leaves([todo])
+    counted.set(todo, { total: items.length, completed: items.filter(item => item.completed).length })
+  }
+  return counted.get(todo)
+}
+
+/**
+ * count the todos in a list
+ *
+ * @param {Array} todos array of todo objects
+ * @param {Function} matches filter for the todos whose unfinished items count as remaining (ex. the todos matching a search)
+ * @return {Object} counts like { total: 12, completed: 4, remaining: 6 }
+ */
+export function countTodos(todos, matches=_ => true) {
+  return todos.reduce((acc, todo) => {
+    const { total, completed } = countsOf(todo)
+    acc.total     += total
+    acc.completed += completed
+    if (matches(todo)) acc.remaining += total - completed
+    return acc
+  }, { total: 0, completed: 0, remaining: 0 })
+}
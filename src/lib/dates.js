@@ -0,0 +1,199 @@
+import { translate, DEFAULT_LOCALE } from '../locales'
+
+// helpers for todo due dates
+//  - due dates are stored as local date strings like '2017-10-20' (a whole day) or '2017-10-20T17:00' (a specific time)
+//    which is the same format used by <input type="date"> and <input type="datetime-local"> fields
+
+
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+// words that introduce a due date (ex. 'Pay rent due fri', 'Call mum on wednesday', 'Dentist @ thursday')
+const DATE_WORDS = ['on', 'due', '@']
+
+// time of day to send reminders for todos that are due on a day without a specific time
+const DAY_REMINDER_HOUR = 9
+
+const pad = n => String(n).padStart(2, '0')
+
+/**
+ * format a Date as a local date string
+ *
+ * @param {Date} date the date
+ * @return {String} date string like '2017-10-20'
+ */
+export function toDateString(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * add a number of days to a Date
+ *
+ * @param {Date} date the date to start from
+ * @param {Number} days number of days to add (negative to go back)
+ * @return {Date} midnight at the start of the new day
+ */
+export function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+}
+
+// find the weekday (0 for Sunday) for tokens like 'fri' or 'friday'
+//  - 'sat' and 'sun' have to be spelled out since they are common words ('sun cream')
+const weekday = token => {
+  const index = WEEKDAYS.indexOf(token.slice(0, 3))
+  if (index === -1 || token === 'sat' || token === 'sun') return -1
+  const full = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][index]
+  return (full.startsWith(token) && token.length >= 3) ? index : -1
+}
+
+// parse a date token into a Date for the start of that day
+//  - supports 'today', 'tomorrow', weekday names ('fri', 'friday'), and ISO dates ('2017-10-20')
+//  - weekday names mean the next day with that name, or today if it has the name
+//  - weekday names are only read when `weekdays` is true, since they're often part of the title ('Ask about wed dress code')
+const parseDateToken = (token, now, weekdays=true) => {
+  if (token === 'today') return addDays(now, 0)
+  if (token === 'tomorrow') return addDays(now, 1)
+  const day = weekdays ? weekday(token) : -1
+  if (day !== -1) return addDays(now, (day - now.getDay() + 7) % 7)
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(token)
+  if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]))
+  return null
+}
+
+// parse a time token into hours and minutes
+//  - supports '5pm', '5:30pm', '5:30am' and 24 hour times like '17:30'
+const parseTimeToken = token => {
+  const twelve = /^(\d{1,2})(?::(\d{2}))?(am|pm)$/.exec(token)
+  if (twelve) {
+    const hours = Number(twelve[1]) % 12 + (twelve[3] === 'pm' ? 12 : 0)
+    const minutes = Number(twelve[2] || 0)
+    return (Number(twelve[1]) <= 12 && minutes < 60) ? { hours, minutes } : null
+  }
+  const twentyFour = /^(\d{1,2}):(\d{2})$/.exec(token)
+  if (twentyFour) {
+    const hours = Number(twentyFour[1])
+    const minutes = Number(twentyFour[2])
+    return (hours < 24 && minutes < 60) ? { hours, minutes } : null
+  }
+  return null
+}
+
+/**
+ * find a due date written in plain language in a todo title
+ *
+ * @param {String} text title as entered by the user (ex. 'Send report fri 5pm')
+ * @param {Date} now the current date and time (defaults to now)
+ * @return {Object} the `title` with the date words removed, and the `due` date string (or null if none was found)
+ *
+ * the date and time can be given separately or together, in any order:
+ *   'today', 'tomorrow', 'fri', 'saturday', '2017-10-20'   a day
+ *   '5pm', '5:30pm', '17:30', 'at 5pm'                     a time (today, or tomorrow if that time has passed)
+ *
+ * weekday names only count as the day when they come after 'due', 'on' or '@', or end the title (apart from a time),
+ * so titles like 'Ask about wed dress code' or 'thur' are left alone
+ */
+export function parseDue(text, now=new Date()) {
+  const tokens = text.split(/\s+/).filter(Boolean)
+  const lowers = tokens.map(token => token.toLowerCase())
+
+  // is the rest of the title after a token just a time, or nothing at all (ex. 'Send report fri' or 'Send report fri at 5pm')
+  const endsAt = index => {
+    const rest = lowers.slice(index + 1).filter(lower => lower !== 'at')
+    return rest.length === 0 || (rest.length === 1 && !!parseTimeToken(rest[0]))
+  }
+  // can a token be a weekday name, either introduced by a date word or ending a title that has more to it
+  const weekdayAt = index => DATE_WORDS.includes(lowers[index - 1]) || (index > 0 && endsAt(index))
+
+  let date = null
+  let time = null
+  const kept = tokens.filter((token, index) => {
+    const lower = lowers[index]
+    const nextLower = lowers[index + 1] || ''
+    // drop 'at' when it introduces a time, and 'on', 'due' or '@' when they introduce a date
+    if ((lower === 'at' && !time && parseTimeToken(nextLower)) || (DATE_WORDS.includes(lower) && !date && parseDateToken(nextLower, now))) return false
+    if (!date) {
+      date = parseDateToken(lower, now, weekdayAt(index))
+      if (date) return false
+    }
+    if (!time) {
+      time = parseTimeToken(lower)
+      if (time) return false
+    }
+    return true
+  })
+
+  if (!date && !time) return { title: text, due: null }
+
+  // a time without a day means the next time it comes around
+  if (!date) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate(), time.hours, time.minutes)
+    date = (today < now) ? addDays(now, 1) : addDays(now, 0)
+  }
+
+  const title = kept.join(' ')
+  const due = toDateString(date) + (time ? `T${pad(time.hours)}:${pad(time.minutes)}` : '')
+  return { title: title || text.trim(), due }
+}
+
+/**
+ * convert a due date string to a Date
+ *
+ * @param {String} due due date string like '2017-10-20' or '2017-10-20T17:00'
+ * @return {Date} the due date (midnight at the start of the day for due dates without a time)
+ */
+export function toDate(due) {
+  const [date, time='00:00'] = due.split('T')
+  const [year, month, day] = date.split('-').map(Number)
+  const [hours, minutes] = time.split(':').map(Number)
+  return new Date(year, month - 1, day, hours, minutes)
+}
+
+/**
+ * calculate the highlighting flags for a due date
+ *
+ * @param {String} due due date string, or null if there isn't one
+ * @param {Number} now the current time in milliseconds
+ * @return {Object} flags for `overdue` (the due date or time has passed) and `dueToday` (due today and not yet overdue)
+ *
+ * due dates without a time are only overdue once the day is over
+ */
+export function dueFlags(due, now=Date.now()) {
+  if (!due) return { overdue: false, dueToday: false }
+  const today    = toDateString(new Date(now))
+  const hasTime  = due.includes('T')
+  const overdue  = hasTime ? toDate(due).getTime() <= now : due < today
+  const dueToday = !overdue && due.slice(0, 10) === today
+  return { overdue, dueToday }
+}
+
+/**
+ * get the time a reminder should be sent for a due date
+ *
+ * @param {String} due due date string
+ * @return {Number} time in milliseconds (the due time, or 9am for due dates without a time)
+ */
+export function reminderTime(due) {
+  const date = toDate(due)
+  if (!due.includes('T')) date.setHours(DAY_REMINDER_HOUR)
+  return date.getTime()
+}
+
+/**
+ * format a due date for display
+ *
+ * @param {String} due due date string
+ * @param {Number} now the current time in milliseconds
+ * @param {String} locale language to describe the date in (see ../locales)
+ * @return {String} short description like 'Today', 'Tomorrow 5:00 PM' or 'Fri, Oct 20'
+ */
+export function formatDue(due, now=Date.now(), locale=DEFAULT_LOCALE) {
+  const date = toDate(due)
+  const today = new Date(now)
+  const day = due.slice(0, 10)
+  const dayLabel = (day === toDateString(today))              ? translate(locale, 'due.today')
+                 : (day === toDateString(addDays(today, 1)))  ? translate(locale, 'due.tomorrow')
+                 : (day === toDateString(addDays(today, -1))) ? translate(locale, 'due.yesterday')
+                 : date.toLocaleDateString(locale, { weekday: 'short', month: 'short', day: 'numeric' })
+  const timeLabel = due.includes('T') ? ' ' + date.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' }) : ''
+  return dayLabel + timeLabel
+}
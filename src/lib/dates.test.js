@@ -0,0 +1,42 @@
+import assert from 'assert'
+import { parseDue } from './dates'
+
+// tests for finding due dates in todo titles
+//  - every title is read on Wednesday the 18th of October 2017 at noon
+
+
+
+const NOW = new Date(2017, 9, 18, 12, 0)
+
+const due = text => parseDue(text, NOW)
+
+
+describe('DUE DATES', function () {
+
+  it('reads days and times anywhere in the title', () => {
+    assert.deepEqual(due('Buy milk tomorrow'), { title: 'Buy milk', due: '2017-10-19' })
+    assert.deepEqual(due('Call the bank at 5pm'), { title: 'Call the bank', due: '2017-10-18T17:00' })
+    assert.deepEqual(due('Stand-up 9:30am'), { title: 'Stand-up', due: '2017-10-19T09:30' })
+    assert.deepEqual(due('2017-11-01 Renew passport'), { title: 'Renew passport', due: '2017-11-01' })
+  })
+
+  it('reads weekdays at the end of the title, with or without a time', () => {
+    assert.deepEqual(due('Send report fri'), { title: 'Send report', due: '2017-10-20' })
+    assert.deepEqual(due('Send report friday 5pm'), { title: 'Send report', due: '2017-10-20T17:00' })
+    assert.deepEqual(due('Send report thur at 17:30'), { title: 'Send report', due: '2017-10-19T17:30' })
+    assert.deepEqual(due('Water plants wed'), { title: 'Water plants', due: '2017-10-18' })
+  })
+
+  it('reads weekdays after due, on or @ anywhere in the title', () => {
+    assert.deepEqual(due('Pay rent due mon without fail'), { title: 'Pay rent without fail', due: '2017-10-23' })
+    assert.deepEqual(due('Call mum on tuesday about the trip'), { title: 'Call mum about the trip', due: '2017-10-24' })
+    assert.deepEqual(due('Dentist @ thu 3pm bring forms'), { title: 'Dentist bring forms', due: '2017-10-19T15:00' })
+  })
+
+  it('leaves weekday names that are part of the title alone', () => {
+    ['Ask about wed dress code', 'thur', 'sat exam results', 'Wear a hat in the sun', 'Friday feeling playlist'].forEach(title => {
+      assert.deepEqual(due(title), { title, due: null })
+    })
+  })
+
+})
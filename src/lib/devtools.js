@@ -0,0 +1,382 @@
+import xs from 'xstream'
+import {adapt} from '@cycle/run/lib/adapt'
+import { download } from './fileDriver'
+
+// time-travel devtools for debugging the app's actions in dev builds
+//  - switched on with the DEVTOOLS environment variable at build time (see configs/webpack.config.dev.js),
+//    production builds and tests never turn it on
+//  - instrument() wraps the model of each component (see ./component.js) so every action is recorded
+//    with its payload, the actions it dispatches with next(), and what it sends to each sink
+//  - withDevtools() wraps the root component, adds the STATE snapshot each action results in, and sends
+//    the recorded actions to the DEVTOOLS driver, which shows them in a panel at the bottom of the page
+//  - picking an action in the panel puts the app back in the state it had after that action,
+//    and from there the states after it can be stepped through, or the app resumed with the following actions thrown away
+//  - the app doesn't write to storage or the sync server while it's showing a recorded state
+//  - sessions can be exported to a file and imported again to reproduce a bug
+
+
+
+// whether the devtools are on for this build (DEVTOOLS isn't defined when the code is run without webpack, like in tests)
+export const ENABLED = typeof DEVTOOLS !== 'undefined' && DEVTOOLS
+
+// actions recorded by instrumented components, waiting for withDevtools() to add their state
+const recorded$ = xs.create()
+
+// name of the state sink (the one given to withState() in ../index.js)
+const STATE = 'STATE'
+
+// sinks that are muted while the app shows a recorded state, so going back in time doesn't overwrite saved or synced todos
+const MUTED = ['STORE', 'SYNC']
+
+// events and elements can't be saved to a session file, so they're replaced with a short description
+//  - ex. a click on a todo's checkbox becomes { event: 'click', target: 'input.toggle' }
+const describeElement = el => (el && el.tagName) ? el.tagName.toLowerCase() + (el.id ? '#' + el.id : '') + (typeof el.className === 'string' && el.className ? '.' + el.className.trim().split(/\s+/).join('.') : '') : null
+
+//  - events and elements are spotted by their fields rather than their class, so the mock ones in tests are described too
+const isEvent   = value => value && typeof value === 'object' && typeof value.preventDefault === 'function' && 'target' in value
+const isElement = value => value && typeof value === 'object' && typeof value.tagName === 'string' && 'parentNode' in value
+
+const describe = (key, value) => {
+  if (isEvent(value))   return { event: value.type, key: value.key, target: describeElement(value.target) }
+  if (isElement(value)) return describeElement(value)
+  if (typeof FileList !== 'undefined' && value instanceof FileList) return Array.from(value).map(file => file.name)
+  if (typeof value === 'function') return '[function]'
+  return value
+}
+
+// copy a payload into plain data that can be shown and saved
+const toPlain = value => {
+  if (value === undefined) return undefined
+  try {
+    return JSON.parse(JSON.stringify(value, describe))
+  } catch (e) {
+    return String(value)
+  }
+}
+
+/**
+ * record every action of a component before it runs
+ *
+ * @param {Object} definition the component's definition as given to cyclejs-component's component()
+ * @return {Object} the same definition with each reducer in its model wrapped
+ *
+ * - each action sends { component, action, sink, data, next, value, time } to withDevtools() for every sink it has,
+ *   where `next` lists the actions it dispatched and `value` is what it sent to a sink other than STATE
+ * - fixed values in the model (ex. { ROUTER: true } or { DOMFX: { type: 'FOCUS', ... } }) are turned into reducers
+ *   so they're recorded as well
+ */
+export function instrument(definition) {
+  const { name, model } = definition
+  if (!model) return definition
+
+  const record = (action, sink, reducer) => (state, data, next, req) => {
+    const entry = { component: name, action, sink, data: toPlain(data), next: [], time: Date.now() }
+    const dispatch = (type, value) => {
+      entry.next.push(type)
+      next(type, value)
+    }
+    const result = reducer(state, data, dispatch, req)
+    if (sink !== STATE) entry.value = toPlain(result)
+    recorded$.shamefullySendNext(entry)
+    return result
+  }
+
+  // model entries can be a state reducer, or an object of reducers (or fixed values) by sink
+  const toReducer = value => (typeof value === 'function') ? value
+                           : (value === undefined || value === true) ? (state, data) => data
+                           : _ => value
+
+  const instrumented = Object.keys(model).reduce((acc, action) => {
+    const sinks = (typeof model[action] === 'function') ? { [STATE]: model[action] } : model[action]
+    acc[action] = Object.keys(sinks).reduce((wrapped, sink) => ({ ...wrapped, [sink]: record(action, sink, toReducer(sinks[sink])) }), {})
+    return acc
+  }, {})
+
+  return { ...definition, model: instrumented }
+}
+
+/**
+ * add the devtools to the root component
+ *
+ * @param {Function} main the root component (ex. the APP)
+ * @return {Function} component with a DEVTOOLS sink of recorded actions, and that follows the DEVTOOLS driver's commands
+ *
+ * - actions that change the state get the state the whole app is in once their reducer has run,
+ *   and other actions the state at the time they ran
+ * - the DEVTOOLS source sends { type: 'JUMP', data: state } to put the app in a recorded state,
+ *   and { type: 'RESUME' } to go back to recording
+ * - nothing is recorded between a JUMP and a RESUME, so the actions the app takes in reaction to a recorded state
+ *   (ex. saving it with TO_STORE) don't end up in the session
+ * - nothing is sent to the STORE and SYNC drivers between a JUMP and a RESUME either, so the recorded state
+ *   isn't saved over the todos in storage and on the sync server
+ */
+export function withDevtools(main) {
+  return function (sources) {
+    const command$ = sources.DEVTOOLS || xs.never()
+
+    let current
+    let collecting = null
+    let paused     = false
+    let id         = 0
+    let emit       = _ => {}
+
+    const send = (entry, state) => {
+      if (!paused) emit({ ...entry, id: ++id, state })
+    }
+
+    // actions recorded while a reducer is running are held back until the new state is known
+    //  - recorded actions are only listened to while the DEVTOOLS sink is, so a stopped app stops recording
+    const onRecorded = { next: entry => collecting ? collecting.push(entry) : send(entry, current) }
+    const entry$ = xs.create({
+      start: listener => {
+        emit = entry => listener.next(entry)
+        recorded$.addListener(onRecorded)
+      },
+      stop:  _ => {
+        emit = _ => {}
+        recorded$.removeListener(onRecorded)
+      },
+    })
+
+    command$.addListener({ next: ({ type }) => {
+      if (type === 'JUMP')   paused = true
+      if (type === 'RESUME') paused = false
+    } })
+
+    const sinks = main(sources)
+
+    const reducer$ = (sinks[STATE] || xs.never()).map(reducer => state => {
+      collecting = []
+      const next    = reducer(state)
+      const entries = collecting
+      collecting = null
+      current    = next
+      entries.forEach(entry => send(entry, next))
+      return next
+    })
+
+    const jump$ = command$.filter(({ type }) => type === 'JUMP').map(({ data }) => _ => {
+      current = data
+      return data
+    })
+
+    const muted = MUTED.filter(name => sinks[name]).reduce((acc, name) => ({ ...acc, [name]: sinks[name].filter(_ => !paused) }), {})
+
+    return {
+      ...sinks,
+      ...muted,
+      [STATE]:  xs.merge(reducer$, jump$),
+      DEVTOOLS: entry$,
+    }
+  }
+}
+
+
+// how long each recorded state is shown for when stepping through them
+const STEP_DELAY = 500
+
+// oldest actions are dropped from the panel once there are more than this
+const MAX_ENTRIES = 1000
+
+const STYLES = `
+.devtools { position: fixed; left: 0; right: 0; bottom: 0; z-index: 10000; max-height: 45vh; display: flex; flex-direction: column;
+            font: 12px/1.4 monospace; color: #eee; background: rgba(20, 20, 20, 0.95); border-top: 2px solid #b83f45; }
+.devtools button, .devtools label { font: inherit; color: inherit; background: #333; border: 1px solid #555; border-radius: 3px; padding: 2px 8px; margin-right: 4px; cursor: pointer; }
+.devtools button:disabled { opacity: 0.4; cursor: default; }
+.devtools-bar { display: flex; align-items: center; padding: 4px; }
+.devtools-status { margin-left: auto; color: #aaa; }
+.devtools-import input { display: none; }
+.devtools-scrub { width: 100%; margin: 0; }
+.devtools-body { display: flex; min-height: 0; flex: 1; }
+.devtools-log { flex: 1; overflow: auto; margin: 0; padding: 0; list-style: none; }
+.devtools-log li { padding: 1px 6px; cursor: pointer; white-space: nowrap; }
+.devtools-log li:hover { background: #333; }
+.devtools-log li.selected { background: #b83f45; }
+.devtools-log li.future { opacity: 0.4; }
+.devtools-detail { flex: 1; overflow: auto; margin: 0; padding: 4px 6px; border-left: 1px solid #555; white-space: pre-wrap; }
+.devtools.collapsed .devtools-scrub, .devtools.collapsed .devtools-body { display: none; }
+`
+
+const element = (tag, className, text) => {
+  const el = document.createElement(tag)
+  if (className) el.className = className
+  if (text) el.textContent = text
+  return el
+}
+
+const timeOf = time => new Date(time).toTimeString().slice(0, 8) + '.' + String(time % 1000).padStart(3, '0')
+
+const summary = entry => `#${ entry.id } ${ timeOf(entry.time) } ${ entry.component } ${ entry.action }` +
+                         (entry.sink !== STATE ? ` → ${ entry.sink }` : '') +
+                         (entry.next.length ? ` ⇢ ${ entry.next.join(', ') }` : '')
+
+const details = entry => JSON.stringify({
+  action:  entry.action,
+  data:    entry.data,
+  next:    entry.next,
+  [entry.sink === STATE ? 'state' : entry.sink]: entry.sink === STATE ? entry.state : entry.value,
+  ...(entry.sink !== STATE ? { state: entry.state } : {}),
+}, null, 2)
+
+/**
+ * make a driver for the devtools panel (see withDevtools() above)
+ *
+ * @param {Object} options
+ *   - maxEntries: how many actions the panel keeps (defaults to MAX_ENTRIES)
+ * @return {Function} DEVTOOLS driver
+ *
+ * - sink expects the actions recorded by withDevtools()
+ * - source is a stream of commands for withDevtools(), { type: 'JUMP', data: state } and { type: 'RESUME' }
+ * - the panel has a row for each action, showing its payload and the state it resulted in when clicked,
+ *   and a slider to scrub through them
+ *   - Step through shows the recorded states after the picked action one at a time, and resumes recording once it gets to the last one
+ *     (the actions aren't run again, only the states they resulted in are shown)
+ *   - Resume from here throws away the actions after the picked one, and records new actions from there
+ *   - Live goes back to the last state and resumes recording
+ *   - Export saves the session as a JSON file, and Import loads one and shows its last state
+ */
+export function makeDevtoolsDriver({ maxEntries=MAX_ENTRIES }={}) {
+  return function devtoolsDriver (entry$) {
+    const command$ = xs.create()
+
+    let entries   = []
+    let selected  = null
+    let stepping  = null
+
+    const style = element('style')
+    style.textContent = STYLES
+    document.head.appendChild(style)
+
+    const panel   = element('aside', 'devtools collapsed')
+    const bar     = element('div', 'devtools-bar')
+    const toggle  = element('button', 'devtools-toggle', 'Devtools')
+    const step    = element('button', 'devtools-step', 'Step through')
+    const resume  = element('button', 'devtools-resume', 'Resume from here')
+    const live    = element('button', 'devtools-live', 'Live')
+    const exports = element('button', 'devtools-export', 'Export')
+    const imports = element('label', 'devtools-import', 'Import')
+    const file    = element('input')
+    const status  = element('span', 'devtools-status')
+    const scrub   = element('input', 'devtools-scrub')
+    const body    = element('div', 'devtools-body')
+    const log     = element('ol', 'devtools-log')
+    const detail  = element('pre', 'devtools-detail')
+
+    file.type  = 'file'
+    file.accept = '.json,application/json'
+    scrub.type = 'range'
+    scrub.min  = 0
+    imports.appendChild(file)
+    ;[toggle, step, resume, live, exports, imports, status].forEach(el => bar.appendChild(el))
+    body.appendChild(log)
+    body.appendChild(detail)
+    ;[bar, scrub, body].forEach(el => panel.appendChild(el))
+    document.body.appendChild(panel)
+
+    // keep the app's keyboard shortcuts (which listen on the document) from firing while using the panel
+    panel.addEventListener('keydown', e => e.stopPropagation())
+
+    // redraw at most once a frame, since actions can come in quick bursts
+    let frame = null
+    const render = _ => {
+      if (frame) return
+      frame = requestAnimationFrame(_ => {
+        frame = null
+        const current = (selected === null) ? entries.length - 1 : selected
+        toggle.textContent = `Devtools (${ entries.length })`
+        status.textContent = (selected === null) ? 'recording' : `paused at #${ entries[selected].id }`
+        step.disabled = resume.disabled = live.disabled = (selected === null)
+        scrub.max   = Math.max(entries.length - 1, 0)
+        scrub.value = Math.max(current, 0)
+        log.innerHTML = ''
+        entries.forEach((entry, index) => {
+          const row = element('li', (index === selected ? 'selected' : '') + (selected !== null && index > selected ? ' future' : ''), summary(entry))
+          row.setAttribute('data-index', index)
+          log.appendChild(row)
+        })
+        detail.textContent = entries[current] ? details(entries[current]) : ''
+        const row = log.children[current]
+        if (row && row.scrollIntoView) row.scrollIntoView({ block: 'nearest' })
+      })
+    }
+
+    const stopStepping = _ => {
+      clearInterval(stepping)
+      stepping = null
+    }
+
+    const jump = index => {
+      if (!entries[index]) return
+      selected = index
+      command$.shamefullySendNext({ type: 'JUMP', data: entries[index].state })
+      render()
+    }
+
+    const goLive = _ => {
+      stopStepping()
+      if (selected === null) return
+      jump(entries.length - 1)
+      selected = null
+      command$.shamefullySendNext({ type: 'RESUME' })
+      render()
+    }
+
+    toggle.addEventListener('click', _ => panel.classList.toggle('collapsed'))
+    scrub.addEventListener('input', _ => {
+      stopStepping()
+      jump(Number(scrub.value))
+    })
+    log.addEventListener('click', e => {
+      const row = e.target.closest('li')
+      if (!row) return
+      stopStepping()
+      jump(Number(row.getAttribute('data-index')))
+    })
+    step.addEventListener('click', _ => {
+      if (selected === null) return
+      stopStepping()
+      stepping = setInterval(_ => (selected < entries.length - 1) ? jump(selected + 1) : goLive(), STEP_DELAY)
+    })
+    resume.addEventListener('click', _ => {
+      if (selected === null) return
+      stopStepping()
+      entries  = entries.slice(0, selected + 1)
+      selected = null
+      command$.shamefullySendNext({ type: 'RESUME' })
+      render()
+    })
+    live.addEventListener('click', goLive)
+    exports.addEventListener('click', _ => {
+      const content = JSON.stringify({ version: 1, exported: new Date().toISOString(), entries }, describe, 2)
+      download({ filename: `devtools-session-${ new Date().toISOString().slice(0, 19).replace(/:/g, '-') }.json`, mimeType: 'application/json', content })
+    })
+    file.addEventListener('change', _ => {
+      const picked = file.files[0]
+      file.value = ''
+      if (!picked) return
+      const reader = new FileReader()
+      reader.onload = _ => {
+        try {
+          const session = JSON.parse(reader.result)
+          if (!session || !Array.isArray(session.entries) || session.entries.length === 0) throw new Error('no actions in the session file')
+          stopStepping()
+          entries = session.entries
+          panel.classList.remove('collapsed')
+          jump(entries.length - 1)
+        } catch (e) {
+          console.log(`Unable to import ${ picked.name }: ${ e.message }`)
+        }
+      }
+      reader.readAsText(picked)
+    })
+
+    entry$.addListener({next: entry => {
+      // stepping through or scrubbing pauses recording, so new actions only come in while live
+      entries = [...entries, entry].slice(-maxEntries)
+      render()
+    }})
+
+    render()
+    return adapt(command$)
+  }
+}
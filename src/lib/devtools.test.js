@@ -0,0 +1,129 @@
+import assert from 'assert'
+import xs from 'xstream'
+import { component } from 'cyclejs-component'
+import { mount } from '../test/mount'
+import { instrument, withDevtools } from './devtools'
+
+// tests for recording actions and travelling back to recorded states with the devtools
+//  - a small counter component is instrumented and run with mock drivers (see ../test/mount.js),
+//    since the app's own components are only instrumented in builds with DEVTOOLS turned on
+//  - the commands the DEVTOOLS driver would send are sent by the tests instead
+
+
+
+const counter = component(instrument({
+  name: 'COUNTER',
+  initialState: { count: 0 },
+  model: {
+    ADD: (state, data, next) => {
+      next('SAVED', state.count + data)
+      return { ...state, count: state.count + data }
+    },
+    SAVED: {
+      STORE: (state, data) => ({ key: 'count', value: data }),
+    },
+    CLEAR: {
+      DOMFX: { type: 'SET_VALUE', data: { selector: '.amount' } },
+    },
+  },
+  intent: ({ DOM }) => ({
+    ADD:   DOM.select('.add').events('click').map(e => Number(e.target.value)),
+    CLEAR: DOM.select('.clear').events('click'),
+  }),
+  view: ({ state }) => <div><button className="add" value="2">{ state.count }</button><button className="clear"></button></div>,
+}))
+
+// run the counter with the devtools, and run a test once it has rendered
+//  - the test gets the running counter, the actions recorded so far, and a stream to send DEVTOOLS commands to
+const withCounter = test => {
+  const command$ = xs.create()
+  const entries  = []
+  const Main = sources => {
+    const sinks = withDevtools(counter)({ ...sources, DEVTOOLS: command$ })
+    sinks.DEVTOOLS.addListener({ next: entry => entries.push(entry) })
+    return sinks
+  }
+  const app = mount(Main)
+  return app.settle()
+            .then(_ => test(app, entries, command$))
+            .then(_ => app.dispose(), e => {
+              app.dispose()
+              throw e
+            })
+}
+
+const act = (app, selector, type, fields) => {
+  app.simulate(selector, type, fields)
+  return app.settle()
+}
+
+const summary = ({ component, action, sink, data, next }) => ({ component, action, sink, data, next })
+
+
+describe('DEVTOOLS', function () {
+
+  it('records each action with its payload, the actions it dispatched, and the state it resulted in', () => withCounter((app, entries) => {
+    return act(app, '.add', 'click').then(_ => {
+      assert.deepEqual(entries.map(summary), [
+        { component: 'COUNTER', action: 'ADD',   sink: 'STATE', data: 2, next: ['SAVED'] },
+        { component: 'COUNTER', action: 'SAVED', sink: 'STORE', data: 2, next: [] },
+      ])
+      assert.deepEqual(entries[0].state, { count: 2 })
+      assert.deepEqual(entries[1].state, { count: 2 })
+      assert.deepEqual(entries.map(entry => entry.id), [1, 2])
+    })
+  }))
+
+  it('records what actions send to other sinks, including fixed values', () => withCounter((app, entries) => {
+    return act(app, '.add', 'click').then(_ => act(app, '.clear', 'click')).then(_ => {
+      assert.deepEqual([entries[1].value.key, entries[1].value.value], ['count', 2])
+      assert.equal(entries[2].action, 'CLEAR')
+      assert.deepEqual(entries[2].value.data, { selector: '.amount' })
+      assert.deepEqual(app.stored.count, 2)
+    })
+  }))
+
+  it('replaces events in payloads with plain data that can be saved', () => withCounter((app, entries) => {
+    return act(app, '.clear', 'click').then(_ => {
+      assert.deepEqual(JSON.parse(JSON.stringify(entries[0].data)), entries[0].data)
+      assert.deepEqual(entries[0].data, { event: 'click', target: 'button.clear' })
+    })
+  }))
+
+  it('puts the app in a recorded state without recording, until told to resume (JUMP, RESUME)', () => withCounter((app, entries, command$) => {
+    return act(app, '.add', 'click').then(_ => act(app, '.add', 'click')).then(_ => {
+      assert.equal(app.state.count, 4)
+      command$.shamefullySendNext({ type: 'JUMP', data: entries[0].state })
+      return app.settle()
+    }).then(_ => {
+      assert.equal(app.state.count, 2)
+      assert.equal(app.find('.add')[0].textContent, '2')
+      return act(app, '.add', 'click')
+    }).then(_ => {
+      assert.equal(app.state.count, 4)
+      assert.equal(entries.length, 4)
+      command$.shamefullySendNext({ type: 'RESUME' })
+      return act(app, '.add', 'click')
+    }).then(_ => {
+      assert.equal(entries.length, 6)
+      assert.deepEqual(entries[4].state, { count: 6 })
+    })
+  }))
+
+  it('doesn\'t save anything while the app is in a recorded state (JUMP, RESUME)', () => withCounter((app, entries, command$) => {
+    return act(app, '.add', 'click').then(_ => act(app, '.add', 'click')).then(_ => {
+      const saved = app.sent.STORE.length
+      command$.shamefullySendNext({ type: 'JUMP', data: entries[0].state })
+      return act(app, '.add', 'click').then(_ => {
+        assert.equal(app.state.count, 4)
+        assert.equal(app.sent.STORE.length, saved)
+        command$.shamefullySendNext({ type: 'RESUME' })
+        return act(app, '.add', 'click')
+      }).then(_ => {
+        assert.equal(app.sent.STORE.length, saved + 1)
+        assert.equal(app.stored.count, 6)
+      })
+    })
+  }))
+
+})
@@ -0,0 +1,55 @@
+import xs from 'xstream'
+import {adapt} from '@cycle/run/lib/adapt'
+
+/**
+ * save a file to the user's computer
+ *
+ * @param {Object} file
+ *   - filename: name the file is saved as (ex. 'todos.csv')
+ *   - mimeType: type of the file (ex. 'text/csv')
+ *   - content: text of the file
+ */
+export function download({ filename, mimeType, content }) {
+  const url  = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  // give the browser a moment to start the download before releasing the file
+  setTimeout(_ => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * driver for saving files to the user's computer and reading files they pick or drop onto the page
+ *
+ * @param {Stream} fx$ stream of file requests
+ *
+ * - sink expects objects like:
+ *     { type: 'DOWNLOAD', data: { filename: 'todos.csv', mimeType: 'text/csv', content: '...' } }   save a file
+ *     { type: 'READ', data: [ ...files ] }                                                        read File objects as text
+ * - source is a stream of files that were read, like { name: 'todos.csv', text: '...' }
+ *   or { name: 'todos.csv', error: 'message' } if the file couldn't be read
+ */
+export default function fileDriver (fx$) {
+  const read$ = xs.create()
+
+  const read = file => {
+    const reader = new FileReader()
+    reader.onload  = _ => read$.shamefullySendNext({ name: file.name, text: reader.result })
+    reader.onerror = _ => read$.shamefullySendNext({ name: file.name, error: reader.error ? reader.error.message : 'Unable to read file' })
+    reader.readAsText(file)
+  }
+
+  fx$.addListener({next: fx => {
+    try {
+      if (fx.type === 'DOWNLOAD') download(fx.data)
+      if (fx.type === 'READ') Array.from(fx.data).forEach(read)
+    } catch (e) {
+      console.log(e)
+    }
+  }})
+
+  return adapt(read$)
+}
@@ -0,0 +1,116 @@
+/**
+ * todo fields that are tracked by undo/redo (and saved, see ../schemas.js)
+ *  - everything else only describes the current UI state (ex. `hidden` or `editing`), so new flags are left out without having to list them
+ *  - subtasks only have some of these fields
+ */
+const SAVED_FIELDS = ['id', 'title', 'completed', 'tags', 'due', 'repeat', 'priority', 'subtasks']
+
+/**
+ * create a snapshot of a list of todos with only the fields that are saved
+ *
+ * @param {Array} todos array of todo objects
+ * @return {Array} copy of the todos containing only fields that should be tracked by the undo history
+ *
+ * subtasks are cleaned up the same way as their parent todos
+ */
+export function snapshot(todos) {
+  return todos.map(todo => SAVED_FIELDS.reduce((acc, key) => {
+    if (!todo.hasOwnProperty(key)) return acc
+    acc[key] = (key === 'subtasks' && Array.isArray(todo[key])) ? snapshot(todo[key]) : todo[key]
+    return acc
+  }, {}))
+}
+
+/**
+ * check if two snapshots contain the same todos
+ *
+ * @param {Array} a first snapshot
+ * @param {Array} b second snapshot
+ * @return {Boolean} true if the snapshots are equivalent
+ */
+export function sameSnapshot(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * check if a change to the todo list is still in progress and should be grouped with any following changes
+ *
+ * @param {Array} todos array of todo objects
+ * @return {Boolean} true if any of the todos (or their subtasks) is being edited,
+ *                   or a recurring todo was just completed and its next occurrence hasn't been added yet
+ */
+export function isSettling(todos) {
+  return todos.some(todo => todo.editing || todo.repeatPending || (Array.isArray(todo.subtasks) && isSettling(todo.subtasks)))
+}
+
+/**
+ * create a new undo history
+ *
+ * @param {Array} todos the todos to use as the current (present) entry of the history
+ * @return {Object} history object with `past`, `present`, and `future` entries
+ */
+export function initHistory(todos=[]) {
+  return { past: [], present: snapshot(todos), future: [] }
+}
+
+/**
+ * add a new entry to an undo history
+ *
+ * @param {Object} history the current undo history
+ * @param {Array} todos the todos to record as the new present entry
+ * @param {Number} limit maximum number of undo steps to keep (defaults to 100)
+ * @return {Object} the updated history
+ *
+ * recording a new entry discards any steps that were previously available to redo
+ */
+export function record(history, todos, limit=100) {
+  const present = snapshot(todos)
+  if (sameSnapshot(present, history.present)) return history
+  const past = [...history.past, history.present].slice(-limit)
+  return { past, present, future: [] }
+}
+
+/**
+ * add changes made somewhere else (ex. in another tab) to an undo history, without making them a step of their own
+ *
+ * @param {Object} history the current undo history
+ * @param {Function} merge function that adds the changes to a list of todos (ex. todos => mergeTodos(todos, incoming, base))
+ * @return {Object} the updated history
+ *
+ * every entry gets the changes, so undoing and redoing steps made here never brings back todos as they were
+ * before the changes (which would then be saved, and overwrite the changes where they were made)
+ *  - steps that only changed todos the changes replaced no longer change anything, so they're dropped
+ */
+export function rebase(history, merge) {
+  const rebased = todos => snapshot(merge(todos))
+  const present = rebased(history.present)
+  // keep entries that differ from the entry after them (for past steps) or before them (for future steps)
+  const past    = history.past.map(rebased).filter((todos, index, all) => !sameSnapshot(todos, all[index + 1] || present))
+  const future  = history.future.map(rebased).filter((todos, index, all) => !sameSnapshot(todos, (index > 0) ? all[index - 1] : present))
+  return { past, present, future }
+}
+
+/**
+ * step back one entry in an undo history
+ *
+ * @param {Object} history the current undo history
+ * @return {Object} the updated history (unchanged if there is nothing to undo)
+ */
+export function undo(history) {
+  if (history.past.length === 0) return history
+  const past    = history.past.slice(0, -1)
+  const present = history.past[history.past.length - 1]
+  return { past, present, future: [history.present, ...history.future] }
+}
+
+/**
+ * step forward one entry in an undo history
+ *
+ * @param {Object} history the current undo history
+ * @return {Object} the updated history (unchanged if there is nothing to redo)
+ */
+export function redo(history) {
+  if (history.future.length === 0) return history
+  const [present, ...future] = history.future
+  return { past: [...history.past, history.present], present, future }
+}
@@ -0,0 +1,179 @@
+// helpers for formatting translated messages
+//  - messages use a subset of the ICU message syntax (https://unicode-org.github.io/icu/userguide/format_parse/messages/):
+//      'Hello {name}'                                                 insert a value
+//      '{count, plural, =0 {No todos} one {# todo} other {# todos}}'  pick the form for a number (# is the number)
+//      '{item, select, step {Step} other {Todo}}'                     pick the form for a value
+//      '{count, number}'                                              insert a number formatted for the language
+//  - plural forms are picked with the language's plural rules, so languages like Arabic can have up to six forms
+//    ('zero', 'one', 'two', 'few', 'many' and 'other'), and languages like Japanese only need 'other'
+//  - a literal quote is written as two quotes ('')
+
+
+
+// plural rules for browsers without Intl.PluralRules, for the languages the app ships with
+//  - see the CLDR plural rules (http://www.unicode.org/cldr/charts/latest/supplemental/language_plural_rules.html)
+const PLURAL_RULES = {
+  ar: n => (n === 0) ? 'zero'
+         : (n === 1) ? 'one'
+         : (n === 2) ? 'two'
+         : (n % 100 >= 3 && n % 100 <= 10) ? 'few'
+         : (n % 100 >= 11) ? 'many'
+         : 'other',
+  ja: n => 'other',
+}
+
+// parsed messages, so each message is only parsed once
+const parsed = new Map()
+
+// the base language of a language code (ex. 'de' for 'de-AT')
+const baseLanguage = locale => String(locale).toLowerCase().split(/[-_]/)[0]
+
+// parse a message into a list of text and arguments
+//  - text is kept as strings, and arguments as objects like { type: 'plural', name: 'count', options: { one: [...], other: [...] } }
+const parse = message => {
+  let index = 0
+
+  const fail = _ => { throw new Error(`Invalid message at ${ index }: ${ message }`) }
+
+  const skipSpace = _ => {
+    while (/\s/.test(message[index] || '')) index++
+  }
+
+  // read up to the next character in `stops`
+  const readUntil = stops => {
+    const start = index
+    while (index < message.length && !stops.includes(message[index])) index++
+    return message.slice(start, index).trim()
+  }
+
+  const parseArgument = _ => {
+    const name = readUntil(',}')
+    if (!name || index >= message.length) fail()
+    if (message[index++] === '}') return { type: 'argument', name }
+    const type = readUntil(',}')
+    if (type === 'number' && message[index] === '}') {
+      index++
+      return { type, name }
+    }
+    if (!['plural', 'select'].includes(type) || message[index++] !== ',') fail()
+    const options = {}
+    skipSpace()
+    while (message[index] !== '}') {
+      const key = readUntil('{}')
+      if (!key || message[index++] !== '{') fail()
+      options[key] = parseNodes(type === 'plural')
+      if (message[index++] !== '}') fail()
+      skipSpace()
+    }
+    index++
+    if (!options.other) fail()
+    return { type, name, options }
+  }
+
+  // `inPlural` turns '#' into the number being pluralised
+  const parseNodes = inPlural => {
+    const nodes = []
+    let text = ''
+    const addText = _ => {
+      if (text) nodes.push(text)
+      text = ''
+    }
+    while (index < message.length && message[index] !== '}') {
+      const char = message[index]
+      if (char === '{') {
+        addText()
+        index++
+        nodes.push(parseArgument())
+      } else if (char === '#' && inPlural) {
+        addText()
+        index++
+        nodes.push({ type: 'count' })
+      } else if (char === "'" && message[index + 1] === "'") {
+        text += "'"
+        index += 2
+      } else {
+        text += char
+        index++
+      }
+    }
+    addText()
+    return nodes
+  }
+
+  const nodes = parseNodes(false)
+  if (index < message.length) fail()
+  return nodes
+}
+
+// format a number for a language (ex. '1.234' in German)
+const formatNumber = (value, locale) => (typeof Intl !== 'undefined') ? new Intl.NumberFormat(locale).format(value) : String(value)
+
+// turn parsed nodes into parts, with `count` holding the argument being pluralised for '#'
+const formatNodes = (nodes, values, locale, count) => nodes.reduce((parts, node) => {
+  if (typeof node === 'string') return [...parts, node]
+  if (node.type === 'count') return [...parts, count]
+  const value = values[node.name]
+  if (node.type === 'argument') return [...parts, { name: node.name, value: (typeof value === 'number') ? formatNumber(value, locale) : String(value === undefined ? '' : value) }]
+  if (node.type === 'number') return [...parts, { name: node.name, value: formatNumber(Number(value), locale) }]
+  if (node.type === 'select') {
+    const option = node.options.hasOwnProperty(String(value)) ? node.options[String(value)] : node.options.other
+    return [...parts, ...formatNodes(option, values, locale, count)]
+  }
+  const number = Number(value)
+  const option = node.options['=' + number] || node.options[pluralCategory(locale, number)] || node.options.other
+  return [...parts, ...formatNodes(option, values, locale, { name: node.name, value: formatNumber(number, locale) })]
+}, [])
+
+/**
+ * find the plural category of a number in a language
+ *
+ * @param {String} locale language code (ex. 'ar')
+ * @param {Number} count the number
+ * @return {String} 'zero', 'one', 'two', 'few', 'many' or 'other'
+ */
+export function pluralCategory(locale, count) {
+  if (typeof Intl !== 'undefined' && Intl.PluralRules) return new Intl.PluralRules(locale).select(count)
+  const rule = PLURAL_RULES[baseLanguage(locale)]
+  return rule ? rule(count) : (count === 1 ? 'one' : 'other')
+}
+
+/**
+ * format a message into parts, so the values in it can be marked up
+ *
+ * @param {String} message message in ICU message syntax (ex. '{count, plural, one {# item} other {# items}} left')
+ * @param {Object} values values for the message's arguments (ex. { count: 3 })
+ * @param {String} locale language code used for plural rules and numbers
+ * @return {Array} strings for the text, and objects like { name: 'count', value: '3' } for the values inserted into it
+ *
+ * throws an error if the message isn't valid
+ */
+export function formatMessageParts(message, values={}, locale) {
+  if (!parsed.has(message)) parsed.set(message, parse(message))
+  return formatNodes(parsed.get(message), values, locale)
+}
+
+/**
+ * format a message
+ *
+ * @param {String} message message in ICU message syntax (ex. '{count, plural, one {# item} other {# items}} left')
+ * @param {Object} values values for the message's arguments (ex. { count: 3 })
+ * @param {String} locale language code used for plural rules and numbers
+ * @return {String} the formatted message (ex. '3 items left')
+ */
+export function formatMessage(message, values={}, locale) {
+  return formatMessageParts(message, values, locale).map(part => (typeof part === 'string') ? part : part.value).join('')
+}
+
+/**
+ * pick the best supported language from a list of preferred languages
+ *
+ * @param {Array} preferred language codes in order of preference (ex. navigator.languages like ['de-AT', 'en'])
+ * @param {Array} supported language codes the app has messages for (ex. ['en', 'de'])
+ * @return {String} the first supported language, matching either exactly or by base language ('de-AT' matches 'de'),
+ *                  or undefined if none of them are supported
+ */
+export function matchLocale(preferred, supported) {
+  return preferred.filter(Boolean).reduce((match, locale) => match
+    || supported.find(code => code.toLowerCase() === String(locale).toLowerCase())
+    || supported.find(code => baseLanguage(code) === baseLanguage(locale)), undefined)
+}
@@ -0,0 +1,229 @@
+'use strict'
+
+import xs from 'xstream'
+import dropRepeats from 'xstream/extra/dropRepeats'
+import { decode, schemaFor } from './storageSchema'
+
+// object store names
+//  - ITEMS holds one record per array item (or a single record for non-array values) keyed by [key, id]
+//  - META holds one record per key with the schema version, the type of the stored value, and the order of the items
+const ITEMS = 'items'
+const META  = 'meta'
+
+// id used for the record of a value that isn't an array
+const SINGLE_ID = '__value__'
+
+// wrap an IDBRequest in a Promise
+const request = req => new Promise((resolve, reject) => {
+  req.onsuccess = _ => resolve(req.result)
+  req.onerror   = _ => reject(req.error)
+})
+
+// open (and create if needed) the database
+function openDB (name) {
+  const req = window.indexedDB.open(name, 1)
+  req.onupgradeneeded = _ => {
+    const db = req.result
+    db.createObjectStore(ITEMS, { keyPath: ['key', 'id'] }).createIndex('key', 'key')
+    db.createObjectStore(META, { keyPath: 'key' })
+  }
+  return request(req)
+}
+
+// split a value into the records to store
+//  - array items with an `id` field are stored under that id, other items are stored under their position
+//  - the order of the items is kept in the META record so moving or removing an item doesn't rewrite the others
+function toRecords (key, value) {
+  if (!Array.isArray(value)) return [{ key, id: SINGLE_ID, value }]
+  return value.map((item, position) => {
+    const id = (item && typeof item === 'object' && item.id !== undefined) ? item.id : position
+    return { key, id, value: item }
+  })
+}
+
+// rebuild a value from its stored records
+function fromRecords (records, meta) {
+  if (!meta.isArray) return records.length ? records[0].value : null
+  const byId = new Map(records.map(record => [record.id, record.value]))
+  return meta.order.filter(id => byId.has(id)).map(id => byId.get(id))
+}
+
+/**
+ * create an IndexedDB storage driver
+ *
+ * @param {Object} options
+ * @param {String} options.dbName name of the IndexedDB database (defaults to 'todomvc-cycle')
+ * @param {Object} options.schemas map of storage keys to versioned schemas (see ./storageSchema for the format)
+ * @return {Function} Cycle.js driver
+ *
+ * drop-in replacement for the localStorageDriver:
+ *  - source provides .get(key, defaultValue, emitChanges) and .fromOtherTabs(key, defaultValue)
+ *  - sink expects objects like { key: 'todos', value: [ ...todos ] }, or { key: 'todos.work', remove: true } to remove a key
+ *
+ * arrays are stored one record per item, and each write only puts the items that changed and deletes the ones
+ * that were removed, so saving a large list after a single change only touches a single record
+ */
+export function makeIndexedDBDriver ({ dbName='todomvc-cycle', schemas={} }={}) {
+  return function indexedDBDriver (fx$) {
+    const db$ = openDB(dbName)
+
+    // the last records and META record seen in the database for each key, as JSON strings
+    //  - used to work out which records need to be written
+    const cache = {}
+    const metaCache = {}
+
+    // last value written to each key (used as the base for merges in other tabs)
+    const values = {}
+
+    // tell other tabs about writes
+    const channel = (typeof BroadcastChannel !== 'undefined') ? new BroadcastChannel(dbName) : null
+
+    // read all records for a key
+    const load = key => db$.then(db => {
+      const tx = db.transaction([ITEMS, META], 'readonly')
+      return Promise.all([
+        request(tx.objectStore(ITEMS).index('key').getAll(key)),
+        request(tx.objectStore(META).get(key))
+      ])
+    }).then(([records, meta]) => {
+      cache[key] = new Map(records.map(record => [record.id, JSON.stringify(record)]))
+      metaCache[key] = JSON.stringify(meta)
+      return meta ? { version: meta.version, data: fromRecords(records, meta) } : null
+    })
+
+    // make sure the cache for a key is filled before writing to it
+    const ensureCache = key => cache[key] ? Promise.resolve() : load(key)
+
+    // write only the records that changed since the last write
+    //  - resolves to true if anything was written
+    const write = (key, value, version) => ensureCache(key).then(_ => db$).then(db => {
+      const schema  = schemaFor(schemas, key)
+      const records = toRecords(key, value)
+      const known   = cache[key]
+      const next    = new Map(records.map(record => [record.id, JSON.stringify(record)]))
+      const puts    = records.filter(record => known.get(record.id) !== next.get(record.id))
+      const deletes = Array.from(known.keys()).filter(id => !next.has(id))
+      const meta    = {
+        key,
+        version: (version != null) ? version : (schema ? schema.version : 0),
+        isArray: Array.isArray(value),
+        order:   records.map(record => record.id)
+      }
+      const metaChanged = metaCache[key] !== JSON.stringify(meta)
+
+      const tx    = db.transaction([ITEMS, META], 'readwrite')
+      const items = tx.objectStore(ITEMS)
+      puts.forEach(record => items.put(record))
+      deletes.forEach(id => items.delete([key, id]))
+      if (metaChanged) tx.objectStore(META).put(meta)
+
+      cache[key] = next
+      metaCache[key] = JSON.stringify(meta)
+      return new Promise((resolve, reject) => {
+        tx.oncomplete = _ => resolve(puts.length > 0 || deletes.length > 0 || metaChanged)
+        tx.onerror    = _ => reject(tx.error)
+      })
+    })
+
+    // delete every record for a key
+    //  - resolves to true if there was anything to delete
+    const clear = key => ensureCache(key).then(_ => db$).then(db => {
+      const known   = cache[key]
+      const existed = known.size > 0 || metaCache[key] !== undefined
+
+      const tx    = db.transaction([ITEMS, META], 'readwrite')
+      const items = tx.objectStore(ITEMS)
+      known.forEach((_, id) => items.delete([key, id]))
+      tx.objectStore(META).delete(key)
+
+      cache[key] = new Map()
+      metaCache[key] = undefined
+      return new Promise((resolve, reject) => {
+        tx.oncomplete = _ => resolve(existed)
+        tx.onerror    = _ => reject(tx.error)
+      })
+    })
+
+    // writes (and removals) are queued so they are applied in order
+    //  - other tabs are only told about writes that changed something, so merges between tabs settle
+    //  - removed keys are sent to other tabs without a value, which they read as the default value
+    let queue = Promise.resolve()
+    fx$.addListener({next: ({key, value, remove}) => {
+      const previous = values[key]
+      const current  = remove ? null : value
+      values[key] = current
+      queue = queue.then(_ => remove ? clear(key) : write(key, value))
+                   .then(changed => changed && channel && channel.postMessage({ key, value: current, previous }))
+                   .catch(e => console.log(e))
+    }})
+
+    // move the records for a key that can't be read to a backup key, and put the default value in their place
+    //  - the backup keeps the version it was stored with, so it can still be read by the version of the app that wrote it
+    //  - the writes are queued like any other, so they can't get mixed up with writes the app makes in the meantime
+    const quarantine = (key, stored, error, defaultValue) => {
+      const backupKey = `${key}.backup.${Date.now()}`
+      console.log(`Error reading '${key}' from IndexedDB, moving it to '${backupKey}':`, error.message)
+      const moved = queue.then(_ => write(backupKey, stored.data, stored.version))
+                         .then(_ => write(key, defaultValue))
+      queue = moved.catch(e => console.log(e))
+      return moved
+    }
+
+    // stream of messages from other tabs
+    let onMessage
+    const message$ = xs.create({
+      start: listener => {
+        if (!channel) return
+        onMessage = e => listener.next(e.data)
+        channel.addEventListener('message', onMessage)
+      },
+      stop: _ => channel && channel.removeEventListener('message', onMessage)
+    })
+
+    const fromOtherTabs$ = (key, defaultValue) => {
+      return message$.filter(message => message.key == key)
+                     .map(({ value, previous }) => ({
+                       value:    (value === undefined || value === null) ? defaultValue : value,
+                       previous: (previous === undefined || previous === null) ? defaultValue : previous
+                     }))
+    }
+
+    return {
+      get: (key, defaultValue, emitChanges=false) => {
+        // wait for any pending writes, then read the current value
+        const read = queue.then(_ => load(key)).then(stored => {
+          if (stored === null || stored.data === null) return defaultValue
+          try {
+            const schema = schemaFor(schemas, key)
+            return schema ? decode(schema, stored) : stored.data
+          } catch (e) {
+            return quarantine(key, stored, e, defaultValue).then(_ => defaultValue)
+          }
+        }).then(value => {
+          values[key] = value
+          return value
+        }, e => {
+          console.log('Error reading from IndexedDB', e)
+          return defaultValue
+        })
+        const loaded$ = xs.fromPromise(read)
+
+        if (emitChanges) {
+          const own$   = fx$.filter(({key: key_}) => key == key_)
+                            .map(({value, remove}) => remove ? defaultValue : value)
+          const other$ = fromOtherTabs$(key, defaultValue).map(({value}) => value)
+          return xs.merge(loaded$, xs.merge(own$, other$).compose(dropRepeats()))
+        } else {
+          return loaded$
+        }
+      },
+
+      // get a stream of values written to a key by other tabs or windows
+      //  - emits objects like { value: 'new value', previous: 'value before the write' }
+      fromOtherTabs: fromOtherTabs$
+    }
+  }
+}
+
+// driver using the default database name and no versioned schemas
+export default makeIndexedDBDriver()
@@ -0,0 +1,82 @@
+import { memoizeLast } from './utils'
+
+// helpers for only rendering the todos in view once the todo list gets long
+//  - only the shown todos get TODO components, so a long list filtered down to a few todos is as quick as a short one
+//  - short lists of shown todos are rendered in full
+//  - long lists scroll inside the todo list, and only have TODO components for the rows in view,
+//    plus a few above and below so scrolling quickly doesn't show gaps
+//  - the rows out of view are stood in for by padding at the top and bottom of the list, worked out from an estimated row height,
+//    so the scrollbar stays about the right size (taller rows, like todos with subtasks, make it less exact)
+
+
+
+// estimated height of a todo in the list (in pixels, see public/app.css)
+export const ROW_HEIGHT = 58
+
+// lists showing more todos than this are windowed
+export const WINDOW_THRESHOLD = 200
+
+// how many rows are rendered above and below the ones in view
+export const OVERSCAN = 10
+
+// rows rendered before the list has been scrolled (enough to fill a tall screen)
+export const INITIAL_WINDOW = { start: 0, size: 40 }
+
+/**
+ * work out which rows are in view from how far the list is scrolled
+ *
+ * @param {Object} scroll the list's scroll position, like { top: 5800, height: 600 } (its scrollTop and clientHeight)
+ * @return {Object} the window of rows to render, like { start: 90, size: 32 }
+ */
+export function windowFor({ top, height }) {
+  const first = Math.floor(top / ROW_HEIGHT)
+  const start = Math.max(0, first - OVERSCAN)
+  return { start, size: (first - start) + Math.ceil(height / ROW_HEIGHT) + OVERSCAN }
+}
+
+/**
+ * move a window so that a row is inside it
+ *
+ * @param {Object} window window of rows like { start: 90, size: 32 }
+ * @param {Number} index index of the row in the shown todos
+ * @return {Object} the same window if the row is already inside it, or a window of the same size centered on the row
+ */
+export function revealRow(window, index) {
+  if (index >= window.start && index < window.start + window.size) return window
+  return { ...window, start: Math.max(0, index - Math.floor(window.size / 2)) }
+}
+
+/**
+ * get the rows of the todo list to render
+ *
+ * @param {Array} shown the todos that are shown, in the order they're shown in
+ * @param {Object} window window of rows like { start: 90, size: 32 }
+ * @return {Object}
+ *   - rows: the todos to make TODO components for, every shown todo for short lists, or the shown todos in the window for long ones
+ *   - windowed: whether the list is windowed
+ *   - before, after: the height in pixels of the rows above and below the window
+ *
+ * the result is the same object while the arguments are the same, so the rows only change when the shown todos or the window do
+ */
+export const sliceWindow = memoizeLast((shown, window) => {
+  if (shown.length <= WINDOW_THRESHOLD) return { rows: shown, windowed: false, before: 0, after: 0 }
+  // the list may have gotten shorter since it was scrolled
+  const start = Math.max(0, Math.min(window.start, shown.length - window.size))
+  const end   = Math.min(shown.length, start + window.size)
+  return { rows: shown.slice(start, end), windowed: true, before: start * ROW_HEIGHT, after: (shown.length - end) * ROW_HEIGHT }
+})
+
+/**
+ * put the changes TODO components made to their rows back into the whole list
+ *
+ * @param {Array} todos every todo in the list
+ * @param {Array} rows the rows the TODO components were given (see sliceWindow), which can be some or all of the todos
+ * @param {Array} changed the rows after the TODO components' reducers ran, without the todos they deleted
+ * @return {Array} every todo in the list with the changes made, in their stored order
+ */
+export function mergeWindow(todos, rows, changed) {
+  if (changed === rows) return todos
+  const byId    = new Map(changed.map(todo => [todo.id, todo]))
+  const removed = new Set(rows.filter(todo => !byId.has(todo.id)).map(todo => todo.id))
+  return todos.filter(todo => !removed.has(todo.id)).map(todo => byId.get(todo.id) || todo)
+}
@@ -0,0 +1,44 @@
+// helpers for named todo lists
+//  - the default list always exists, and keeps its todos in the original 'todos' storage key
+//  - other lists are created by the user, and keep their todos in keys like 'todos.work'
+
+
+
+// id of the list that always exists (its name is translated, see 'lists.default' in ../locales)
+export const DEFAULT_LIST = 'default'
+
+/**
+ * get the storage key for the todos of a list
+ *
+ * @param {String} list id of the list
+ * @return {String} 'todos' for the default list, or a key like 'todos.work' for other lists
+ */
+export function storageKey(list) {
+  return (list === DEFAULT_LIST) ? 'todos' : `todos.${list}`
+}
+
+/**
+ * make an id for a new list from its name
+ *
+ * @param {String} name name of the list (ex. 'Work Stuff')
+ * @param {Array} lists the existing lists
+ * @return {String} a url friendly id that isn't used by any of the lists (ex. 'work-stuff', or 'work-stuff-2' if that's taken)
+ */
+export function listId(name, lists) {
+  const base  = name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'list'
+  const taken = id => id === DEFAULT_LIST || lists.some(list => list.id === id)
+  let id = base
+  for (let n = 2; taken(id); n++) id = `${base}-${n}`
+  return id
+}
+
+/**
+ * check if a list exists
+ *
+ * @param {Array} lists the lists created by the user
+ * @param {String} id id of the list to look for
+ * @return {Boolean} true for the default list, or if one of the lists has the id
+ */
+export function hasList(lists, id) {
+  return id === DEFAULT_LIST || lists.some(list => list.id === id)
+}
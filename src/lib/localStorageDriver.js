@@ -2,35 +2,114 @@
 
 import xs from 'xstream'
 import dropRepeats from 'xstream/extra/dropRepeats';
+import { encode, decode, schemaFor } from './storageSchema'
 
-export default function localStorageDriver (fx$) {
-  fx$.addListener({next: ({key, value}) => {
-    try {
-      localStorage.setItem(key, JSON.stringify(value))
-    } catch(e) {
-      console.log(e)
+/**
+ * create a local storage driver
+ *
+ * @param {Object} schemas map of storage keys to versioned schemas (see ./storageSchema for the format)
+ * @return {Function} Cycle.js driver
+ *
+ * - values for keys with a schema are stored in a versioned envelope and migrated to the current version on load
+ * - corrupt values, or values with an unknown version, are moved to a backup key like 'todos.backup.1508367600000'
+ *   and the default value is used instead
+ * - keys without a schema are stored as plain JSON
+ * - sink expects objects like { key: 'todos', value: [ ...todos ] }, or { key: 'todos.work', remove: true } to remove a key
+ */
+export function makeLocalStorageDriver (schemas={}) {
+  return function localStorageDriver (fx$) {
+
+    // parse a raw value from local storage and bring it up to the current schema version
+    //  - throws if the value can't be read
+    const read = (key, fromStorage, defaultValue) => {
+      if (!fromStorage || fromStorage == "null") return defaultValue
+      const parsed = JSON.parse(fromStorage)
+      const schema = schemaFor(schemas, key)
+      return schema ? decode(schema, parsed) : parsed
     }
-  }})
 
-  return {
-    get: (key, defaultValue, emitChanges=false) => {
-      const fromStorage = window.localStorage.getItem(key)
-      let parsed
+    // move a value that can't be read to a backup key so it isn't lost when the key is next written
+    const quarantine = (key, fromStorage, error) => {
+      const backupKey = `${key}.backup.${Date.now()}`
+      console.log(`Error reading '${key}' from local storage, moving it to '${backupKey}':`, error.message)
       try {
-        parsed = (fromStorage && fromStorage != "null") ? JSON.parse(fromStorage) : defaultValue
-      } catch (e) {
-        console.log('Error reading from local storage')
-        parsed = defaultValue
+        localStorage.setItem(backupKey, fromStorage)
+        localStorage.removeItem(key)
+      } catch(e) {
+        console.log(e)
       }
+    }
 
-      if (emitChanges) {
-        return fx$.filter(({key: key_, value}) => key == key_)
-                  .map(({value}) => value)
-                  .compose(dropRepeats())
-                  .startWith(parsed)
-      } else {
-        return xs.of(parsed)
+    fx$.addListener({next: ({key, value, remove}) => {
+      try {
+        if (remove) return localStorage.removeItem(key)
+        const schema = schemaFor(schemas, key)
+        const stored = schema ? encode(schema, value) : value
+        localStorage.setItem(key, JSON.stringify(stored))
+      } catch(e) {
+        console.log(e)
       }
+    }})
+
+    // stream of raw 'storage' events from the browser
+    //  - browsers only fire these for writes made by OTHER tabs or windows, never for this one
+    let onStorage
+    const storage$ = xs.create({
+      start: listener => {
+        onStorage = e => listener.next(e)
+        window.addEventListener('storage', onStorage)
+      },
+      stop: _ => window.removeEventListener('storage', onStorage)
+    })
+
+    // values written to a key by other tabs
+    //  - values that can't be read (ex. written by a newer version of the app) are skipped
+    const fromOtherTabs$ = (key, defaultValue) => {
+      return storage$.filter(e => e.key == key && e.storageArea === window.localStorage)
+                     .map(e => {
+                       try {
+                         return {
+                           value:    read(key, e.newValue, defaultValue),
+                           previous: read(key, e.oldValue, defaultValue)
+                         }
+                       } catch (err) {
+                         console.log(`Ignoring unreadable value for '${key}' from another tab:`, err.message)
+                         return null
+                       }
+                     })
+                     .filter(change => change !== null)
+    }
+
+    return {
+      get: (key, defaultValue, emitChanges=false) => {
+        const fromStorage = window.localStorage.getItem(key)
+        let parsed
+        try {
+          parsed = read(key, fromStorage, defaultValue)
+        } catch (e) {
+          quarantine(key, fromStorage, e)
+          parsed = defaultValue
+        }
+
+        if (emitChanges) {
+          const own$   = fx$.filter(({key: key_, value}) => key == key_)
+                            .map(({value, remove}) => remove ? defaultValue : value)
+          const other$ = fromOtherTabs$(key, defaultValue).map(({value}) => value)
+          return xs.merge(own$, other$)
+                   .compose(dropRepeats())
+                   .startWith(parsed)
+        } else {
+          return xs.of(parsed)
+        }
+      },
+
+      // get a stream of values written to a key by other tabs or windows
+      //  - emits objects like { value: 'new value', previous: 'value before the write' }
+      //  - the previous value is what this tab last saw in storage, and is useful as a base for merging changes
+      fromOtherTabs: fromOtherTabs$
     }
   }
-}
\ No newline at end of file
+}
+
+// driver without any versioned schemas
+export default makeLocalStorageDriver()
@@ -0,0 +1,41 @@
+import {adapt} from '@cycle/run/lib/adapt'
+import { matchLocale } from './i18n'
+
+/**
+ * make a driver for the language the app is shown in
+ *
+ * @param {Object} options
+ *   - locales: the languages the app supports, like { en: { dir: 'ltr' }, ar: { dir: 'rtl' } } (see ../locales)
+ *   - initial: language to start in, if empty the browser's preferred languages are used
+ *   - fallback: language to start in when the browser doesn't prefer any of the supported languages
+ * @return {Function} LOCALE driver
+ *
+ * - sink expects language codes like 'de' to switch to (languages that aren't supported are ignored)
+ * - source is a stream of the current language code, starting with the language the app starts in
+ * - the `lang` and `dir` attributes of the page are kept up to date, so screen readers use the right pronunciation
+ *   and right to left languages are laid out from the right
+ */
+export function makeLocaleDriver({ locales, initial='', fallback }) {
+  const supported = Object.keys(locales)
+  const preferred = (typeof navigator !== 'undefined') ? (navigator.languages || [navigator.language]) : []
+  const start     = matchLocale([initial, ...preferred], supported) || fallback
+
+  const apply = locale => {
+    document.documentElement.setAttribute('lang', locale)
+    document.documentElement.setAttribute('dir', locales[locale].dir || 'ltr')
+  }
+
+  return function localeDriver (locale$) {
+    const current$ = locale$.filter(locale => supported.includes(locale)).startWith(start).remember()
+
+    current$.addListener({next: locale => {
+      try {
+        apply(locale)
+      } catch (e) {
+        console.log(e)
+      }
+    }})
+
+    return adapt(current$)
+  }
+}
@@ -0,0 +1,65 @@
+import { newId } from './utils'
+import { snapshot, sameSnapshot } from './history'
+
+// index an array of todos by id
+const byId = todos => todos.reduce((acc, todo) => acc.set(todo.id, todo), new Map())
+
+// check if two versions of a todo differ in any stored (non UI) field
+const changed = (a, b) => !sameSnapshot(snapshot([a]), snapshot([b]))
+
+/**
+ * three-way merge of two versions of a todo list, resolving conflicts per todo id
+ *
+ * @param {Array} local the todos in this tab (may include UI fields like `editing` and `hidden`)
+ * @param {Array} incoming the todos written by another tab
+ * @param {Array} base the todos both versions started from (the stored value before the other tab wrote)
+ * @return {Array} merged todos, in the order of the incoming list followed by any todos only found locally
+ *
+ * for each todo id:
+ *  - a todo that is being edited locally keeps its local title and edit state
+ *  - a todo only changed on one side takes that side's version
+ *  - a todo changed on both sides takes the incoming version (last write wins)
+ *  - a todo deleted on one side is deleted unless it was changed on the other side
+ *  - a todo added on both sides with the same id but different content is kept twice, the local one gets a new id
+ */
+export function mergeTodos(local, incoming, base=[]) {
+  const localById = byId(local)
+  const baseById  = byId(base)
+  const collided  = []
+
+  const merged = incoming.reduce((acc, remote) => {
+    const mine     = localById.get(remote.id)
+    const original = baseById.get(remote.id)
+
+    if (!mine) {
+      // keep todos added on the other side, drop ones deleted here unless the other side changed them
+      if (!original || changed(original, remote)) acc.push(remote)
+    } else if (mine.editing) {
+      // never clobber an edit in progress
+      acc.push({ ...remote, title: mine.title, editing: mine.editing, cachedTitle: mine.cachedTitle })
+    } else if (!original) {
+      // added on both sides with the same id
+      if (changed(mine, remote)) collided.push(mine)
+      acc.push({ ...mine, ...remote })
+    } else if (changed(original, mine) && !changed(original, remote)) {
+      // only changed here
+      acc.push(mine)
+    } else {
+      acc.push({ ...mine, ...remote })
+    }
+    return acc
+  }, [])
+
+  const incomingById = byId(incoming)
+  const localOnly = local.filter(mine => {
+    if (incomingById.has(mine.id)) return false
+    const original = baseById.get(mine.id)
+    // drop todos deleted on the other side unless they were changed or are being edited here
+    return !original || mine.editing || changed(original, mine)
+  })
+
+  // todos that collided with a todo from the other side get a fresh id
+  return [...merged, ...localOnly, ...collided].reduce((acc, todo) => {
+    return [...acc, collided.includes(todo) ? { ...todo, id: newId(acc) } : todo]
+  }, [])
+}
@@ -0,0 +1,25 @@
+/**
+ * driver for showing desktop notifications with the Notification API
+ *
+ * @param {Stream} fx$ stream of notification requests
+ *
+ * - no source events
+ * - sink expects objects like:
+ *     { type: 'REQUEST_PERMISSION' }                                               ask the user to allow notifications
+ *     { type: 'NOTIFY', data: { title: 'Buy milk', body: 'Due today', tag: 'todo-3' } }  show a notification
+ * - notifications are silently skipped if the browser doesn't support them or the user hasn't allowed them
+ */
+export default function notificationDriver (fx$) {
+  const supported = typeof Notification !== 'undefined'
+
+  fx$.subscribe({next: fx => {
+    if (!supported) return
+    if (fx.type === 'REQUEST_PERMISSION' && Notification.permission === 'default') {
+      Notification.requestPermission()
+    }
+    if (fx.type === 'NOTIFY' && Notification.permission === 'granted') {
+      const { title, ...options } = fx.data
+      new Notification(title, options)
+    }
+  }})
+}
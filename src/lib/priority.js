@@ -0,0 +1,66 @@
+// helpers for todo priorities
+//  - todos have a `priority` of 'low', 'normal' or 'high', new todos are 'normal' unless they're marked
+//  - priorities are marked by starting the title with '!' for high or '~' for low (ex. '! Pay rent', '~ Tidy the garage'),
+//    like due dates and #hashtags they're taken out of the title and added back when editing
+//  - the priority button on each todo cycles through them (see ../components/todos)
+//  - their names are in the message catalogue as 'priority.<name>' (ex. 'priority.high', see ../locales)
+
+
+
+// priorities from lowest to highest
+export const PRIORITIES = ['low', 'normal', 'high']
+
+// priority of todos that aren't marked
+export const DEFAULT_PRIORITY = 'normal'
+
+// markers typed at the start of a title for each priority (the default priority has none)
+const MARKERS = { low: '~', normal: '', high: '!' }
+
+// pattern for the marker at the start of a title, capturing the '!'s or '~'s
+//  - repeated markers (ex. '!! Pay rent') mean the same as a single one, so titles typed with them keep working
+const MARKER = /^(!+|~+)\s*/
+
+/**
+ * check that a value is a valid priority
+ *
+ * @param {*} priority value to check
+ * @return {Boolean} true for 'low', 'normal' or 'high'
+ */
+export function isPriority(priority) {
+  return PRIORITIES.includes(priority)
+}
+
+/**
+ * find the priority marker at the start of a todo title
+ *
+ * @param {String} text title as entered by the user (ex. '! Pay rent')
+ * @return {Object} the `title` with the marker removed, and the `priority` it marks (ex. { title: 'Pay rent', priority: 'high' })
+ *
+ * titles without a marker have the default priority, and a title that's only a marker (ex. '!') is kept as it is
+ */
+export function parsePriority(text) {
+  const found = MARKER.exec(text.trim())
+  const title = found ? text.trim().slice(found[0].length) : ''
+  if (!found || title === '') return { title: text, priority: DEFAULT_PRIORITY }
+  return { title, priority: found[1].startsWith('!') ? 'high' : 'low' }
+}
+
+/**
+ * get the marker that's typed at the start of a title for a priority
+ *
+ * @param {String} priority 'low', 'normal' or 'high'
+ * @return {String} '~', '' or '!' (and '' for anything else)
+ */
+export function priorityMarker(priority) {
+  return isPriority(priority) ? MARKERS[priority] : ''
+}
+
+/**
+ * get the priority after this one, going back to the lowest after the highest
+ *
+ * @param {String} priority 'low', 'normal' or 'high'
+ * @return {String} the next priority (ex. 'normal' after 'low', 'low' after 'high')
+ */
+export function nextPriority(priority) {
+  return PRIORITIES[(PRIORITIES.indexOf(priority) + 1) % PRIORITIES.length]
+}
@@ -0,0 +1,184 @@
+import { toDate, toDateString, addDays } from './dates'
+import { translate, DEFAULT_LOCALE } from '../locales'
+
+// helpers for recurring todos
+//  - todos repeat by a rule saved in their `repeat` field, or have `repeat` set to null
+//  - rules look like { every: 'day', interval: 3 } (every 3 days), { every: 'month', interval: 1 } (every month)
+//    or { every: 'week', interval: 1, weekdays: [2, 4] } (every Tuesday and Thursday, 0 is Sunday)
+//  - rules are typed into titles like due dates and #hashtags (ex. 'Take out the bins every tue'),
+//    see parseRepeat() for the words that are understood
+//  - completing a recurring todo adds its next occurrence, which carries the rule on (see nextOccurrence())
+
+
+
+const UNITS = { day: 'day', days: 'day', week: 'week', weeks: 'week', month: 'month', months: 'month' }
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+// Monday to Friday, for 'every weekday'
+const WORKDAYS = [1, 2, 3, 4, 5]
+
+// find the weekday (0 for Sunday) for words like 'tue', 'tues', 'tuesday' or 'tuesdays'
+//  - unlike due dates, 'sat' and 'sun' are fine here since they follow 'every'
+const weekdayOf = word => WEEKDAY_NAMES.findIndex(name => word.length >= 3 && (name.startsWith(word) || word === name + 's'))
+
+// read a rule from the words following 'every'
+//  - returns the rule and the number of words it took up, or null if the words aren't a rule
+const readRule = words => {
+  const [first='', second=''] = words
+  const count = /^\d+$/.test(first) ? Number(first) : (first === 'other') ? 2 : 0
+  if (count > 0 && UNITS[second]) return { repeat: { every: UNITS[second], interval: count }, used: 2 }
+  if (UNITS[first]) return { repeat: { every: UNITS[first], interval: 1 }, used: 1 }
+  if (first === 'weekday' || first === 'weekdays') return { repeat: { every: 'week', interval: 1, weekdays: WORKDAYS }, used: 1 }
+
+  // a list of weekdays, optionally separated by 'and' (ex. 'mon wed and fri')
+  //  - a trailing 'and' isn't part of the list
+  const days = words.reduce((acc, word, index) => {
+    if (acc.done) return acc
+    if (weekdayOf(word) !== -1) return { ...acc, weekdays: [...acc.weekdays, weekdayOf(word)], used: index + 1 }
+    return (word === 'and' && acc.weekdays.length > 0) ? acc : { ...acc, done: true }
+  }, { weekdays: [], used: 0, done: false })
+  if (days.weekdays.length === 0) return null
+  const weekdays = [...new Set(days.weekdays)].sort()
+  return { repeat: { every: 'week', interval: 1, weekdays }, used: days.used }
+}
+
+// move a date on to the next day the rule repeats on
+const advance = ({ every, interval, weekdays }, date) => {
+  if (every === 'day') return addDays(date, interval)
+  if (every === 'week' && weekdays) return addDays(date, [1, 2, 3, 4, 5, 6, 7].find(offset => weekdays.includes((date.getDay() + offset) % 7)))
+  if (every === 'week') return addDays(date, 7 * interval)
+  return addMonths(date, interval)
+}
+
+// add a number of months to a Date, keeping the day of the month
+//  - shorter months use their last day instead (ex. Jan 31 plus a month is Feb 28)
+const addMonths = (date, months) => {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate()
+  return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay))
+}
+
+// list words in a language's style (ex. 'Tue and Thu', 'Di. und Do.')
+const listOf = (items, locale) => (typeof Intl !== 'undefined' && Intl.ListFormat)
+  ? new Intl.ListFormat(locale, { type: 'conjunction' }).format(items)
+  : items.join(', ')
+
+// short name of a weekday in a language (Jan 1 2017 was a Sunday)
+const weekdayName = (day, locale) => new Date(2017, 0, 1 + day).toLocaleDateString(locale, { weekday: 'short' })
+
+/**
+ * check that a value is a valid recurrence rule
+ *
+ * @param {*} repeat value to check
+ * @return {Boolean} true if the value is a rule like { every: 'week', interval: 1, weekdays: [2] }
+ */
+export function isRepeat(repeat) {
+  return repeat !== null && typeof repeat === 'object' &&
+    ['day', 'week', 'month'].includes(repeat.every) &&
+    Number.isInteger(repeat.interval) && repeat.interval > 0 &&
+    (repeat.weekdays === undefined || (
+      repeat.every === 'week' && Array.isArray(repeat.weekdays) && repeat.weekdays.length > 0 &&
+      repeat.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)
+    ))
+}
+
+/**
+ * find a recurrence rule written in plain language in a todo title
+ *
+ * @param {String} text title as entered by the user (ex. 'Water the plants every 3 days')
+ * @return {Object} the `title` with the rule removed, and the `repeat` rule (or null if none was found)
+ *
+ * rules start with 'every':
+ *   'every day', 'every week', 'every month'     every day, week or month
+ *   'every 3 days', 'every other week'            every few days, weeks or months
+ *   'every tue', 'every mon, wed and fri'         on certain days of the week
+ *   'every weekday'                               Monday to Friday
+ */
+export function parseRepeat(text) {
+  const words = text.split(/\s+/).filter(Boolean)
+  const lower = words.map(word => word.toLowerCase().replace(/,$/, ''))
+  const start = lower.findIndex((word, index) => word === 'every' && readRule(lower.slice(index + 1)))
+  if (start === -1) return { title: text, repeat: null }
+
+  const { repeat, used } = readRule(lower.slice(start + 1))
+  const title = [...words.slice(0, start), ...words.slice(start + 1 + used)].join(' ')
+  return { title: title || text.trim(), repeat }
+}
+
+/**
+ * write a recurrence rule the way it would be typed into a title, so it can be edited and read back by parseRepeat()
+ *
+ * @param {Object} repeat recurrence rule
+ * @return {String} words like 'every 3 days' or 'every tue thu'
+ */
+export function formatRepeat({ every, interval, weekdays }) {
+  if (weekdays && String(weekdays) === String(WORKDAYS)) return 'every weekday'
+  if (weekdays) return 'every ' + weekdays.map(day => WEEKDAY_NAMES[day].slice(0, 3)).join(' ')
+  return (interval === 1) ? `every ${ every }` : `every ${ interval } ${ every }s`
+}
+
+/**
+ * describe a recurrence rule for display
+ *
+ * @param {Object} repeat recurrence rule
+ * @param {String} locale language to describe the rule in (see ../locales)
+ * @return {String} description like 'Every 3 days' or 'Every Tue and Thu'
+ */
+export function describeRepeat({ every, interval, weekdays }, locale=DEFAULT_LOCALE) {
+  if (weekdays) return translate(locale, 'repeat.weekdays', { days: listOf(weekdays.map(day => weekdayName(day, locale)), locale) })
+  return translate(locale, 'repeat.' + every, { interval })
+}
+
+/**
+ * get the due date for a new recurring todo that wasn't given one
+ *
+ * @param {Object} repeat recurrence rule
+ * @param {Number} now the current time in milliseconds
+ * @return {String} due date string for today, or the next day the rule repeats on for rules on certain weekdays
+ */
+export function firstDue(repeat, now=Date.now()) {
+  const today = addDays(new Date(now), 0)
+  const onToday = !repeat.weekdays || repeat.weekdays.includes(today.getDay())
+  return toDateString(onToday ? today : advance(repeat, today))
+}
+
+/**
+ * get the due date of the next occurrence of a recurring todo
+ *
+ * @param {Object} repeat recurrence rule
+ * @param {String} due due date string of the occurrence being completed (or null if it doesn't have one)
+ * @param {Number} now the current time in milliseconds
+ * @return {String} due date string, keeping the time of day of the current due date
+ *
+ * the next occurrence follows on from the current due date, skipping any days that have already passed
+ * (ex. a weekly todo that's 3 weeks late is next due on its day this week, not 2 weeks ago)
+ */
+export function nextDue(repeat, due, now=Date.now()) {
+  const today = addDays(new Date(now), 0)
+  const time  = (due && due.includes('T')) ? due.slice(10) : ''
+  const start = due ? addDays(toDate(due), 0) : today
+  // monthly rules count months from the start, so clamping to a short month doesn't move later months (ex. Jan 31, Feb 28, Mar 31)
+  let date  = advance(repeat, start)
+  let count = 1
+  while (date < today) {
+    count++
+    date = (repeat.every === 'month') ? addMonths(start, count * repeat.interval) : advance(repeat, date)
+  }
+  return toDateString(date) + time
+}
+
+/**
+ * create the next occurrence of a recurring todo
+ *
+ * @param {Object} todo the recurring todo being completed
+ * @param {Number} now the current time in milliseconds
+ * @return {Object} a copy of the todo due on the next day its rule repeats on, with its subtasks to do again
+ *
+ * - the copy keeps the todo's id, so it needs a new one before it's added to a list
+ * - UI flags like `selected` aren't copied
+ */
+export function nextOccurrence(todo, now=Date.now()) {
+  const { selected, editing, cachedTitle, repeatPending, ...copy } = todo
+  const subtasks = (todo.subtasks || []).map(subtask => ({ ...subtask, completed: false }))
+  return { ...copy, completed: false, due: nextDue(todo.repeat, todo.due, now), subtasks }
+}
@@ -1,29 +1,182 @@
 import xs from 'xstream'
 import {adapt} from '@cycle/run/lib/adapt'
-import {Router} from 'director/build/director'
 
-export default function routerDriver (route$) {
-  const router = new Router()
-  router.configure({
-    notfound: _ => {
-      window.location.hash = ''
+/**
+ * compile a route pattern into a regular expression
+ *
+ * @param {String} pattern route pattern like '/todo/:id' or '/:visibility(all|active|completed)'
+ * @return {Object} object with the `regex` to match paths against and the `keys` of the parameters in order
+ *
+ * - parameters start with a colon and match a single path segment
+ * - a parameter can be limited to certain values by adding a regular expression in brackets after its name
+ */
+export function compile(pattern) {
+  const keys = []
+  const source = pattern.replace(/\/$/, '').replace(/:(\w+)(\(([^)]+)\))?/g, (_, key, __, constraint) => {
+    keys.push(key)
+    return constraint ? `(${constraint})` : '([^/]+)'
+  })
+  return { regex: new RegExp(`^${source}/?$`), keys }
+}
+
+// decode a part of a url, keeping it as it is if it isn't valid percent-encoding (ex. '%E0' typed or pasted into the address bar)
+const decode = text => {
+  try {
+    return decodeURIComponent(text)
+  } catch (e) {
+    return text
+  }
+}
+
+/**
+ * parse a query string into an object
+ *
+ * @param {String} search query string with or without the leading '?'
+ * @return {Object} query parameters as key/value pairs
+ *
+ * keys and values that can't be decoded are kept as they are in the query string
+ */
+export function parseQuery(search='') {
+  return search.replace(/^\?/, '').split('&').filter(Boolean).reduce((acc, pair) => {
+    const [key, value=''] = pair.split('=')
+    acc[decode(key)] = decode(value.replace(/\+/g, ' '))
+    return acc
+  }, {})
+}
+
+/**
+ * turn an object into a query string
+ *
+ * @param {Object} query query parameters as key/value pairs (empty values are left out)
+ * @return {String} query string with a leading '?', or an empty string if there are no parameters
+ */
+export function stringifyQuery(query={}) {
+  const pairs = Object.entries(query)
+                      .filter(([_, value]) => value !== undefined && value !== null && value !== '')
+                      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+  return pairs.length ? '?' + pairs.join('&') : ''
+}
+
+/**
+ * find the route matching a path
+ *
+ * @param {Object} routes route table mapping route names to patterns (ex. { todo: '/todo/:id' })
+ * @param {String} path path to match, optionally with a query string (ex. '/todo/3?edit=true')
+ * @return {Object} matched route like { name: 'todo', params: { id: '3' }, query: { edit: 'true' }, path: '/todo/3' }
+ *
+ * routes are tried in the order of the route table, and the name 'notfound' is used when no route matches
+ * parameters that can't be decoded are kept as they are in the path
+ */
+export function match(routes, path) {
+  const [pathname, search] = path.split('?')
+  const query = parseQuery(search)
+  for (let [name, pattern] of Object.entries(routes)) {
+    const { regex, keys } = compile(pattern)
+    const found = regex.exec(pathname)
+    if (found) {
+      const params = keys.reduce((acc, key, index) => {
+        acc[key] = decode(found[index + 1])
+        return acc
+      }, {})
+      return { name, params, query, path: pathname }
     }
+  }
+  return { name: 'notfound', params: {}, query, path: pathname }
+}
+
+/**
+ * build the path for a named route
+ *
+ * @param {Object} routes route table mapping route names to patterns
+ * @param {String} name name of the route
+ * @param {Object} params values for the route's parameters
+ * @param {Object} query optional query parameters
+ * @return {String} path like '/todo/3?edit=true'
+ */
+export function toPath(routes, name, params={}, query={}) {
+  const pattern = routes[name]
+  if (typeof pattern !== 'string') throw new Error(`Unknown route: ${name}`)
+  const path = pattern.replace(/:(\w+)(\([^)]+\))?/g, (_, key) => {
+    if (params[key] === undefined) throw new Error(`Missing parameter '${key}' for route: ${name}`)
+    return encodeURIComponent(params[key])
   })
-  router.init()
-  const action$ = xs.create({
-    start: listener => {
-      route$.subscribe({
-        next: routes => {
-          routes = Array.isArray(routes) ? routes : [routes]
-          for (let route of routes) {
-            router.on(route, _ => {
-              listener.next(route)
-            })
-          }
+  return (path || '/') + stringifyQuery(query)
+}
+
+/**
+ * create a router driver from a route table
+ *
+ * @param {Object} routes route table mapping route names to patterns (ex. { home: '/', todo: '/todo/:id' })
+ * @param {Object} options
+ * @param {String} options.mode 'hash' to keep routes in the url hash (ex. '#/todo/3'), or 'history' to use
+ *                              HTML5 pushState urls (ex. '/todo/3'), which needs the server to serve index.html for every path
+ * @return {Function} Cycle.js driver
+ *
+ * - source is a stream of the current route like { name: 'todo', params: { id: '3' }, query: {}, path: '/todo/3' }
+ *   and emits the current route immediately to new listeners
+ * - sink accepts navigation requests, either a path ('/active') or an object like
+ *   { name: 'todo', params: { id: 3 }, query: {}, replace: false }
+ *   where `replace` replaces the current history entry instead of adding a new one
+ * - in 'history' mode, clicks on links to paths in the app are handled without reloading the page
+ */
+export function makeRouterDriver(routes, { mode='hash' }={}) {
+  const currentPath = _ => (mode === 'hash')
+    ? window.location.hash.replace(/^#/, '') || '/'
+    : window.location.pathname + window.location.search
+
+  return function routerDriver (navigate$) {
+    let emit = _ => undefined
+
+    const go = (path, replace=false) => {
+      if (mode === 'hash') {
+        // the 'hashchange' event will emit the new route
+        if (replace) {
+          window.location.replace('#' + path)
+        } else {
+          window.location.hash = path
         }
-      })
-    },
-    stop: _ => undefined
-  })
-  return adapt(action$)
-}
\ No newline at end of file
+      } else {
+        window.history[replace ? 'replaceState' : 'pushState'](null, '', path)
+        emit()
+      }
+    }
+
+    // handle clicks on local links in history mode so they don't reload the page
+    const onClick = e => {
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+      let el = e.target
+      while (el && el.nodeName !== 'A') el = el.parentNode
+      if (!el || el.target || el.hasAttribute('download') || el.origin !== window.location.origin) return
+      e.preventDefault()
+      go(el.pathname + el.search)
+    }
+
+    const eventName = (mode === 'hash') ? 'hashchange' : 'popstate'
+    const route$ = xs.create({
+      start: listener => {
+        emit = _ => listener.next(match(routes, currentPath()))
+        window.addEventListener(eventName, emit)
+        if (mode === 'history') document.addEventListener('click', onClick)
+        emit()
+      },
+      stop: _ => {
+        window.removeEventListener(eventName, emit)
+        if (mode === 'history') document.removeEventListener('click', onClick)
+        emit = _ => undefined
+      }
+    }).remember()
+
+    navigate$.addListener({
+      next: nav => {
+        try {
+          const path = (typeof nav === 'string') ? nav : toPath(routes, nav.name, nav.params, nav.query)
+          go(path, !!nav.replace)
+        } catch (e) {
+          console.log(e.message)
+        }
+      }
+    })
+
+    return adapt(route$)
+  }
+}
@@ -0,0 +1,33 @@
+import assert from 'assert'
+import { routes } from '../routes'
+import { parseQuery, stringifyQuery, match, toPath } from './routerDriver'
+
+// tests for reading routes from urls
+//  - urls can be typed or pasted into the address bar, so they aren't always ones the app made
+
+
+
+describe('ROUTER', function () {
+
+  it('decodes query parameters, with + for spaces', () => {
+    assert.deepEqual(parseQuery('?q=oat+milk&tag=caf%C3%A9'), { q: 'oat milk', tag: 'café' })
+    assert.deepEqual(parseQuery(stringifyQuery({ q: '50% off & more' })), { q: '50% off & more' })
+  })
+
+  it('keeps query parameters that can\'t be decoded as they are', () => {
+    assert.deepEqual(parseQuery('?q=%'), { q: '%' })
+    assert.deepEqual(parseQuery('?q=%E0%A4&%ZZ=1'), { q: '%E0%A4', '%ZZ': '1' })
+  })
+
+  it('matches routes, decoding their parameters', () => {
+    assert.deepEqual(match(routes, '/tag/caf%C3%A9?q=milk'), { name: 'tag', params: { name: 'café' }, query: { q: 'milk' }, path: '/tag/caf%C3%A9' })
+    assert.deepEqual(match(routes, toPath(routes, 'listTodo', { list: 'work & play', id: 3 })).params, { list: 'work & play', id: '3' })
+    assert.equal(match(routes, '/nowhere/at/all').name, 'notfound')
+  })
+
+  it('keeps parameters that can\'t be decoded as they are', () => {
+    assert.deepEqual(match(routes, '/todo/%E0'), { name: 'todo', params: { id: '%E0' }, query: {}, path: '/todo/%E0' })
+    assert.deepEqual(match(routes, '/list/100%/active?q=%'), { name: 'listVisibility', params: { list: '100%', visibility: 'active' }, query: { q: '%' }, path: '/list/100%/active' })
+  })
+
+})
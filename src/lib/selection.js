@@ -0,0 +1,26 @@
+// helpers for the todos selected for the bulk actions (see ../components/selection)
+//  - selected todos have a `selected` flag, which isn't saved (see SAVED_FIELDS in ./history)
+
+
+
+/**
+ * check if a todo is picked for the bulk actions
+ *
+ * @param {Object} todo todo object
+ * @return {Boolean} true if the todo is selected and shown
+ *
+ * todos stay selected while a filter hides them, but the bulk actions only change the ones that are shown
+ */
+export function isPicked(todo) {
+  return !!todo.selected && !todo.hidden
+}
+
+/**
+ * remove the selection from all todos
+ *
+ * @param {Array} todos array of todo objects
+ * @return {Array} the todos, with the selected ones copied without their `selected` flag
+ */
+export function withoutSelection(todos) {
+  return todos.map(todo => todo.selected ? (({ selected, ...rest }) => rest)(todo) : todo)
+}
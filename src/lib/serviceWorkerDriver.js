@@ -0,0 +1,77 @@
+import xs from 'xstream'
+import {adapt} from '@cycle/run/lib/adapt'
+
+/**
+ * make a driver for the service worker that keeps the app working offline (production builds write it, see scripts/utils/offline.js)
+ *
+ * @param {Object} options
+ *   - url: url of the service worker, relative to the page (defaults to 'service-worker.js')
+ *   - enabled: whether to register the service worker (defaults to true), dev builds don't have one
+ *   - interval: how often to check for a new version while the app stays open, in milliseconds (defaults to an hour)
+ * @return {Function} the driver
+ *
+ * - source is a stream of:
+ *     'ready'   the app was saved for offline use for the first time
+ *     'update'  a new version was downloaded, and is waiting for the app to reload
+ * - sink expects objects like:
+ *     { type: 'RELOAD' }  switch to the new version and reload the page
+ * - the new version isn't used until the app asks for it, so a page never runs with files from two different builds
+ * - nothing is emitted if the browser doesn't support service workers
+ */
+export function makeServiceWorkerDriver ({ url='service-worker.js', enabled=true, interval=60 * 60 * 1000 }={}) {
+  return function serviceWorkerDriver (fx$) {
+    const supported = enabled && typeof navigator !== 'undefined' && 'serviceWorker' in navigator
+
+    // no service worker, ignore everything
+    if (!supported) {
+      fx$.addListener({ next: _ => undefined })
+      return adapt(xs.never())
+    }
+
+    const status$ = xs.create()
+    const { serviceWorker } = navigator
+    let registration = null
+    let watched = null
+    let reloading = false
+
+    // a new worker is 'installed' once it has cached the whole build
+    //  - if another worker is already in charge of the page, the new one is an update and waits until the app reloads
+    //  - the worker installing on the first visit can be found both right after registering and by 'updatefound', it's only watched once
+    const watch = worker => {
+      if (!worker || worker === watched) return
+      watched = worker
+      worker.addEventListener('statechange', _ => {
+        if (worker.state === 'installed') status$.shamefullySendNext(serviceWorker.controller ? 'update' : 'ready')
+      })
+    }
+
+    const register = _ => serviceWorker.register(url).then(found => {
+      registration = found
+      // an update downloaded during an earlier visit is still waiting
+      if (found.waiting && serviceWorker.controller) status$.shamefullySendNext('update')
+      watch(found.installing)
+      found.addEventListener('updatefound', _ => watch(found.installing))
+      setInterval(_ => found.update().catch(_ => undefined), interval)
+    }).catch(e => console.log(e))
+
+    // wait for the page to finish loading, so downloading the build again doesn't slow it down
+    if (document.readyState === 'complete') register()
+    else window.addEventListener('load', register)
+
+    // the new version took over after RELOAD, so the page can load its files
+    //  - versions taking over because another tab reloaded don't reload this one
+    serviceWorker.addEventListener('controllerchange', _ => {
+      if (reloading) window.location.reload()
+    })
+
+    fx$.addListener({ next: fx => {
+      if (fx.type !== 'RELOAD') return
+      // the update may already have taken over from another tab, then reloading is all that's left
+      if (!registration || !registration.waiting) return window.location.reload()
+      reloading = true
+      registration.waiting.postMessage({ type: 'SKIP_WAITING' })
+    } })
+
+    return adapt(status$)
+  }
+}
@@ -0,0 +1,42 @@
+import { PRIORITIES } from './priority'
+
+// helpers for showing todos in different orders
+//  - sorting only changes the order todos are shown in, the stored order (and the ids) are left alone
+//  - 'manual' shows the stored order, which new todos are added to the end of and todos can be dragged around in
+//  - todos that sort the same keep their stored order
+//  - the names of the sort modes are in the message catalogue as 'sort.<name>' (ex. 'sort.due', see ../locales)
+
+
+
+// compare functions for each sort mode, given the language titles are sorted in
+const COMPARE = {
+  manual:   locale => (a, b) => 0,
+  // ids are given out in increasing order as todos are added
+  created:  locale => (a, b) => a.id - b.id,
+  // highest priority first
+  priority: locale => (a, b) => PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority),
+  title:    locale => (a, b) => a.title.localeCompare(b.title, locale, { sensitivity: 'base', numeric: true }),
+  // earliest due first, todos without a due date last (due date strings sort by date and then time)
+  due:      locale => (a, b) => (a.due || '\uffff').localeCompare(b.due || '\uffff'),
+}
+
+// sort modes in the order they're listed in the sort picker
+export const SORT_MODES = Object.keys(COMPARE)
+
+// sort mode used until one is picked
+export const DEFAULT_SORT = 'manual'
+
+/**
+ * put todos in the order they're shown in for a sort mode
+ *
+ * @param {Array} todos array of todo objects in their stored order
+ * @param {String} mode one of the SORT_MODES (unknown modes keep the stored order)
+ * @param {String} locale language to sort titles in (ex. 'de' sorts 'Äpfel' next to 'Apfel')
+ * @return {Array} new array with the todos in order, the original array isn't changed
+ */
+export function sortTodos(todos, mode, locale) {
+  const compare = (COMPARE[mode] || COMPARE[DEFAULT_SORT])(locale)
+  return todos.map((todo, index) => ({ todo, index }))
+              .sort((a, b) => compare(a.todo, b.todo) || a.index - b.index)
+              .map(({ todo }) => todo)
+}
@@ -0,0 +1,70 @@
+/**
+ * wrap a value in a versioned envelope for storage
+ *
+ * @param {Object} schema schema object with a `version` number
+ * @param {Any} value value to store
+ * @return {Object} object like { version: 2, data: value }
+ */
+export function encode (schema, value) {
+  return { version: schema.version, data: value }
+}
+
+/**
+ * read a stored value, running any migrations needed to bring it up to the current schema version
+ *
+ * @param {Object} schema schema object (see below)
+ * @param {Any} stored the parsed value from storage
+ * @return {Any} the migrated data
+ *
+ * schemas are objects like:
+ *   {
+ *     version: 2,
+ *     migrations: {
+ *       1: data => data,                                  // from version 0 (unversioned) to 1
+ *       2: data => data.map(item => ({ ...item, tags: [] }))  // from version 1 to 2
+ *     },
+ *     validate: data => Array.isArray(data)
+ *   }
+ *
+ * - values without a version envelope are treated as version 0
+ * - each migration function receives the data for the previous version and returns the data for its version
+ * - throws an error if the version is unknown, a migration is missing or fails, or validation fails
+ */
+export function decode (schema, stored) {
+  const versioned = stored !== null && typeof stored === 'object' && !Array.isArray(stored) && typeof stored.version === 'number'
+  const version   = versioned ? stored.version : 0
+  const migrations = schema.migrations || {}
+
+  if (version > schema.version || version < 0) {
+    throw new Error(`Unknown schema version: ${version} (expecting ${schema.version} or lower)`)
+  }
+
+  let data = versioned ? stored.data : stored
+  for (let next = version + 1; next <= schema.version; next++) {
+    if (typeof migrations[next] !== 'function') throw new Error(`No migration found to schema version ${next}`)
+    try {
+      data = migrations[next](data)
+    } catch (e) {
+      throw new Error(`Migration to schema version ${next} failed: ${e.message}`)
+    }
+  }
+
+  if (typeof schema.validate === 'function' && !schema.validate(data)) {
+    throw new Error(`Data failed validation for schema version ${schema.version}`)
+  }
+
+  return data
+}
+
+/**
+ * find the schema for a storage key
+ *
+ * @param {Object} schemas map of storage keys to schemas
+ * @param {String} key storage key
+ * @return {Object} the schema for the key, or undefined if it doesn't have one
+ *
+ * keys made of a base key and a name separated by a dot (ex. 'todos.work') use the schema for the base key
+ */
+export function schemaFor (schemas, key) {
+  return schemas[key] || schemas[String(key).split('.')[0]]
+}
@@ -0,0 +1,94 @@
+import assert from 'assert'
+import xs from 'xstream'
+import * as schemas from '../schemas'
+import { encode, decode, schemaFor } from './storageSchema'
+import { makeLocalStorageDriver } from './localStorageDriver'
+
+// tests for reading stored data saved by older versions of the app
+//  - the localStorage driver is run against an in-memory stand-in for the browser's localStorage
+
+
+
+// todos the way the first version of the app saved them (a bare array)
+const original = [
+  { id: 1, title: 'Buy milk', completed: false },
+  { id: 2, title: 'Walk the dog', completed: true },
+]
+
+// stand in for the browser's localStorage, with the values in `items`
+const fakeStorage = items => ({
+  items,
+  getItem:    key => items.hasOwnProperty(key) ? items[key] : null,
+  setItem:    (key, value) => { items[key] = String(value) },
+  removeItem: key => { delete items[key] },
+})
+
+// read a key with the localStorage driver, with the given values in storage
+//  - resolves to the value read and what was left in storage
+const readStored = (items, key, defaultValue) => {
+  const storage = fakeStorage(items)
+  const globals = { window: global.window, localStorage: global.localStorage }
+  global.window = { localStorage: storage, addEventListener: _ => undefined, removeEventListener: _ => undefined }
+  global.localStorage = storage
+  const restore = _ => Object.assign(global, globals)
+  return new Promise((resolve, reject) => {
+    makeLocalStorageDriver(schemas)(xs.never()).get(key, defaultValue).addListener({
+      next:  value => resolve({ value, items: storage.items }),
+      error: reject,
+    })
+  }).then(result => {
+    restore()
+    return result
+  }, e => {
+    restore()
+    throw e
+  })
+}
+
+
+describe('STORAGE SCHEMAS', function () {
+
+  it('migrates todos saved without a version to the current version', () => {
+    assert.deepEqual(decode(schemas.todos, original), [
+      { id: 1, title: 'Buy milk', completed: false, tags: [], due: null, subtasks: [], repeat: null, priority: 'normal' },
+      { id: 2, title: 'Walk the dog', completed: true, tags: [], due: null, subtasks: [], repeat: null, priority: 'normal' },
+    ])
+  })
+
+  it('only runs the migrations newer than the stored version', () => {
+    const stored = { version: 4, data: original.map(todo => ({ ...todo, tags: ['home'], due: '2030-01-01', subtasks: [] })) }
+    assert.deepEqual(decode(schemas.todos, stored)[0], { id: 1, title: 'Buy milk', completed: false, tags: ['home'], due: '2030-01-01', subtasks: [], repeat: null, priority: 'normal' })
+  })
+
+  it('reads back what it writes, and uses the base key\'s schema for the todos of each list', () => {
+    const todos = decode(schemas.todos, original)
+    assert.equal(schemaFor(schemas, 'todos.work'), schemas.todos)
+    assert.deepEqual(encode(schemas.todos, todos), { version: schemas.todos.version, data: todos })
+    assert.deepEqual(decode(schemas.todos, JSON.parse(JSON.stringify(encode(schemas.todos, todos)))), todos)
+  })
+
+  it('throws for newer versions and data that fails validation', () => {
+    assert.throws(_ => decode(schemas.todos, { version: schemas.todos.version + 1, data: [] }), /Unknown schema version/)
+    assert.throws(_ => decode(schemas.todos, { version: schemas.todos.version, data: [{ id: '1', title: 'Buy milk' }] }), /failed validation/)
+    assert.throws(_ => decode(schemas.todos, { version: 1, data: 'Buy milk' }), /Migration to schema version 2 failed/)
+  })
+
+  it('loads todos saved by older versions from localStorage', () => {
+    return readStored({ todos: JSON.stringify(original) }, 'todos', []).then(({ value, items }) => {
+      assert.deepEqual(value, decode(schemas.todos, original))
+      assert.deepEqual(Object.keys(items), ['todos'])
+    })
+  })
+
+  it('moves values that can\'t be read to a backup key and uses the default value instead', () => {
+    return readStored({ 'todos.work': '[{"id": 1, "title": "Buy mi', lists: '[]' }, 'todos.work', []).then(({ value, items }) => {
+      const backups = Object.keys(items).filter(key => key.startsWith('todos.work.backup.'))
+      assert.deepEqual(value, [])
+      assert.equal(backups.length, 1)
+      assert.equal(items[backups[0]], '[{"id": 1, "title": "Buy mi')
+      assert.ok(!items.hasOwnProperty('todos.work'))
+      assert.equal(items.lists, '[]')
+    })
+  })
+
+})
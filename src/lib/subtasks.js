@@ -0,0 +1,159 @@
+import { newId } from './utils'
+import { DEFAULT_PRIORITY } from './priority'
+
+// helpers for todos with nested subtasks
+//  - subtasks are stored in a `subtasks` array on their parent todo, and can't have subtasks of their own
+//  - a todo with subtasks is completed exactly when all of its subtasks are completed
+//  - subtask ids only need to be unique within their parent
+
+
+
+// fields of a top level todo that subtasks don't use
+//  - subtasks don't repeat on their own, they're done again with each occurrence of their parent
+//  - subtasks don't have priorities, they're done in the order they're listed
+const TODO_ONLY_FIELDS = ['subtasks', 'hidden', 'dragging', 'dropPosition', 'list', 'search', 'selected', 'locale', 'sorted', 'repeat', 'repeatPending', 'priority']
+
+// copy a todo without the fields that only apply to top level todos
+const toSubtask = todo => Object.keys(todo).reduce((acc, key) => {
+  if (!TODO_ONLY_FIELDS.includes(key)) acc[key] = todo[key]
+  return acc
+}, {})
+
+/**
+ * check if a todo has any subtasks
+ *
+ * @param {Object} todo todo object
+ * @return {Boolean} true if the todo has at least one subtask
+ */
+export function hasSubtasks(todo) {
+  return Array.isArray(todo.subtasks) && todo.subtasks.length > 0
+}
+
+/**
+ * update a todo's `completed` field to match its subtasks
+ *
+ * @param {Object} todo todo object
+ * @return {Object} the todo, completed if all of its subtasks are completed and not completed otherwise
+ *
+ * todos without subtasks are returned unchanged
+ */
+export function withCompletion(todo) {
+  if (!hasSubtasks(todo)) return todo
+  const completed = todo.subtasks.every(subtask => subtask.completed)
+  return (completed === todo.completed) ? todo : { ...todo, completed }
+}
+
+/**
+ * mark a todo and all of its subtasks as completed or not completed
+ *
+ * @param {Object} todo todo object
+ * @param {Boolean} completed the new completed value
+ * @return {Object} the updated todo
+ */
+export function setCompleted(todo, completed) {
+  if (!hasSubtasks(todo)) return { ...todo, completed }
+  return { ...todo, completed, subtasks: todo.subtasks.map(subtask => ({ ...subtask, completed })) }
+}
+
+/**
+ * complete or reopen a todo the way the user does it (with its checkbox, its keyboard shortcut or the bulk actions)
+ *
+ * @param {Object} todo todo object
+ * @param {Boolean} completed the new completed value
+ * @return {Object} the updated todo (see setCompleted())
+ *
+ * recurring todos that are being completed are flagged with `repeatPending`, so the app adds their next occurrence (see REPEAT_TODOS in ../app)
+ */
+export function completeTodo(todo, completed) {
+  const updated = setCompleted(todo, completed)
+  return (todo.repeat && completed && !todo.completed) ? { ...updated, repeatPending: true } : updated
+}
+
+/**
+ * list the items that count towards the number of things left to do
+ *
+ * @param {Array} todos array of todo objects
+ * @return {Array} the subtasks of todos that have them, and the todos that don't
+ *
+ * todos with subtasks aren't counted themselves since their completion depends entirely on their subtasks
+ */
+export function leaves(todos) {
+  // pushing onto a single array keeps this fast for very long lists
+  return todos.reduce((acc, todo) => {
+    if (hasSubtasks(todo)) acc.push(...todo.subtasks)
+    else acc.push(todo)
+    return acc
+  }, [])
+}
+
+/**
+ * summarise how many of a todo's subtasks are done
+ *
+ * @param {Object} todo todo object
+ * @return {String} progress like '2/5', or an empty string if the todo has no subtasks
+ */
+export function progress(todo) {
+  if (!hasSubtasks(todo)) return ''
+  return `${ todo.subtasks.filter(subtask => subtask.completed).length }/${ todo.subtasks.length }`
+}
+
+/**
+ * remove completed todos, and the completed subtasks of todos that are left
+ *
+ * @param {Array} todos array of todo objects
+ * @return {Array} the todos that still need doing
+ */
+export function clearCompleted(todos) {
+  return todos.filter(todo => !todo.completed)
+              .map(todo => hasSubtasks(todo) ? { ...todo, subtasks: todo.subtasks.filter(subtask => !subtask.completed) } : todo)
+}
+
+/**
+ * turn a todo into a subtask of another todo
+ *
+ * @param {Array} todos array of todo objects
+ * @param {Number} id id of the todo to indent
+ * @param {Number} parentId id of the todo that becomes its parent
+ * @return {Object} the updated `todos` and the `id` of the new subtask (which changes if another subtask already uses it)
+ *
+ * the todo is added to the end of the parent's subtasks, followed by any subtasks it had of its own
+ * ids that are already used by the parent's subtasks are replaced
+ */
+export function indent(todos, id, parentId) {
+  const todo   = todos.find(todo => todo.id === id)
+  const parent = todos.find(todo => todo.id === parentId)
+  if (!todo || !parent || id === parentId) return { todos, id }
+
+  const moved = [toSubtask(todo), ...(todo.subtasks || [])].reduce((acc, subtask) => {
+    const taken = acc.some(existing => existing.id === subtask.id)
+    return [...acc, taken ? { ...subtask, id: newId(acc) } : subtask]
+  }, parent.subtasks || [])
+
+  const updated = todos.filter(todo => todo.id !== id)
+                       .map(todo => (todo.id === parentId) ? withCompletion({ ...todo, subtasks: moved }) : todo)
+  return { todos: updated, id: moved[(parent.subtasks || []).length].id }
+}
+
+/**
+ * turn a subtask back into a top level todo
+ *
+ * @param {Array} todos array of todo objects
+ * @param {Number} parentId id of the subtask's parent todo
+ * @param {Number} id id of the subtask
+ * @return {Object} the updated `todos` and the `id` of the new todo (which changes if another todo already uses it)
+ *
+ * the new todo is placed just after its old parent
+ */
+export function outdent(todos, parentId, id) {
+  const parent  = todos.find(todo => todo.id === parentId)
+  const subtask = parent && (parent.subtasks || []).find(subtask => subtask.id === id)
+  if (!subtask) return { todos, id }
+
+  const newTodoId = todos.some(todo => todo.id === id) ? newId(todos) : id
+  const todo      = { tags: [], due: null, repeat: null, priority: DEFAULT_PRIORITY, ...subtask, id: newTodoId, subtasks: [] }
+  const updated   = todos.reduce((acc, existing) => {
+    if (existing.id !== parentId) return [...acc, existing]
+    return [...acc, withCompletion({ ...existing, subtasks: existing.subtasks.filter(subtask => subtask.id !== id) }), todo]
+  }, [])
+  return { todos: updated, id: newTodoId }
+}
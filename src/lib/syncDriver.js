@@ -0,0 +1,280 @@
+'use strict'
+
+import xs from 'xstream'
+import dropRepeats from 'xstream/extra/dropRepeats'
+
+// sync status values emitted by the source
+export const SYNCED  = 'synced'
+export const PENDING = 'pending'
+export const ERROR   = 'error'
+
+// error thrown for failed requests that reached the server
+//  - network failures (ex. when offline) reject with a TypeError from fetch instead
+function httpError (res) {
+  const error = new Error(`${res.status} ${res.statusText}`)
+  error.status = res.status
+  return error
+}
+
+// check if a failed request is worth sending again
+//  - requests that never reached the server, timed out, were rate limited or hit a server error can succeed later,
+//    while the server will keep rejecting anything else (ex. 400 Bad Request, 403 Forbidden)
+const isRetryable = error => !error.status || error.status >= 500 || error.status === 408 || error.status === 429
+
+// index an array of items by id
+const byId = items => items.reduce((acc, item) => acc.set(item.id, item), new Map())
+
+/**
+ * calculate the create/update/delete operations needed to turn one list of items into another
+ *
+ * @param {String} key name of the collection the items belong to
+ * @param {Array} before the items as they were last synced
+ * @param {Array} after the current items
+ * @return {Array} operations like { key: 'todos', op: 'update', id: 3, data: { id: 3, title: 'Milk', completed: true } }
+ */
+export function diff (key, before, after) {
+  const previous = byId(before)
+  const current  = byId(after)
+  const changes  = after.reduce((acc, item) => {
+    const old = previous.get(item.id)
+    if (!old) return [...acc, { key, op: 'create', id: item.id, data: item }]
+    if (JSON.stringify(old) !== JSON.stringify(item)) return [...acc, { key, op: 'update', id: item.id, data: item }]
+    return acc
+  }, [])
+  const deletes = before.filter(item => !current.has(item.id))
+                        .map(item => ({ key, op: 'delete', id: item.id }))
+  return [...changes, ...deletes]
+}
+
+/**
+ * add an operation to a queue, combining it with any operation already queued for the same item
+ *
+ * @param {Array} queue queued operations
+ * @param {Object} op operation to add
+ * @return {Array} the new queue
+ *
+ * - a create followed by a delete cancels out
+ * - a create followed by an update stays a create with the updated data
+ * - otherwise the newest operation replaces the queued one
+ */
+export function enqueue (queue, op) {
+  const existing = queue.find(queued => queued.key === op.key && queued.id === op.id)
+  if (!existing) return [...queue, op]
+  const others = queue.filter(queued => queued !== existing)
+  if (existing.op === 'create' && op.op === 'delete') return others
+  if (existing.op === 'create') return [...others, { ...op, op: 'create' }]
+  return [...others, op]
+}
+
+// apply queued operations to a list of items (used to get the expected server state while operations are pending)
+function applyQueue (items, queue) {
+  return queue.reduce((acc, { op, id, data }) => {
+    if (op === 'delete') return acc.filter(item => item.id !== id)
+    return acc.some(item => item.id === id) ? acc.map(item => item.id === id ? data : item) : [...acc, data]
+  }, items)
+}
+
+/**
+ * create a driver to sync collections of items with a REST backend
+ *
+ * @param {Object} options
+ * @param {String} options.url base url of the REST api (ex. 'http://localhost:3001'), syncing is disabled if empty
+ * @param {Number} options.interval how often to check the server for remote changes in milliseconds (defaults to 10 seconds)
+ * @param {String} options.storagePrefix prefix for the localStorage keys used to persist the offline queue
+ * @return {Function} Cycle.js driver
+ *
+ * - sink expects objects like { key: 'todos', value: [ ...todos ], revision: 3 } with the complete current list
+ *   the driver works out which items were created, updated or deleted and sends them as:
+ *     POST   {url}/todos      (create)
+ *     PUT    {url}/todos/:id  (update)
+ *     DELETE {url}/todos/:id  (delete)
+ * - source provides:
+ *     .remote(key) stream of remote changes like { value: [ ...todos ], previous: [ ...todos ], revision: 3 }
+ *                  where previous is the list as it was last synced, and is useful as a base for merging
+ *                  and revision counts the remote changes emitted for the key
+ *                  (starts with the last change for the key, if there has been one)
+ *     .status()    stream of 'synced', 'pending' (changes waiting to be sent, ex. while offline), or 'error'
+ *     .dispose()   stop checking the server, called by run() from @cycle/run when the app is stopped
+ * - sink also expects objects like { key: 'todos.work', remove: true } to delete every item of a list (ex. when the list is deleted),
+ *   which stops the key from being checked for remote changes
+ * - lists sent with a revision lower than the last remote change are ignored, since they don't include that change yet
+ *   (the app is expected to send the list again, with the new revision, after merging the remote change)
+ * - operations are queued (and saved to localStorage) while offline, and sent again when the browser is back online
+ * - operations the server rejects (4xx responses other than 408 and 429) are dropped with an 'error' status instead of being sent again
+ */
+export function makeSyncDriver ({ url='', interval=10000, storagePrefix='sync' }={}) {
+  return function syncDriver (fx$) {
+    // syncing is disabled, ignore everything
+    if (!url) {
+      fx$.addListener({ next: _ => undefined })
+      return {
+        remote: key => xs.never(),
+        status: _ => xs.never()
+      }
+    }
+
+    const status$ = xs.createWithMemory()
+    const remote$ = xs.create()
+
+    const load = (name, defaultValue) => {
+      try {
+        return JSON.parse(window.localStorage.getItem(`${storagePrefix}.${name}`)) || defaultValue
+      } catch (e) {
+        return defaultValue
+      }
+    }
+    const save = (name, value) => {
+      try {
+        window.localStorage.setItem(`${storagePrefix}.${name}`, JSON.stringify(value))
+      } catch (e) {
+        console.log(e)
+      }
+    }
+
+    // operations waiting to be sent to the server
+    let queue = load('queue', [])
+    // the lists as the server is expected to have them (last pulled data plus any queued operations) by key
+    let known = load('known', {})
+    // keys to pull from the server
+    const keys = new Set(Object.keys(known))
+    // number of remote changes emitted for each key
+    const revisions = {}
+    // the last remote change emitted for each key
+    const latest = {}
+
+    const setQueue = next => {
+      queue = next
+      save('queue', queue)
+    }
+    const setKnown = (key, value) => {
+      known = { ...known, [key]: value }
+      save('known', known)
+    }
+
+    const send = ({ key, op, id, data }) => {
+      const method   = { create: 'POST', update: 'PUT', delete: 'DELETE' }[op]
+      const endpoint = (op === 'create') ? `${url}/${key}` : `${url}/${key}/${encodeURIComponent(id)}`
+      const options  = { method, headers: { 'Content-Type': 'application/json' } }
+      if (data) options.body = JSON.stringify(data)
+      return fetch(endpoint, options).then(res => {
+        // deleting something that's already gone is fine
+        if (!res.ok && !(op === 'delete' && res.status === 404)) throw httpError(res)
+      })
+    }
+
+    // send queued operations one at a time, in order
+    //  - operations the server rejects are dropped so the rest of the queue isn't stuck behind them,
+    //    and the next pull brings back the server's version of their items
+    //  - resolves with the dropped operations, so the sync can report an error
+    const flush = (dropped=[]) => {
+      if (queue.length === 0) return Promise.resolve(dropped)
+      const op = queue[0]
+      const done = _ => setQueue(queue.filter(queued => queued !== op))
+      return send(op).then(_ => {
+        done()
+        return flush(dropped)
+      }, e => {
+        if (isRetryable(e)) throw e
+        console.log(`Sync dropped the ${op.op} of ${op.key}/${op.id}:`, e.message)
+        done()
+        return flush([...dropped, op])
+      })
+    }
+
+    // get the current list for a key from the server and emit it if it changed
+    const pull = key => fetch(`${url}/${key}`).then(res => {
+      if (!res.ok) throw httpError(res)
+      return res.json()
+    }).then(remote => {
+      // the key was removed while it was being pulled
+      if (!keys.has(key)) return
+      const previous = known[key] || []
+      const value    = applyQueue(remote, queue.filter(op => op.key === key))
+      if (JSON.stringify(previous) === JSON.stringify(value)) return
+      setKnown(key, value)
+      revisions[key] = (revisions[key] || 0) + 1
+      latest[key] = { value, previous, revision: revisions[key] }
+      remote$.shamefullySendNext({ key, ...latest[key] })
+    })
+
+    // send queued operations, then pull remote changes
+    //  - only one sync runs at a time, a sync requested while one is running starts as soon as it finishes
+    let running = false
+    let again   = false
+    const sync = _ => {
+      if (running) {
+        again = true
+        return
+      }
+      if (navigator.onLine === false) {
+        status$.shamefullySendNext(queue.length ? PENDING : SYNCED)
+        return
+      }
+      running = true
+      const done = _ => {
+        running = false
+        if (again) {
+          again = false
+          sync()
+        }
+      }
+      flush().then(dropped => Promise.all([...keys].map(pull)).then(_ => dropped))
+             .then(dropped => status$.shamefullySendNext(dropped.length ? ERROR : queue.length ? PENDING : SYNCED))
+             .catch(e => {
+               console.log('Sync failed:', e.message)
+               // requests that never reached the server (ex. lost connection) are retried later
+               status$.shamefullySendNext(e.status ? ERROR : PENDING)
+             })
+             .then(done)
+    }
+
+    // delete the items the server is expected to have for a key, and forget about it
+    const remove = key => {
+      const ops = diff(key, known[key] || [], [])
+      keys.delete(key)
+      const { [key]: removed, ...rest } = known
+      known = rest
+      save('known', known)
+      delete latest[key]
+      if (ops.length === 0) return
+      setQueue(ops.reduce(enqueue, queue))
+      status$.shamefullySendNext(PENDING)
+      sync()
+    }
+
+    fx$.addListener({next: ({ key, value, revision, remove: removing }) => {
+      if (removing) return remove(key)
+      keys.add(key)
+      if (revision !== undefined && revision < (revisions[key] || 0)) return
+      const ops = diff(key, known[key] || [], value)
+      if (ops.length === 0) return
+      setQueue(ops.reduce(enqueue, queue))
+      setKnown(key, value)
+      status$.shamefullySendNext(PENDING)
+      sync()
+    }})
+
+    window.addEventListener('online', sync)
+    const timer = setInterval(sync, interval)
+    // wait for the app to start before the first sync
+    const first = setTimeout(sync, 0)
+
+    return {
+      remote: key => {
+        keys.add(key)
+        const change$ = remote$.filter(change => change.key === key)
+                               .map(({ value, previous, revision }) => ({ value, previous, revision }))
+        // start with the last change so keys that weren't being watched when it happened can catch up
+        return latest[key] ? change$.startWith(latest[key]) : change$
+      },
+      status: _ => status$.compose(dropRepeats()).remember(),
+
+      // a sync that already started still finishes, so no queued operation is lost
+      dispose: _ => {
+        clearInterval(timer)
+        clearTimeout(first)
+        window.removeEventListener('online', sync)
+      }
+    }
+  }
+}
@@ -0,0 +1,58 @@
+// media queries for the operating system's settings, used by the 'system' theme
+//  - browsers without matchMedia (or without support for a query) never match, and fall back to the light theme
+const DARK_QUERY     = '(prefers-color-scheme: dark)'
+const CONTRAST_QUERY = '(prefers-contrast: more)'
+
+const mediaQuery = query => (typeof window !== 'undefined' && window.matchMedia) ? window.matchMedia(query) : { matches: false }
+
+// call a function whenever a media query starts or stops matching (older browsers only have addListener)
+const onMediaChange = (mql, fn) => {
+  if (mql.addEventListener) mql.addEventListener('change', fn)
+  else if (mql.addListener) mql.addListener(fn)
+}
+
+/**
+ * make a driver for the theme the app is shown in
+ *
+ * @param {Object} options
+ *   - themes: names of the themes the app supports, including 'system' (see ../themes)
+ *   - initial: theme to show until one is sent to the sink
+ * @return {Function} THEME driver
+ *
+ * - no source events
+ * - sink expects theme names like 'dark' to switch to (themes that aren't supported are ignored)
+ * - the theme is shown by setting the `data-theme` attribute of the page, which public/themes.css uses to pick colors
+ * - 'system' is replaced by 'light', 'dark' or 'high-contrast' to match the operating system,
+ *   and follows it when its setting changes
+ */
+export function makeThemeDriver({ themes, initial }) {
+  const dark     = mediaQuery(DARK_QUERY)
+  const contrast = mediaQuery(CONTRAST_QUERY)
+
+  const resolve = theme => (theme !== 'system') ? theme
+                         : contrast.matches     ? 'high-contrast'
+                         : dark.matches         ? 'dark'
+                         : 'light'
+
+  return function themeDriver (theme$) {
+    let current = initial
+
+    const apply = _ => {
+      try {
+        document.documentElement.setAttribute('data-theme', resolve(current))
+      } catch (e) {
+        console.log(e)
+      }
+    }
+
+    // show the initial theme straight away so the page doesn't flash in the wrong colors while the saved theme loads
+    apply()
+    onMediaChange(dark, apply)
+    onMediaChange(contrast, apply)
+
+    theme$.filter(theme => themes.includes(theme)).subscribe({next: theme => {
+      current = theme
+      apply()
+    }})
+  }
+}
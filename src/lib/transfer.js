@@ -0,0 +1,238 @@
+import { newId, parseTitle, formatTitle } from './utils'
+import { snapshot } from './history'
+import { withCompletion } from './subtasks'
+import { isRepeat, parseRepeat, formatRepeat } from './recurrence'
+import { isPriority, DEFAULT_PRIORITY } from './priority'
+
+// helpers for exporting todos to files and importing them again
+//  - supported formats are JSON, CSV, and Markdown checklists ('- [ ] Buy milk' / '- [x] Buy milk')
+//  - exported files only contain the fields worth moving between apps, ids are given out fresh on import
+
+
+
+// file details for each export format
+export const FORMATS = {
+  json:     { label: 'JSON',     extension: 'json', mimeType: 'application/json' },
+  csv:      { label: 'CSV',      extension: 'csv',  mimeType: 'text/csv' },
+  markdown: { label: 'Markdown', extension: 'md',   mimeType: 'text/markdown' },
+}
+
+// columns used for CSV files
+//  - subtasks are written on the rows after their parent with `subtask` set to true
+//  - recurrence rules are written the way they're typed into the app (ex. 'every 3 days')
+const CSV_COLUMNS = ['title', 'completed', 'tags', 'due', 'subtask', 'repeat', 'priority']
+
+// values accepted as true in CSV files written by other apps
+const TRUE_VALUES = ['true', 'yes', 'y', 'x', '1', 'done', 'completed']
+
+// pattern for a Markdown checklist item like '  - [x] Buy milk', capturing the indent, the check mark, and the text
+const CHECKLIST_ITEM = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/
+
+// quote a CSV field if it contains anything that would break the row apart
+const csvField = value => /[",\r\n]|^\s|\s$/.test(value) ? `"${ value.replace(/"/g, '""') }"` : value
+
+// split CSV text into rows of fields, handling quoted fields with commas, quotes, and line breaks in them
+const csvRows = text => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      rows.push([...row, field])
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) rows.push([...row, field])
+  // skip blank lines
+  return rows.filter(row => row.some(field => field.trim() !== ''))
+}
+
+// write a due date the way it would be typed into the app (ex. '2017-10-20 17:00') so Markdown files can be imported again
+const dueText = due => due ? ' ' + due.replace('T', ' ') : ''
+
+// clean up a todo read from a file, filling in any missing fields
+const importedTodo = ({ title, completed, tags, due, repeat, priority, subtasks }) => ({
+  title:     String(title).trim(),
+  completed: !!completed,
+  tags:      Array.isArray(tags) ? tags.map(tag => String(tag).replace(/^#/, '').toLowerCase()).filter(Boolean) : [],
+  due:       (typeof due === 'string' && due) ? due : null,
+  repeat:    isRepeat(repeat) ? repeat : null,
+  priority:  isPriority(priority) ? priority : DEFAULT_PRIORITY,
+  subtasks:  Array.isArray(subtasks) ? subtasks.filter(isImportable).map(({ title, completed }) => ({ title: String(title).trim(), completed: !!completed })) : [],
+})
+
+// check that something read from a file can be turned into a todo
+const isImportable = item => item && typeof item === 'object' && typeof item.title === 'string' && item.title.trim() !== ''
+
+// key used to spot todos that are already in the list
+//  - todos with the same title (ignoring case and extra spaces) and due date are treated as duplicates
+const duplicateKey = todo => todo.title.trim().replace(/\s+/g, ' ').toLowerCase() + '|' + (todo.due || '')
+
+/**
+ * write todos out in one of the export formats
+ *
+ * @param {Array} todos array of todo objects
+ * @param {String} format 'json', 'csv', or 'markdown'
+ * @return {String} the contents of the export file
+ */
+export function exportTodos(todos, format) {
+  const clean = snapshot(todos).map(({ title, completed, tags=[], due=null, repeat=null, priority=DEFAULT_PRIORITY, subtasks=[] }) => ({
+    title, completed, tags, due, repeat, priority, subtasks: subtasks.map(({ title, completed }) => ({ title, completed }))
+  }))
+
+  if (format === 'json') return JSON.stringify(clean, null, 2) + '\n'
+
+  if (format === 'csv') {
+    const rows = clean.reduce((acc, todo) => [
+      ...acc,
+      [todo.title, String(todo.completed), todo.tags.join(' '), todo.due || '', 'false', todo.repeat ? formatRepeat(todo.repeat) : '', todo.priority],
+      ...todo.subtasks.map(subtask => [subtask.title, String(subtask.completed), '', '', 'true', '', ''])
+    ], [CSV_COLUMNS])
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n'
+  }
+
+  if (format === 'markdown') {
+    const item = (todo, indent='') => `${ indent }- [${ todo.completed ? 'x' : ' ' }] ${ formatTitle(todo) }${ dueText(todo.due) }`
+    return clean.reduce((acc, todo) => [
+      ...acc,
+      item(todo),
+      ...todo.subtasks.map(subtask => item(subtask, '  '))
+    ], []).join('\n') + '\n'
+  }
+
+  throw new Error(`Unknown export format: ${format}`)
+}
+
+/**
+ * work out the format of an imported file
+ *
+ * @param {String} filename name of the file (ex. 'todos.csv')
+ * @param {String} text contents of the file
+ * @return {String} 'json', 'csv', or 'markdown'
+ *
+ * the file extension is used if it's a known one, otherwise the format is guessed from the contents
+ */
+export function detectFormat(filename='', text='') {
+  const extension = filename.split('.').pop().toLowerCase()
+  if (extension === 'json') return 'json'
+  if (extension === 'csv') return 'csv'
+  if (extension === 'md' || extension === 'markdown') return 'markdown'
+  const trimmed = text.trim()
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json'
+  if (trimmed.split(/\r?\n/).some(line => CHECKLIST_ITEM.test(line))) return 'markdown'
+  return 'csv'
+}
+
+/**
+ * read todos from the contents of an imported file
+ *
+ * @param {String} text contents of the file
+ * @param {String} format 'json', 'csv', or 'markdown'
+ * @return {Array} todos like { title, completed, tags, due, repeat, priority, subtasks } without ids
+ *
+ * - JSON files can hold an array of todos, or an object with the array in a `todos` or `data` field (like the app stores them)
+ * - CSV files need a header row naming the columns, or have the title, completed, tags, and due columns in that order
+ * - Markdown files can hold anything, only checklist items are imported and indented items become subtasks
+ * - titles in Markdown files are read like titles typed into the app, so #hashtags, due dates, recurrence rules and priority markers are picked out of them
+ * - throws an error if the file can't be read in the given format
+ */
+export function parseTodos(text, format) {
+  if (format === 'json') {
+    const parsed = JSON.parse(text)
+    const items  = Array.isArray(parsed) ? parsed : (parsed && (parsed.todos || parsed.data))
+    if (!Array.isArray(items)) throw new Error('No todos found')
+    return items.filter(isImportable).map(importedTodo)
+  }
+
+  if (format === 'csv') {
+    const rows    = csvRows(text)
+    const header  = (rows[0] || []).map(name => name.trim().toLowerCase())
+    const columns = header.includes('title') ? header : CSV_COLUMNS
+    const body    = header.includes('title') ? rows.slice(1) : rows
+    const records = body.map(row => columns.reduce((acc, column, index) => ({ ...acc, [column]: (row[index] || '').trim() }), {}))
+    return records.reduce((acc, record) => {
+      const todo = {
+        title:     record.title || '',
+        completed: TRUE_VALUES.includes((record.completed || '').toLowerCase()),
+        tags:      (record.tags || '').split(/[\s,]+/),
+        due:       record.due || null,
+        repeat:    parseRepeat(record.repeat || '').repeat,
+        priority:  (record.priority || '').toLowerCase(),
+      }
+      if (!isImportable(todo)) return acc
+      // subtasks belong to the todo on the row before them
+      const parent = acc[acc.length - 1]
+      if (TRUE_VALUES.includes((record.subtask || '').toLowerCase()) && parent) {
+        return [...acc.slice(0, -1), { ...parent, subtasks: [...parent.subtasks, { title: todo.title, completed: todo.completed }] }]
+      }
+      return [...acc, importedTodo(todo)]
+    }, [])
+  }
+
+  if (format === 'markdown') {
+    return text.split(/\r?\n/).reduce((acc, line) => {
+      const found = CHECKLIST_ITEM.exec(line)
+      if (!found || found[3].trim() === '') return acc
+      const completed = found[2] !== ' '
+      const parent    = acc[acc.length - 1]
+      if (found[1].length > 0 && parent) {
+        return [...acc.slice(0, -1), { ...parent, subtasks: [...parent.subtasks, { title: found[3].trim(), completed }] }]
+      }
+      return [...acc, importedTodo({ ...parseTitle(found[3]), completed })]
+    }, [])
+  }
+
+  throw new Error(`Unknown import format: ${format}`)
+}
+
+/**
+ * add imported todos to a list, skipping any that are already in it
+ *
+ * @param {Array} todos the todos already in the list
+ * @param {Array} imported todos read by `parseTodos`
+ * @return {Object} the updated `todos`, and counts of the todos `added` and the `duplicates` that were skipped
+ *
+ * - imported todos (and their subtasks) are given fresh ids so they can't clash with the todos already in the list
+ * - todos repeated within the imported file are only added once
+ */
+export function importTodos(todos, imported) {
+  const seen = new Set(todos.map(duplicateKey))
+  return imported.reduce((acc, todo) => {
+    const key = duplicateKey(todo)
+    if (seen.has(key)) return { ...acc, duplicates: acc.duplicates + 1 }
+    seen.add(key)
+    const subtasks = todo.subtasks.reduce((added, subtask) => [...added, { id: newId(added), ...subtask }], [])
+    const added    = withCompletion({ id: newId(acc.todos), ...todo, subtasks })
+    return { ...acc, todos: [...acc.todos, added], added: acc.added + 1 }
+  }, { todos, added: 0, duplicates: 0 })
+}
+
+/**
+ * check if a drag event is for files dragged in from outside the page
+ *
+ * @param {Event} e a drag event ('dragover', 'drop' and so on)
+ * @return {Boolean} true for files that can be imported, false for anything else (ex. a todo being reordered)
+ */
+export function isFileDrag(e) {
+  return !!(e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files'))
+}
@@ -0,0 +1,102 @@
+import assert from 'assert'
+import { exportTodos, parseTodos, detectFormat, importTodos } from './transfer'
+
+// tests for exporting todos to files and importing them again
+//  - files written by other apps are made up in the tests, in the shapes they're usually found in
+
+
+
+const list = [
+  { id: 1, title: 'Call "Bob", then Alice', completed: false, tags: ['work', 'calls'], due: '2030-01-01T17:00', repeat: null, priority: 'high', subtasks: [],
+    hidden: true, locale: 'de', selected: true },
+  { id: 2, title: 'Water plants', completed: true, tags: [], due: '2030-02-01', repeat: { every: 'day', interval: 3 }, priority: 'low', subtasks: [
+    { id: 1, title: 'Fern', completed: true, editing: false },
+    { id: 2, title: 'Cactus, maybe', completed: false },
+  ] },
+]
+
+// the todos as they come back from a file, without ids or the fields that only describe the page
+const exported = [
+  { title: 'Call "Bob", then Alice', completed: false, tags: ['work', 'calls'], due: '2030-01-01T17:00', repeat: null, priority: 'high', subtasks: [] },
+  { title: 'Water plants', completed: true, tags: [], due: '2030-02-01', repeat: { every: 'day', interval: 3 }, priority: 'low', subtasks: [
+    { title: 'Fern', completed: true },
+    { title: 'Cactus, maybe', completed: false },
+  ] },
+]
+
+
+describe('IMPORT AND EXPORT', function () {
+
+  ['json', 'csv', 'markdown'].forEach(format => {
+    it(`reads back the todos it exports as ${ format }`, () => {
+      const file = exportTodos(list, format)
+      assert.equal(detectFormat('', file), format)
+      assert.deepEqual(parseTodos(file, format), exported)
+    })
+  })
+
+  it('reads CSV fields with commas, quotes and line breaks in them, and CRLF line endings', () => {
+    const file = [
+      'Title,Completed,Tags,Due',
+      '"Call ""Bob"", then Alice",yes,"work, calls",2030-01-01',
+      '"Pack:',
+      'socks, shoes",no,,',
+      '',
+      'Plain,,,\r\n',
+    ].join('\r\n')
+    assert.deepEqual(parseTodos(file, 'csv').map(({ title, completed, tags, due }) => ({ title, completed, tags, due })), [
+      { title: 'Call "Bob", then Alice', completed: true, tags: ['work', 'calls'], due: '2030-01-01' },
+      { title: 'Pack:\r\nsocks, shoes', completed: false, tags: [], due: null },
+      { title: 'Plain', completed: false, tags: [], due: null },
+    ])
+  })
+
+  it('reads CSV files without a header row in the title, completed, tags and due order', () => {
+    assert.deepEqual(parseTodos('Buy milk,x,shopping,2030-01-01\n', 'csv'), [
+      { title: 'Buy milk', completed: true, tags: ['shopping'], due: '2030-01-01', repeat: null, priority: 'normal', subtasks: [] },
+    ])
+  })
+
+  it('reads indented Markdown checklist items as subtasks, and skips everything else', () => {
+    const file = [
+      '# Trip',
+      '',
+      '- [ ] Plan trip #travel',
+      '  - [x] Book flights',
+      '    - [ ] Pick seats',
+      '* [X] !! Renew passport 2030-03-01',
+      'Some notes',
+      '  - [ ] Pack',
+    ].join('\n')
+    assert.deepEqual(parseTodos(file, 'markdown'), [
+      { title: 'Plan trip', completed: false, tags: ['travel'], due: null, repeat: null, priority: 'normal', subtasks: [
+        { title: 'Book flights', completed: true },
+        { title: 'Pick seats', completed: false },
+      ] },
+      { title: 'Renew passport', completed: true, tags: [], due: '2030-03-01', repeat: null, priority: 'high', subtasks: [
+        { title: 'Pack', completed: false },
+      ] },
+    ])
+  })
+
+  it('adds imported todos with fresh ids, skipping ones already in the list or repeated in the file', () => {
+    const file = exportTodos([...list, { id: 3, title: '  call "bob", THEN alice ', completed: true, due: '2030-01-01T17:00' }, { id: 4, title: 'Water plants', completed: false, due: null }], 'json')
+    const { todos, added, duplicates } = importTodos([{ id: 7, title: 'Water plants', completed: false, due: '2030-02-01', tags: [], subtasks: [] }], parseTodos(file, 'json'))
+    assert.equal(added, 2)
+    assert.equal(duplicates, 2)
+    assert.deepEqual(todos.map(todo => [todo.id, todo.title, todo.due]), [[7, 'Water plants', '2030-02-01'], [8, 'Call "Bob", then Alice', '2030-01-01T17:00'], [9, 'Water plants', null]])
+  })
+
+  it('keeps a todo with subtasks completed only while all of its subtasks are', () => {
+    const { todos } = importTodos([], [{ ...exported[1], completed: true }])
+    assert.equal(todos[0].completed, false)
+    assert.deepEqual(todos[0].subtasks.map(subtask => subtask.id), [1, 2])
+  })
+
+  it('throws for files it can\'t read', () => {
+    assert.throws(_ => parseTodos('{ "todos": 3 }', 'json'), /No todos found/)
+    assert.throws(_ => parseTodos('not json', 'json'))
+    assert.throws(_ => exportTodos(list, 'xml'), /Unknown export format/)
+  })
+
+})
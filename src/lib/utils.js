@@ -2,6 +2,9 @@ import xs from 'xstream'
 import isolate from '@cycle/isolate'
 import {makeCollection} from '@cycle/state'
 import dropRepeats from 'xstream/extra/dropRepeats'
+import { parseDue } from './dates'
+import { parseRepeat, formatRepeat } from './recurrence'
+import { parsePriority, priorityMarker } from './priority'
 
 /**
  * calculate the next id given an array of objects
@@ -133,3 +136,95 @@ export function inputEvents (el$, initialValue='') {
     keyup$,
   }
 }
+
+
+/**
+ * split a todo title entered by the user into the title, any #hashtags, a due date, a recurrence rule and a priority
+ *
+ * @param {String} text title as entered by the user (ex. '! Buy milk #shopping #home tomorrow')
+ * @return {Object} the `title` with the hashtags, due date, recurrence rule and priority marker removed,
+ *                  an array of lowercase `tags` without the '#', the `due` date string or null, the `repeat` rule or null,
+ *                  and the `priority` (ex. { title: 'Buy milk', tags: ['shopping', 'home'], due: '2017-10-20', repeat: null, priority: 'normal' })
+ *
+ * if the text only contains hashtags they are kept in the title so the todo isn't left blank
+ * see ./dates for the supported due date formats, ./recurrence for recurrence rules and ./priority for priority markers
+ * the rule is read first so weekdays in it (ex. 'every tue') aren't taken as the due date
+ */
+export function parseTitle(text) {
+  const tagPattern = /(^|\s)#([^\s#]+)/g
+  const tags  = []
+  let found
+  while ((found = tagPattern.exec(text)) !== null) {
+    const tag = found[2].toLowerCase()
+    if (!tags.includes(tag)) tags.push(tag)
+  }
+  const title = text.replace(tagPattern, '').replace(/\s+/g, ' ').trim()
+  const { title: unmarked, priority } = parsePriority(title || text.trim())
+  const { title: rest, repeat } = parseRepeat(unmarked)
+  return { ...parseDue(rest), tags, repeat, priority }
+}
+
+/**
+ * combine a todo's priority, title, recurrence rule and tags back into the text the user would type to create it
+ *
+ * @param {Object} todo todo object with `title` and (optionally) `priority`, `repeat` and `tags` fields
+ * @return {String} title after the todo's priority marker and followed by its recurrence rule and hashtags (ex. '! Water plants every 3 days #home')
+ */
+export function formatTitle({ title, priority, repeat=null, tags=[] }) {
+  const marker = priorityMarker(priority)
+  return [...(marker ? [marker] : []), title, ...(repeat ? [formatRepeat(repeat)] : []), ...tags.map(tag => '#' + tag)].join(' ')
+}
+
+/**
+ * move an item in an array to just before or after another item
+ *
+ * @param {Array} items array of `objects` with an `id` field
+ * @param {*} id id of the item to move
+ * @param {*} targetId id of the item to move it next to
+ * @param {Boolean} after true to place the item after the target, false to place it before
+ * @return {Array} new array with the item moved (or the original array if either id wasn't found)
+ */
+export function moveItem(items, id, targetId, after=false) {
+  const item = items.find(item => item.id === id)
+  if (!item || id === targetId || !items.some(item => item.id === targetId)) return items
+  const others = items.filter(item => item.id !== id)
+  const index  = others.findIndex(item => item.id === targetId) + (after ? 1 : 0)
+  return [...others.slice(0, index), item, ...others.slice(index)]
+}
+
+/**
+ * split text into the parts that match a search query and the parts that don't
+ *
+ * @param {String} text text to search in (ex. 'Buy milk and more milk')
+ * @param {String} query text to search for, ignoring case (ex. 'MILK')
+ * @return {Array} parts of the text in order, like [{ text: 'Buy ', match: false }, { text: 'milk', match: true }, ...]
+ *
+ * - an empty query returns the whole text as a single part that doesn't match
+ * - the query is matched on the text itself, since lower casing can change the length of the text (ex. 'İ' becomes 'i̇')
+ *   and the matches found in a lower cased copy wouldn't line up with the text
+ */
+export function splitMatches(text, query) {
+  if (!query) return [{ text, match: false }]
+  // splitting on a capturing group keeps the matches, at every odd index
+  const pattern = new RegExp('(' + query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + ')', 'giu')
+  return text.split(pattern).map((part, index) => ({ text: part, match: index % 2 === 1 })).filter(part => part.text !== '')
+}
+
+/**
+ * remember the last result of a function, and return it again while the function is called with the same arguments
+ *
+ * @param {Function} fn function to remember the result of, which should only depend on its arguments
+ * @return {Function} function taking the same arguments as `fn`
+ *
+ * arguments are compared with ===, so this works best with immutable values like the state's todos array
+ */
+export function memoizeLast(fn) {
+  let lastArgs = null
+  let lastResult
+  return (...args) => {
+    if (lastArgs && args.length === lastArgs.length && args.every((arg, index) => arg === lastArgs[index])) return lastResult
+    lastArgs   = args
+    lastResult = fn(...args)
+    return lastResult
+  }
+}
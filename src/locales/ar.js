@@ -0,0 +1,174 @@
+// Arabic messages (see ./en for the messages they're translated from)
+//  - Arabic has six plural forms: 'zero', 'one', 'two', 'few' (3-10), 'many' (11-99) and 'other' (100 and up)
+//  - Arabic is written right to left, see the [dir="rtl"] styles in app.css
+export default {
+  // header
+  'app.title':                'المهام',
+  'app.documentTitle':        '{count, plural, =0 {Cycle.js • TodoMVC} one {(مهمة واحدة متبقية) Cycle.js • TodoMVC} two {(مهمتان متبقيتان) Cycle.js • TodoMVC} few {(# مهام متبقية) Cycle.js • TodoMVC} many {(# مهمة متبقية) Cycle.js • TodoMVC} other {(# مهمة متبقية) Cycle.js • TodoMVC}}',
+  'app.newTodo':              'ما الذي يجب إنجازه؟',
+  'app.newTodoLabel':         'مهمة جديدة',
+  'app.search':               'بحث',
+  'app.searchLabel':          'البحث في المهام',
+  'app.toggleAll':            'تحديد الكل كمكتمل',
+  'app.todoList':             'المهام',
+  'app.noResults':            'لا توجد مهام تطابق "{search}"',
+  'app.tags':                 'الوسوم',
+  'app.allTags':              'كل الوسوم',
+  'app.language':             'اللغة',
+
+  // visibility filters
+  'filter.label':             'عرض',
+  'filter.all':               'الكل',
+  'filter.active':            'النشطة',
+  'filter.completed':         'المكتملة',
+  'filter.today':             'اليوم',
+  'filter.overdue':           'المتأخرة',
+
+  // footer
+  'footer.remaining':         '{count, plural, zero {لا توجد عناصر متبقية} one {عنصر واحد متبقٍ} two {عنصران متبقيان} few {# عناصر متبقية} many {# عنصرًا متبقيًا} other {# عنصر متبقٍ}}',
+  'footer.remainingMatching': '{count, plural, zero {لا توجد عناصر متبقية} one {عنصر واحد متبقٍ} two {عنصران متبقيان} few {# عناصر متبقية} many {# عنصرًا متبقيًا} other {# عنصر متبقٍ}} يطابق "{search}"',
+  'footer.clearCompleted':    'مسح المكتملة',
+  'footer.select':            'تحديد',
+  'footer.selectTitle':       'حدد المهام لتغييرها كلها مرة واحدة (أو انقر عليها مع Shift/Ctrl)',
+  'footer.reminders':         '{enabled, select, true {التذكيرات مفعّلة} other {التذكيرات متوقفة}}',
+  'footer.remindersTitle':    'إظهار إشعار عند حلول موعد مهمة',
+  'footer.sync':              '{status, select, synced {تمت المزامنة} pending {المزامنة معلّقة} other {خطأ في المزامنة}}',
+  'footer.theme':             'المظهر',
+  'footer.sort':              'الترتيب',
+  'footer.undo':              'تراجع',
+  'footer.undoTitle':         'تراجع (Ctrl+Z)',
+  'footer.redo':              'إعادة',
+  'footer.redoTitle':         'إعادة (Ctrl+Shift+Z)',
+
+  // themes (see ../themes)
+  'theme.system':             'النظام',
+  'theme.light':              'فاتح',
+  'theme.dark':               'داكن',
+  'theme.high-contrast':      'تباين عالٍ',
+
+  // sort modes (see ../lib/sort)
+  'sort.manual':              'ترتيبك',
+  'sort.created':             'تاريخ الإضافة',
+  'sort.priority':            'الأولوية',
+  'sort.title':               'العنوان (أ–ي)',
+  'sort.due':                 'تاريخ الاستحقاق',
+
+  // priorities (see ../lib/priority)
+  'priority.low':             'منخفضة',
+  'priority.normal':          'عادية',
+  'priority.high':            'عالية',
+
+  // selection toolbar
+  'selection.count':          'تم تحديد {count}',
+  'selection.selectAll':      'تحديد الكل',
+  'selection.done':           'تم',
+  'selection.toolbar':        'تغيير المهام المحددة',
+  'selection.complete':       'إكمال',
+  'selection.uncomplete':     'إلغاء الإكمال',
+  'selection.delete':         'حذف',
+  'selection.tag':            'إضافة #وسم',
+  'selection.tagLabel':       'إضافة وسم إلى المهام المحددة',
+  'selection.move':           'نقل إلى...',
+  'selection.moveLabel':      'نقل المهام المحددة إلى قائمة أخرى',
+
+  // offline use and updates (see ../lib/serviceWorkerDriver)
+  'offline.ready':            'جاهز للعمل دون اتصال',
+  'offline.updateReady':      'يتوفر إصدار جديد',
+  'offline.reload':           'إعادة التحميل',
+  'offline.dismiss':          'ليس الآن',
+
+  // import and export
+  'transfer.import':          'استيراد',
+  'transfer.importTitle':     'إضافة مهام من ملف JSON أو CSV أو Markdown (أو أفلت الملف هنا)',
+  'transfer.export':          'تصدير',
+  'transfer.exportTitle':     'تنزيل المهام المعروضة بصيغة {format}',
+  'transfer.dismiss':         'إغلاق',
+  'transfer.drop':            'أفلت للاستيراد',
+  'transfer.imported':        '{added, plural, zero {لم يتم استيراد أي مهمة} one {تم استيراد مهمة واحدة} two {تم استيراد مهمتين} few {تم استيراد # مهام} many {تم استيراد # مهمة} other {تم استيراد # مهمة}}{duplicates, plural, =0 {} one {، وتم تخطي مهمة مكررة} two {، وتم تخطي مهمتين مكررتين} few {، وتم تخطي # مهام مكررة} many {، وتم تخطي # مهمة مكررة} other {، وتم تخطي # مهمة مكررة}}',
+  'transfer.readError':       'تعذرت قراءة {name}: {error}',
+  'transfer.importError':     'تعذر استيراد {name}: {error}',
+
+  // keyboard shortcuts (see ../keymap)
+  'help.title':               'اختصارات لوحة المفاتيح',
+  'help.close':               'إغلاق',
+  'command.CURSOR_DOWN':      'الانتقال إلى المهمة التالية',
+  'command.CURSOR_UP':        'الانتقال إلى المهمة السابقة',
+  'command.TOGGLE':           'إكمال المهمة أو إعادة فتحها',
+  'command.EDIT':             'تعديل المهمة',
+  'command.PRIORITY':         'تغيير أولوية المهمة',
+  'command.DESTROY':          'حذف المهمة',
+  'command.FOCUS_NEW_TODO':   'إضافة مهمة جديدة',
+  'command.SHOW_ALL':         'عرض كل المهام',
+  'command.SHOW_ACTIVE':      'عرض المهام النشطة',
+  'command.SHOW_COMPLETED':   'عرض المهام المكتملة',
+  'command.SHOW_TODAY':       'عرض المهام المستحقة اليوم',
+  'command.SHOW_OVERDUE':     'عرض المهام المتأخرة',
+  'command.HELP':             'إظهار هذه المساعدة أو إخفاؤها',
+
+  // todos
+  'todo.select':              'تحديد "{title}"',
+  'todo.selectTitle':         'تحديد',
+  'todo.complete':            'إكمال "{title}"',
+  'todo.indent':              'جعل "{title}" مهمة فرعية للمهمة التي فوقها',
+  'todo.indentTitle':         'جعلها مهمة فرعية للمهمة التي فوقها (Alt+سهم لليمين)',
+  'todo.priority':            'تغيير أولوية "{title}" (حاليًا {priority})',
+  'todo.priorityTitle':       'تغيير الأولوية (P)',
+  'todo.delete':              'حذف "{title}"',
+  'todo.edit':                'تعديل المهمة',
+  'todo.due':                 'تاريخ الاستحقاق',
+  'todo.progress':            'اكتمل {done, number} من {total, plural, one {خطوة واحدة} two {خطوتين} few {# خطوات} many {# خطوة} other {# خطوة}}',
+  'todo.steps':               'خطوات "{title}"',
+  'todo.newStep':             'إضافة خطوة',
+  'todo.newStepLabel':        'إضافة خطوة إلى "{title}"',
+
+  // subtasks
+  'step.complete':            'إكمال "{title}"',
+  'step.outdent':             'جعل "{title}" مهمة مستقلة',
+  'step.outdentTitle':        'جعلها مهمة مستقلة (Alt+سهم لليسار)',
+  'step.delete':              'حذف "{title}"',
+  'step.edit':                'تعديل الخطوة',
+
+  // list switcher
+  'lists.title':              'القوائم',
+  'lists.default':            'المهام',
+  'lists.rename':             'إعادة تسمية',
+  'lists.renameTitle':        'إعادة تسمية القائمة',
+  'lists.renameLabel':        'إعادة تسمية {name}',
+  'lists.deleteTitle':        'حذف القائمة',
+  'lists.deleteLabel':        'حذف {name}',
+  'lists.name':               'اسم القائمة',
+  'lists.new':                'قائمة جديدة',
+  'lists.confirmDelete':      'هل تريد حذف هذه القائمة وكل مهامها؟',
+
+  // due dates
+  'due.today':                'اليوم',
+  'due.tomorrow':             'غدًا',
+  'due.yesterday':            'أمس',
+  'due.reminder':             'مستحقة {due}',
+
+  // recurring todos
+  'repeat.day':               '{interval, plural, one {كل يوم} two {كل يومين} few {كل # أيام} many {كل # يومًا} other {كل # يوم}}',
+  'repeat.week':              '{interval, plural, one {كل أسبوع} two {كل أسبوعين} few {كل # أسابيع} many {كل # أسبوعًا} other {كل # أسبوع}}',
+  'repeat.month':             '{interval, plural, one {كل شهر} two {كل شهرين} few {كل # أشهر} many {كل # شهرًا} other {كل # شهر}}',
+  'repeat.weekdays':          'كل {days}',
+
+  // messages read out by screen readers
+  'announce.added':           'تمت إضافة المهمة',
+  'announce.undone':          'تم التراجع',
+  'announce.redone':          'تمت الإعادة',
+  'announce.allCompleted':    'تم تحديد كل المهام كمكتملة',
+  'announce.allActive':       'تم تحديد كل المهام كنشطة',
+  'announce.cleared':         '{count, plural, zero {لم يتم مسح أي عنصر} one {تم مسح عنصر واحد} two {تم مسح عنصرين} few {تم مسح # عناصر} many {تم مسح # عنصرًا} other {تم مسح # عنصر}}',
+  'announce.indented':        'أصبحت مهمة فرعية',
+  'announce.outdented':       'أصبحت مهمة',
+  'announce.moved':           '{direction, select, up {تم النقل للأعلى} other {تم النقل للأسفل}}',
+  'announce.completed':       '{item, select, step {اكتملت الخطوة} other {اكتملت المهمة}}',
+  'announce.reopened':        '{item, select, step {أُعيد فتح الخطوة} other {أُعيد فتح المهمة}}',
+  'announce.deleted':         '{item, select, step {حُذفت الخطوة} other {حُذفت المهمة}}',
+  'announce.bulkCompleted':   '{count, plural, zero {لم تكتمل أي مهمة} one {اكتملت مهمة واحدة} two {اكتملت مهمتان} few {اكتملت # مهام} many {اكتملت # مهمة} other {اكتملت # مهمة}}',
+  'announce.bulkReopened':    '{count, plural, zero {لم يُعد فتح أي مهمة} one {أُعيد فتح مهمة واحدة} two {أُعيد فتح مهمتين} few {أُعيد فتح # مهام} many {أُعيد فتح # مهمة} other {أُعيد فتح # مهمة}}',
+  'announce.bulkDeleted':     '{count, plural, zero {لم تُحذف أي مهمة} one {حُذفت مهمة واحدة} two {حُذفت مهمتان} few {حُذفت # مهام} many {حُذفت # مهمة} other {حُذفت # مهمة}}',
+  'announce.bulkTagged':      '{count, plural, zero {لم يُضف الوسم {tags} إلى أي مهمة} one {أُضيف الوسم {tags} إلى مهمة واحدة} two {أُضيف الوسم {tags} إلى مهمتين} few {أُضيف الوسم {tags} إلى # مهام} many {أُضيف الوسم {tags} إلى # مهمة} other {أُضيف الوسم {tags} إلى # مهمة}}',
+  'announce.bulkMoved':       '{count, plural, zero {لم تُنقل أي مهمة إلى {list}} one {نُقلت مهمة واحدة إلى {list}} two {نُقلت مهمتان إلى {list}} few {نُقلت # مهام إلى {list}} many {نُقلت # مهمة إلى {list}} other {نُقلت # مهمة إلى {list}}}',
+  'announce.repeated':        'اكتملت المهمة، والمهمة التالية مستحقة {due}',
+}
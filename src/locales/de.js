@@ -0,0 +1,172 @@
+// German messages (see ./en for the messages they're translated from)
+export default {
+  // header
+  'app.title':                'Aufgaben',
+  'app.documentTitle':        '{count, plural, =0 {Cycle.js • TodoMVC} one {(# Aufgabe offen) Cycle.js • TodoMVC} other {(# Aufgaben offen) Cycle.js • TodoMVC}}',
+  'app.newTodo':              'Was ist zu tun?',
+  'app.newTodoLabel':         'Neue Aufgabe',
+  'app.search':               'Suchen',
+  'app.searchLabel':          'Aufgaben durchsuchen',
+  'app.toggleAll':            'Alle als erledigt markieren',
+  'app.todoList':             'Aufgaben',
+  'app.noResults':            'Keine Aufgaben passen zu „{search}“',
+  'app.tags':                 'Schlagwörter',
+  'app.allTags':              'Alle Schlagwörter',
+  'app.language':             'Sprache',
+
+  // visibility filters
+  'filter.label':             'Anzeigen',
+  'filter.all':               'Alle',
+  'filter.active':            'Offen',
+  'filter.completed':         'Erledigt',
+  'filter.today':             'Heute',
+  'filter.overdue':           'Überfällig',
+
+  // footer
+  'footer.remaining':         '{count, plural, one {# Aufgabe} other {# Aufgaben}} offen',
+  'footer.remainingMatching': '{count, plural, one {# Aufgabe} other {# Aufgaben}} offen, die zu „{search}“ passen',
+  'footer.clearCompleted':    'Erledigte entfernen',
+  'footer.select':            'Auswählen',
+  'footer.selectTitle':       'Aufgaben auswählen, um alle auf einmal zu ändern (oder mit Umschalt/Strg anklicken)',
+  'footer.reminders':         '{enabled, select, true {Erinnerungen an} other {Erinnerungen aus}}',
+  'footer.remindersTitle':    'Eine Benachrichtigung anzeigen, wenn eine Aufgabe fällig wird',
+  'footer.sync':              '{status, select, synced {Synchronisiert} pending {Synchronisierung ausstehend} other {Synchronisierungsfehler}}',
+  'footer.theme':             'Design',
+  'footer.sort':              'Sortieren',
+  'footer.undo':              'Rückgängig',
+  'footer.undoTitle':         'Rückgängig (Strg+Z)',
+  'footer.redo':              'Wiederholen',
+  'footer.redoTitle':         'Wiederholen (Strg+Umschalt+Z)',
+
+  // themes (see ../themes)
+  'theme.system':             'System',
+  'theme.light':              'Hell',
+  'theme.dark':               'Dunkel',
+  'theme.high-contrast':      'Hoher Kontrast',
+
+  // sort modes (see ../lib/sort)
+  'sort.manual':              'Eigene Reihenfolge',
+  'sort.created':             'Hinzugefügt',
+  'sort.priority':            'Priorität',
+  'sort.title':               'Titel (A–Z)',
+  'sort.due':                 'Fälligkeit',
+
+  // priorities (see ../lib/priority)
+  'priority.low':             'niedrig',
+  'priority.normal':          'normal',
+  'priority.high':            'hoch',
+
+  // selection toolbar
+  'selection.count':          '{count} ausgewählt',
+  'selection.selectAll':      'Alle auswählen',
+  'selection.done':           'Fertig',
+  'selection.toolbar':        'Ausgewählte Aufgaben ändern',
+  'selection.complete':       'Erledigen',
+  'selection.uncomplete':     'Wieder öffnen',
+  'selection.delete':         'Löschen',
+  'selection.tag':            '#Schlagwort',
+  'selection.tagLabel':       'Den ausgewählten Aufgaben ein Schlagwort hinzufügen',
+  'selection.move':           'Verschieben nach...',
+  'selection.moveLabel':      'Die ausgewählten Aufgaben in eine andere Liste verschieben',
+
+  // offline use and updates (see ../lib/serviceWorkerDriver)
+  'offline.ready':            'Offline verfügbar',
+  'offline.updateReady':      'Eine neue Version ist verfügbar',
+  'offline.reload':           'Neu laden',
+  'offline.dismiss':          'Später',
+
+  // import and export
+  'transfer.import':          'Importieren',
+  'transfer.importTitle':     'Aufgaben aus einer JSON-, CSV- oder Markdown-Datei hinzufügen (oder die Datei hier ablegen)',
+  'transfer.export':          'Exportieren',
+  'transfer.exportTitle':     'Die angezeigten Aufgaben als {format} herunterladen',
+  'transfer.dismiss':         'Schließen',
+  'transfer.drop':            'Zum Importieren ablegen',
+  'transfer.imported':        '{added, plural, one {# Aufgabe importiert} other {# Aufgaben importiert}}{duplicates, plural, =0 {} one {, # Duplikat übersprungen} other {, # Duplikate übersprungen}}',
+  'transfer.readError':       '{name} konnte nicht gelesen werden: {error}',
+  'transfer.importError':     '{name} konnte nicht importiert werden: {error}',
+
+  // keyboard shortcuts (see ../keymap)
+  'help.title':               'Tastenkürzel',
+  'help.close':               'Schließen',
+  'command.CURSOR_DOWN':      'Zur nächsten Aufgabe',
+  'command.CURSOR_UP':        'Zur vorherigen Aufgabe',
+  'command.TOGGLE':           'Aufgabe erledigen oder wieder öffnen',
+  'command.EDIT':             'Aufgabe bearbeiten',
+  'command.PRIORITY':         'Priorität der Aufgabe ändern',
+  'command.DESTROY':          'Aufgabe löschen',
+  'command.FOCUS_NEW_TODO':   'Neue Aufgabe hinzufügen',
+  'command.SHOW_ALL':         'Alle Aufgaben anzeigen',
+  'command.SHOW_ACTIVE':      'Offene Aufgaben anzeigen',
+  'command.SHOW_COMPLETED':   'Erledigte Aufgaben anzeigen',
+  'command.SHOW_TODAY':       'Heute fällige Aufgaben anzeigen',
+  'command.SHOW_OVERDUE':     'Überfällige Aufgaben anzeigen',
+  'command.HELP':             'Diese Hilfe ein- oder ausblenden',
+
+  // todos
+  'todo.select':              '„{title}“ auswählen',
+  'todo.selectTitle':         'Auswählen',
+  'todo.complete':            '„{title}“ erledigen',
+  'todo.indent':              '„{title}“ zum Unterpunkt der Aufgabe darüber machen',
+  'todo.indentTitle':         'Zum Unterpunkt der Aufgabe darüber machen (Alt+Rechts)',
+  'todo.priority':            'Priorität von „{title}“ ändern (jetzt {priority})',
+  'todo.priorityTitle':       'Priorität ändern (P)',
+  'todo.delete':              '„{title}“ löschen',
+  'todo.edit':                'Aufgabe bearbeiten',
+  'todo.due':                 'Fälligkeitsdatum',
+  'todo.progress':            '{done, number} von {total, plural, one {# Schritt} other {# Schritten}} erledigt',
+  'todo.steps':               'Schritte für „{title}“',
+  'todo.newStep':             'Schritt hinzufügen',
+  'todo.newStepLabel':        'Schritt zu „{title}“ hinzufügen',
+
+  // subtasks
+  'step.complete':            '„{title}“ erledigen',
+  'step.outdent':             '„{title}“ zu einer eigenen Aufgabe machen',
+  'step.outdentTitle':        'Zu einer eigenen Aufgabe machen (Alt+Links)',
+  'step.delete':              '„{title}“ löschen',
+  'step.edit':                'Schritt bearbeiten',
+
+  // list switcher
+  'lists.title':              'Listen',
+  'lists.default':            'Aufgaben',
+  'lists.rename':             'Umbenennen',
+  'lists.renameTitle':        'Liste umbenennen',
+  'lists.renameLabel':        '{name} umbenennen',
+  'lists.deleteTitle':        'Liste löschen',
+  'lists.deleteLabel':        '{name} löschen',
+  'lists.name':               'Name der Liste',
+  'lists.new':                'Neue Liste',
+  'lists.confirmDelete':      'Diese Liste und alle ihre Aufgaben löschen?',
+
+  // due dates
+  'due.today':                'Heute',
+  'due.tomorrow':             'Morgen',
+  'due.yesterday':            'Gestern',
+  'due.reminder':             'Fällig {due}',
+
+  // recurring todos
+  'repeat.day':               '{interval, plural, one {Jeden Tag} other {Alle # Tage}}',
+  'repeat.week':              '{interval, plural, one {Jede Woche} other {Alle # Wochen}}',
+  'repeat.month':             '{interval, plural, one {Jeden Monat} other {Alle # Monate}}',
+  'repeat.weekdays':          'Jeden {days}',
+
+  // messages read out by screen readers
+  'announce.added':           'Aufgabe hinzugefügt',
+  'announce.undone':          'Rückgängig gemacht',
+  'announce.redone':          'Wiederholt',
+  'announce.allCompleted':    'Alle Aufgaben als erledigt markiert',
+  'announce.allActive':       'Alle Aufgaben als offen markiert',
+  'announce.cleared':         '{count, plural, one {# Eintrag} other {# Einträge}} entfernt',
+  'announce.indented':        'Zum Unterpunkt gemacht',
+  'announce.outdented':       'Zur Aufgabe gemacht',
+  'announce.moved':           '{direction, select, up {Nach oben verschoben} other {Nach unten verschoben}}',
+  'announce.completed':       '{item, select, step {Schritt erledigt} other {Aufgabe erledigt}}',
+  'announce.reopened':        '{item, select, step {Schritt wieder geöffnet} other {Aufgabe wieder geöffnet}}',
+  'announce.deleted':         '{item, select, step {Schritt gelöscht} other {Aufgabe gelöscht}}',
+  'announce.bulkCompleted':   '{count, plural, one {# Aufgabe} other {# Aufgaben}} erledigt',
+  'announce.bulkReopened':    '{count, plural, one {# Aufgabe} other {# Aufgaben}} wieder geöffnet',
+  'announce.bulkDeleted':     '{count, plural, one {# Aufgabe} other {# Aufgaben}} gelöscht',
+  'announce.bulkTagged':      '{count, plural, one {# Aufgabe} other {# Aufgaben}} mit {tags} markiert',
+  'announce.bulkMoved':       '{count, plural, one {# Aufgabe} other {# Aufgaben}} nach {list} verschoben',
+  'announce.repeated':        'Aufgabe erledigt, die nächste ist {due} fällig',
+}
@@ -0,0 +1,174 @@
+// English messages, the catalogue the other languages are translated from
+//  - messages use ICU message syntax (see ../lib/i18n), and are looked up by id like 'footer.clearCompleted'
+//  - messages missing from another language fall back to these ones
+export default {
+  // header
+  'app.title':                'todos',
+  'app.documentTitle':        '{count, plural, =0 {Cycle.js • TodoMVC} other {(#) Cycle.js • TodoMVC}}',
+  'app.newTodo':              'What needs to be done?',
+  'app.newTodoLabel':         'New todo',
+  'app.search':               'Search',
+  'app.searchLabel':          'Search todos',
+  'app.toggleAll':            'Mark all as complete',
+  'app.todoList':             'Todos',
+  'app.noResults':            'No todos match "{search}"',
+  'app.tags':                 'Tags',
+  'app.allTags':              'All tags',
+  'app.language':             'Language',
+
+  // visibility filters
+  'filter.label':             'Show',
+  'filter.all':               'All',
+  'filter.active':            'Active',
+  'filter.completed':         'Completed',
+  'filter.today':             'Today',
+  'filter.overdue':           'Overdue',
+
+  // footer
+  'footer.remaining':         '{count, plural, one {# item} other {# items}} left',
+  'footer.remainingMatching': '{count, plural, one {# item} other {# items}} left matching "{search}"',
+  'footer.clearCompleted':    'Clear completed',
+  'footer.select':            'Select',
+  'footer.selectTitle':       'Select todos to change them all at once (or Shift/Ctrl+click them)',
+  'footer.reminders':         '{enabled, select, true {Reminders on} other {Reminders off}}',
+  'footer.remindersTitle':    'Show a notification when a todo comes due',
+  'footer.sync':              '{status, select, synced {Synced} pending {Sync pending} other {Sync error}}',
+  'footer.theme':             'Theme',
+  'footer.sort':              'Sort',
+  'footer.undo':              'Undo',
+  'footer.undoTitle':         'Undo (Ctrl+Z)',
+  'footer.redo':              'Redo',
+  'footer.redoTitle':         'Redo (Ctrl+Shift+Z)',
+
+  // themes (see ../themes)
+  'theme.system':             'System',
+  'theme.light':              'Light',
+  'theme.dark':               'Dark',
+  'theme.high-contrast':      'High contrast',
+
+  // sort modes (see ../lib/sort)
+  'sort.manual':              'Your order',
+  'sort.created':             'Date added',
+  'sort.priority':            'Priority',
+  'sort.title':               'Title (A–Z)',
+  'sort.due':                 'Due date',
+
+  // priorities (see ../lib/priority)
+  'priority.low':             'low',
+  'priority.normal':          'normal',
+  'priority.high':            'high',
+
+  // selection toolbar
+  'selection.count':          '{count} selected',
+  'selection.selectAll':      'Select all',
+  'selection.done':           'Done',
+  'selection.toolbar':        'Change the selected todos',
+  'selection.complete':       'Complete',
+  'selection.uncomplete':     'Uncomplete',
+  'selection.delete':         'Delete',
+  'selection.tag':            'Add #tag',
+  'selection.tagLabel':       'Add a tag to the selected todos',
+  'selection.move':           'Move to...',
+  'selection.moveLabel':      'Move the selected todos to another list',
+
+  // offline use and updates (see ../lib/serviceWorkerDriver)
+  'offline.ready':            'Ready to work offline',
+  'offline.updateReady':      'A new version is available',
+  'offline.reload':           'Reload',
+  'offline.dismiss':          'Not now',
+
+  // import and export
+  'transfer.import':          'Import',
+  'transfer.importTitle':     'Add todos from a JSON, CSV or Markdown file (or drop the file here)',
+  'transfer.export':          'Export',
+  'transfer.exportTitle':     'Download the shown todos as {format}',
+  'transfer.dismiss':         'Dismiss',
+  'transfer.drop':            'Drop to import',
+  'transfer.imported':        '{added, plural, one {Imported # todo} other {Imported # todos}}{duplicates, plural, =0 {} one {, skipped # duplicate} other {, skipped # duplicates}}',
+  'transfer.readError':       "Couldn't read {name}: {error}",
+  'transfer.importError':     "Couldn't import {name}: {error}",
+
+  // keyboard shortcuts (see ../keymap)
+  'help.title':               'Keyboard shortcuts',
+  'help.close':               'Close',
+  'command.CURSOR_DOWN':      'Move to the next todo',
+  'command.CURSOR_UP':        'Move to the previous todo',
+  'command.TOGGLE':           'Complete or reopen the todo',
+  'command.EDIT':             'Edit the todo',
+  'command.PRIORITY':         'Change the priority of the todo',
+  'command.DESTROY':          'Delete the todo',
+  'command.FOCUS_NEW_TODO':   'Add a new todo',
+  'command.SHOW_ALL':         'Show all todos',
+  'command.SHOW_ACTIVE':      'Show active todos',
+  'command.SHOW_COMPLETED':   'Show completed todos',
+  'command.SHOW_TODAY':       'Show todos due today',
+  'command.SHOW_OVERDUE':     'Show overdue todos',
+  'command.HELP':             'Show or hide this help',
+
+  // todos
+  'todo.select':              'Select "{title}"',
+  'todo.selectTitle':         'Select',
+  'todo.complete':            'Complete "{title}"',
+  'todo.indent':              'Make a subtask of the todo above: "{title}"',
+  'todo.indentTitle':         'Make this a subtask of the todo above (Alt+Right)',
+  'todo.priority':            'Change the priority of "{title}" (now {priority})',
+  'todo.priorityTitle':       'Change priority (P)',
+  'todo.delete':              'Delete "{title}"',
+  'todo.edit':                'Edit todo',
+  'todo.due':                 'Due date',
+  'todo.progress':            '{done, number} of {total, plural, one {# step} other {# steps}} done',
+  'todo.steps':               'Steps for "{title}"',
+  'todo.newStep':             'Add a step',
+  'todo.newStepLabel':        'Add a step to "{title}"',
+
+  // subtasks
+  'step.complete':            'Complete "{title}"',
+  'step.outdent':             'Make its own todo: "{title}"',
+  'step.outdentTitle':        'Make this its own todo (Alt+Left)',
+  'step.delete':              'Delete "{title}"',
+  'step.edit':                'Edit step',
+
+  // list switcher
+  'lists.title':              'Lists',
+  'lists.default':            'Todos',
+  'lists.rename':             'Rename',
+  'lists.renameTitle':        'Rename list',
+  'lists.renameLabel':        'Rename {name}',
+  'lists.deleteTitle':        'Delete list',
+  'lists.deleteLabel':        'Delete {name}',
+  'lists.name':               'List name',
+  'lists.new':                'New list',
+  'lists.confirmDelete':      'Delete this list and all of its todos?',
+
+  // due dates
+  'due.today':                'Today',
+  'due.tomorrow':             'Tomorrow',
+  'due.yesterday':            'Yesterday',
+  'due.reminder':             'Due {due}',
+
+  // recurring todos
+  'repeat.day':               '{interval, plural, one {Every day} other {Every # days}}',
+  'repeat.week':              '{interval, plural, one {Every week} other {Every # weeks}}',
+  'repeat.month':             '{interval, plural, one {Every month} other {Every # months}}',
+  'repeat.weekdays':          'Every {days}',
+
+  // messages read out by screen readers
+  'announce.added':           'Todo added',
+  'announce.undone':          'Undone',
+  'announce.redone':          'Redone',
+  'announce.allCompleted':    'All todos marked complete',
+  'announce.allActive':       'All todos marked active',
+  'announce.cleared':         '{count, plural, one {# item} other {# items}} cleared',
+  'announce.indented':        'Made a subtask',
+  'announce.outdented':       'Made a todo',
+  'announce.moved':           '{direction, select, up {Moved up} other {Moved down}}',
+  'announce.completed':       '{item, select, step {Step completed} other {Todo completed}}',
+  'announce.reopened':        '{item, select, step {Step reopened} other {Todo reopened}}',
+  'announce.deleted':         '{item, select, step {Step deleted} other {Todo deleted}}',
+  'announce.bulkCompleted':   '{count, plural, one {# todo} other {# todos}} completed',
+  'announce.bulkReopened':    '{count, plural, one {# todo} other {# todos}} reopened',
+  'announce.bulkDeleted':     '{count, plural, one {# todo} other {# todos}} deleted',
+  'announce.bulkTagged':      '{count, plural, one {# todo} other {# todos}} tagged {tags}',
+  'announce.bulkMoved':       '{count, plural, one {# todo} other {# todos}} moved to {list}',
+  'announce.repeated':        'Todo completed, next one due {due}',
+}
@@ -0,0 +1,59 @@
+import { formatMessage, formatMessageParts } from '../lib/i18n'
+import en from './en'
+import de from './de'
+import ja from './ja'
+import ar from './ar'
+
+// languages the app is translated into
+//  - `name` is shown in the language picker, in the language itself
+//  - `dir` is the direction the language is written in ('rtl' lays the app out from right to left)
+//  - add a language by copying ./en, translating its messages, and adding it here
+export const LOCALES = {
+  en: { name: 'English',  dir: 'ltr', messages: en },
+  de: { name: 'Deutsch',  dir: 'ltr', messages: de },
+  ja: { name: '日本語',   dir: 'ltr', messages: ja },
+  ar: { name: 'العربية',  dir: 'rtl', messages: ar },
+}
+
+// language used when the browser doesn't ask for one of the languages above, and for missing messages
+export const DEFAULT_LOCALE = 'en'
+
+// find the message for an id, falling back to the default language and then to the id itself
+const message = (locale, id) => {
+  const { messages } = LOCALES[locale] || LOCALES[DEFAULT_LOCALE]
+  return messages[id] || LOCALES[DEFAULT_LOCALE].messages[id] || id
+}
+
+/**
+ * translate a message
+ *
+ * @param {String} locale language code (ex. 'de')
+ * @param {String} id id of the message (ex. 'footer.remaining')
+ * @param {Object} values values for the message's arguments (ex. { count: 3 })
+ * @return {String} the translated message (ex. '3 Aufgaben offen')
+ */
+export function translate(locale, id, values) {
+  return formatMessage(message(locale, id), values, locale)
+}
+
+/**
+ * translate a message into parts, so the values in it can be marked up (ex. wrapping a count in <strong>)
+ *
+ * @param {String} locale language code (ex. 'de')
+ * @param {String} id id of the message (ex. 'footer.remaining')
+ * @param {Object} values values for the message's arguments (ex. { count: 3 })
+ * @return {Array} strings and values like [{ name: 'count', value: '3' }, ' Aufgaben', ' offen'], see formatMessageParts() in ../lib/i18n
+ */
+export function translateParts(locale, id, values) {
+  return formatMessageParts(message(locale, id), values, locale)
+}
+
+/**
+ * get the direction a language is written in
+ *
+ * @param {String} locale language code
+ * @return {String} 'ltr' or 'rtl'
+ */
+export function direction(locale) {
+  return (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).dir
+}
@@ -0,0 +1,173 @@
+// Japanese messages (see ./en for the messages they're translated from)
+//  - Japanese doesn't change words for plurals, so plural messages only need the 'other' form
+export default {
+  // header
+  'app.title':                'やること',
+  'app.documentTitle':        '{count, plural, =0 {Cycle.js • TodoMVC} other {(残り # 件) Cycle.js • TodoMVC}}',
+  'app.newTodo':              '何をしますか？',
+  'app.newTodoLabel':         '新しいタスク',
+  'app.search':               '検索',
+  'app.searchLabel':          'タスクを検索',
+  'app.toggleAll':            'すべて完了にする',
+  'app.todoList':             'タスク',
+  'app.noResults':            '「{search}」に一致するタスクはありません',
+  'app.tags':                 'タグ',
+  'app.allTags':              'すべてのタグ',
+  'app.language':             '言語',
+
+  // visibility filters
+  'filter.label':             '表示',
+  'filter.all':               'すべて',
+  'filter.active':            '未完了',
+  'filter.completed':         '完了',
+  'filter.today':             '今日',
+  'filter.overdue':           '期限切れ',
+
+  // footer
+  'footer.remaining':         '残り {count, plural, other {# 件}}',
+  'footer.remainingMatching': '「{search}」に一致する残り {count, plural, other {# 件}}',
+  'footer.clearCompleted':    '完了したタスクを削除',
+  'footer.select':            '選択',
+  'footer.selectTitle':       'タスクを選択してまとめて変更します（Shift/Ctrl+クリックでも選択できます）',
+  'footer.reminders':         '{enabled, select, true {リマインダー オン} other {リマインダー オフ}}',
+  'footer.remindersTitle':    'タスクの期限が来たら通知を表示します',
+  'footer.sync':              '{status, select, synced {同期済み} pending {同期待ち} other {同期エラー}}',
+  'footer.theme':             'テーマ',
+  'footer.sort':              '並べ替え',
+  'footer.undo':              '元に戻す',
+  'footer.undoTitle':         '元に戻す (Ctrl+Z)',
+  'footer.redo':              'やり直す',
+  'footer.redoTitle':         'やり直す (Ctrl+Shift+Z)',
+
+  // themes (see ../themes)
+  'theme.system':             'システム',
+  'theme.light':              'ライト',
+  'theme.dark':               'ダーク',
+  'theme.high-contrast':      'ハイコントラスト',
+
+  // sort modes (see ../lib/sort)
+  'sort.manual':              '手動',
+  'sort.created':             '追加順',
+  'sort.priority':            '優先度',
+  'sort.title':               'タイトル順',
+  'sort.due':                 '期限順',
+
+  // priorities (see ../lib/priority)
+  'priority.low':             '低',
+  'priority.normal':          '中',
+  'priority.high':            '高',
+
+  // selection toolbar
+  'selection.count':          '{count} 件を選択中',
+  'selection.selectAll':      'すべて選択',
+  'selection.done':           '完了',
+  'selection.toolbar':        '選択したタスクを変更',
+  'selection.complete':       '完了にする',
+  'selection.uncomplete':     '未完了に戻す',
+  'selection.delete':         '削除',
+  'selection.tag':            '#タグを追加',
+  'selection.tagLabel':       '選択したタスクにタグを追加',
+  'selection.move':           '移動先...',
+  'selection.moveLabel':      '選択したタスクを別のリストに移動',
+
+  // offline use and updates (see ../lib/serviceWorkerDriver)
+  'offline.ready':            'オフラインで使えるようになりました',
+  'offline.updateReady':      '新しいバージョンがあります',
+  'offline.reload':           '再読み込み',
+  'offline.dismiss':          '後で',
+
+  // import and export
+  'transfer.import':          '読み込み',
+  'transfer.importTitle':     'JSON、CSV、Markdown ファイルからタスクを追加します（ここにファイルをドロップすることもできます）',
+  'transfer.export':          '書き出し',
+  'transfer.exportTitle':     '表示中のタスクを {format} でダウンロード',
+  'transfer.dismiss':         '閉じる',
+  'transfer.drop':            'ドロップして読み込み',
+  'transfer.imported':        '{added, plural, other {# 件のタスクを読み込みました}}{duplicates, plural, =0 {} other {（重複 # 件をスキップ）}}',
+  'transfer.readError':       '{name} を読み取れませんでした: {error}',
+  'transfer.importError':     '{name} を読み込めませんでした: {error}',
+
+  // keyboard shortcuts (see ../keymap)
+  'help.title':               'キーボードショートカット',
+  'help.close':               '閉じる',
+  'command.CURSOR_DOWN':      '次のタスクへ移動',
+  'command.CURSOR_UP':        '前のタスクへ移動',
+  'command.TOGGLE':           'タスクを完了または未完了にする',
+  'command.EDIT':             'タスクを編集',
+  'command.PRIORITY':         'タスクの優先度を変更',
+  'command.DESTROY':          'タスクを削除',
+  'command.FOCUS_NEW_TODO':   '新しいタスクを追加',
+  'command.SHOW_ALL':         'すべてのタスクを表示',
+  'command.SHOW_ACTIVE':      '未完了のタスクを表示',
+  'command.SHOW_COMPLETED':   '完了したタスクを表示',
+  'command.SHOW_TODAY':       '今日が期限のタスクを表示',
+  'command.SHOW_OVERDUE':     '期限切れのタスクを表示',
+  'command.HELP':             'このヘルプを表示または非表示',
+
+  // todos
+  'todo.select':              '「{title}」を選択',
+  'todo.selectTitle':         '選択',
+  'todo.complete':            '「{title}」を完了',
+  'todo.indent':              '「{title}」を上のタスクのサブタスクにする',
+  'todo.indentTitle':         '上のタスクのサブタスクにする (Alt+→)',
+  'todo.priority':            '「{title}」の優先度を変更 (現在: {priority})',
+  'todo.priorityTitle':       '優先度を変更 (P)',
+  'todo.delete':              '「{title}」を削除',
+  'todo.edit':                'タスクを編集',
+  'todo.due':                 '期限',
+  'todo.progress':            '{total, plural, other {# ステップ}}中 {done, number} 完了',
+  'todo.steps':               '「{title}」のステップ',
+  'todo.newStep':             'ステップを追加',
+  'todo.newStepLabel':        '「{title}」にステップを追加',
+
+  // subtasks
+  'step.complete':            '「{title}」を完了',
+  'step.outdent':             '「{title}」を独立したタスクにする',
+  'step.outdentTitle':        '独立したタスクにする (Alt+←)',
+  'step.delete':              '「{title}」を削除',
+  'step.edit':                'ステップを編集',
+
+  // list switcher
+  'lists.title':              'リスト',
+  'lists.default':            'タスク',
+  'lists.rename':             '名前を変更',
+  'lists.renameTitle':        'リスト名を変更',
+  'lists.renameLabel':        '{name} の名前を変更',
+  'lists.deleteTitle':        'リストを削除',
+  'lists.deleteLabel':        '{name} を削除',
+  'lists.name':               'リスト名',
+  'lists.new':                '新しいリスト',
+  'lists.confirmDelete':      'このリストとすべてのタスクを削除しますか？',
+
+  // due dates
+  'due.today':                '今日',
+  'due.tomorrow':             '明日',
+  'due.yesterday':            '昨日',
+  'due.reminder':             '期限: {due}',
+
+  // recurring todos
+  'repeat.day':               '{interval, plural, =1 {毎日} other {# 日ごと}}',
+  'repeat.week':              '{interval, plural, =1 {毎週} other {# 週間ごと}}',
+  'repeat.month':             '{interval, plural, =1 {毎月} other {# か月ごと}}',
+  'repeat.weekdays':          '毎週 {days}',
+
+  // messages read out by screen readers
+  'announce.added':           'タスクを追加しました',
+  'announce.undone':          '元に戻しました',
+  'announce.redone':          'やり直しました',
+  'announce.allCompleted':    'すべてのタスクを完了にしました',
+  'announce.allActive':       'すべてのタスクを未完了にしました',
+  'announce.cleared':         '{count, plural, other {# 件}}を削除しました',
+  'announce.indented':        'サブタスクにしました',
+  'announce.outdented':       'タスクにしました',
+  'announce.moved':           '{direction, select, up {上に移動しました} other {下に移動しました}}',
+  'announce.completed':       '{item, select, step {ステップを完了しました} other {タスクを完了しました}}',
+  'announce.reopened':        '{item, select, step {ステップを未完了に戻しました} other {タスクを未完了に戻しました}}',
+  'announce.deleted':         '{item, select, step {ステップを削除しました} other {タスクを削除しました}}',
+  'announce.bulkCompleted':   '{count, plural, other {# 件のタスク}}を完了にしました',
+  'announce.bulkReopened':    '{count, plural, other {# 件のタスク}}を未完了に戻しました',
+  'announce.bulkDeleted':     '{count, plural, other {# 件のタスク}}を削除しました',
+  'announce.bulkTagged':      '{count, plural, other {# 件のタスク}}に {tags} を付けました',
+  'announce.bulkMoved':       '{count, plural, other {# 件のタスク}}を {list} に移動しました',
+  'announce.repeated':        'タスクを完了しました。次の期限: {due}',
+}
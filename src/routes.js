@@ -0,0 +1,84 @@
+import { toPath } from './lib/routerDriver'
+import { DEFAULT_LIST } from './lib/lists'
+
+// how routes appear in the url
+//  - 'hash' keeps routes in the url hash (ex. '#/active') and works from any static file server
+//  - 'history' uses HTML5 pushState urls (ex. '/active'), which needs the server to serve index.html for every path
+export const MODE = 'hash'
+
+// route table for the ROUTER driver
+//  - routes are matched in order, and the ROUTER source emits objects like { name, params, query, path }
+//  - parameters start with a colon (ex. ':id'), and can be limited to certain values with a regular expression in brackets
+//  - any route can also filter by tag with a 'tag' query parameter (ex. '#/active?tag=work')
+//    and search todos with a 'q' query parameter (ex. '#/active?q=milk')
+//  - routes starting with '/list/:list' show the same pages for a named list (ex. '#/list/work/active'),
+//    the routes without it show the default list (see ./lib/lists)
+export const routes = {
+  home:           '/',
+  visibility:     '/:visibility(all|active|completed|today|overdue)',
+  todo:           '/todo/:id',
+  tag:            '/tag/:name',
+  list:           '/list/:list',
+  listVisibility: '/list/:list/:visibility(all|active|completed|today|overdue)',
+  listTodo:       '/list/:list/todo/:id',
+  listTag:        '/list/:list/tag/:name',
+}
+
+// names of the '/list/:list' version of each page
+const LIST_ROUTES = {
+  home:       'list',
+  visibility: 'listVisibility',
+  todo:       'listTodo',
+  tag:        'listTag',
+}
+
+/**
+ * build the href for a link to a named route
+ *
+ * @param {String} name name of the route in the route table
+ * @param {Object} params values for the route's parameters
+ * @param {Object} query optional query parameters
+ * @return {String} href for the current routing MODE (ex. '#/todo/3' or '/todo/3')
+ */
+export function href(name, params, query) {
+  return (MODE === 'hash' ? '#' : '') + toPath(routes, name, params, query)
+}
+
+/**
+ * build a navigation request for a page of a list
+ *
+ * @param {String} list id of the list
+ * @param {String} name name of the page's route without the list (ex. 'visibility')
+ * @param {Object} params values for the route's parameters
+ * @param {Object} query optional query parameters
+ * @return {Object} request for the ROUTER sink like { name: 'listVisibility', params: { list: 'work', visibility: 'active' }, query: {} }
+ */
+export function listRoute(list, name, params={}, query={}) {
+  if (list === DEFAULT_LIST) return { name, params, query }
+  return { name: LIST_ROUTES[name], params: { ...params, list }, query }
+}
+
+/**
+ * build the href for a page of a list
+ *
+ * @param {String} list id of the list
+ * @param {String} name name of the page's route without the list (ex. 'visibility')
+ * @param {Object} params values for the route's parameters
+ * @param {Object} query optional query parameters
+ * @return {String} href like '#/list/work/active', or '#/active' for the default list
+ */
+export function listHref(list, name, params={}, query) {
+  const route = listRoute(list, name, params, query)
+  return href(route.name, route.params, route.query)
+}
+
+/**
+ * split a route from the ROUTER driver into the page it shows and the list it shows it for
+ *
+ * @param {Object} route route like { name: 'listVisibility', params: { list: 'work', visibility: 'active' }, query: {} }
+ * @return {Object} the route with the page's `name` (ex. 'visibility') and a `list` field with the list's id
+ */
+export function parseListRoute(route) {
+  const name = Object.keys(LIST_ROUTES).find(page => LIST_ROUTES[page] === route.name) || route.name
+  return { ...route, name, list: route.params.list || DEFAULT_LIST }
+}
@@ -0,0 +1,62 @@
+import { isRepeat } from './lib/recurrence'
+import { isPriority, DEFAULT_PRIORITY } from './lib/priority'
+
+// versioned schemas for data saved by the STORE driver
+//  - bump the version and add a migration whenever the shape of stored data changes
+//  - migration functions are keyed by the version they upgrade TO, and receive the data from the previous version
+//  - version 0 is the original unversioned format (a bare array of todos)
+//  - keys like 'todos.work' (the todos of each list) use the schema of the part before the dot
+//  - see ./lib/storageSchema for details
+
+
+
+export const todos = {
+  version: 6,
+
+  migrations: {
+    // wrap the bare array in a versioned envelope (the todos themselves are unchanged)
+    1: todos => todos,
+    // add tags (existing titles are left alone so words like 'issue #42' don't turn into tags)
+    2: todos => todos.map(todo => ({ ...todo, tags: [] })),
+    // add due dates (existing todos have none)
+    3: todos => todos.map(todo => ({ ...todo, due: null })),
+    // add subtasks (existing todos have none)
+    4: todos => todos.map(todo => ({ ...todo, subtasks: [] })),
+    // add recurrence rules (existing todos don't repeat)
+    5: todos => todos.map(todo => ({ ...todo, repeat: null })),
+    // add priorities (existing todos have the default priority)
+    6: todos => todos.map(todo => ({ ...todo, priority: DEFAULT_PRIORITY })),
+  },
+
+  validate: todos => Array.isArray(todos) && todos.every(todo => (
+    todo !== null && typeof todo === 'object' &&
+    typeof todo.id === 'number' &&
+    typeof todo.title === 'string' &&
+    typeof todo.completed === 'boolean' &&
+    Array.isArray(todo.tags) && todo.tags.every(tag => typeof tag === 'string') &&
+    (todo.due === null || typeof todo.due === 'string') &&
+    (todo.repeat === null || isRepeat(todo.repeat)) &&
+    isPriority(todo.priority) &&
+    Array.isArray(todo.subtasks) && todo.subtasks.every(subtask => (
+      subtask !== null && typeof subtask === 'object' &&
+      typeof subtask.id === 'number' &&
+      typeof subtask.title === 'string' &&
+      typeof subtask.completed === 'boolean'
+    ))
+  )),
+}
+
+// named lists created by the user (the default list isn't stored)
+export const lists = {
+  version: 1,
+
+  migrations: {
+    1: lists => lists,
+  },
+
+  validate: lists => Array.isArray(lists) && lists.every(list => (
+    list !== null && typeof list === 'object' &&
+    typeof list.id === 'string' &&
+    typeof list.name === 'string'
+  )),
+}
@@ -0,0 +1,190 @@
+// accessibility checks for virtual DOM trees, run by the test suite so regressions are caught before they ship
+//  - modelled on the axe-core rules (https://dequeuniversity.com/rules/axe/) that apply to this app's markup
+//  - works on the vDom emitted by the DOM sink, so no browser is needed
+//  - each rule checks a single element, and `audit()` collects the problems for the whole tree like [{ rule: 'button-name', node: 'button.destroy' }]
+
+
+
+// roles that can be used in a `role` attribute
+const ROLES = [
+  'alert', 'alertdialog', 'application', 'article', 'banner', 'button', 'cell', 'checkbox', 'columnheader', 'combobox',
+  'complementary', 'contentinfo', 'definition', 'dialog', 'directory', 'document', 'feed', 'figure', 'form', 'grid',
+  'gridcell', 'group', 'heading', 'img', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu',
+  'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'navigation', 'none', 'note', 'option', 'presentation',
+  'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox',
+  'separator', 'slider', 'spinbutton', 'status', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox',
+  'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem',
+]
+
+// allowed values for aria attributes, attributes listed with `null` take any value
+const ARIA_ATTRIBUTES = {
+  'aria-activedescendant': null,
+  'aria-atomic':           ['true', 'false'],
+  'aria-busy':             ['true', 'false'],
+  'aria-checked':          ['true', 'false', 'mixed'],
+  'aria-controls':         null,
+  'aria-current':          ['page', 'step', 'location', 'date', 'time', 'true', 'false'],
+  'aria-describedby':      null,
+  'aria-disabled':         ['true', 'false'],
+  'aria-expanded':         ['true', 'false'],
+  'aria-haspopup':         ['true', 'false', 'menu', 'listbox', 'tree', 'grid', 'dialog'],
+  'aria-hidden':           ['true', 'false'],
+  'aria-invalid':          ['true', 'false', 'grammar', 'spelling'],
+  'aria-keyshortcuts':     null,
+  'aria-label':            null,
+  'aria-labelledby':       null,
+  'aria-level':            null,
+  'aria-live':             ['off', 'polite', 'assertive'],
+  'aria-modal':            ['true', 'false'],
+  'aria-pressed':          ['true', 'false', 'mixed'],
+  'aria-relevant':         null,
+  'aria-required':         ['true', 'false'],
+  'aria-selected':         ['true', 'false'],
+  'aria-valuemax':         null,
+  'aria-valuemin':         null,
+  'aria-valuenow':         null,
+  'aria-valuetext':        null,
+}
+
+// aria attributes that point at other elements by id
+const ID_REFERENCES = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-activedescendant']
+
+// input types that don't need a label (buttons are named by their value, hidden inputs aren't shown)
+const UNLABELLED_INPUTS = ['hidden', 'button', 'submit', 'reset', 'image']
+
+// element name of a vnode without its classes and id (ex. 'button' for 'button.destroy')
+const tagName = vnode => (vnode.sel || '').split(/[.#]/)[0]
+
+// attributes and properties of a vnode in one object, since snabbdom-pragma splits them up
+const attributes = vnode => ({ ...((vnode.data || {}).props || {}), ...((vnode.data || {}).attrs || {}) })
+
+// short description of a vnode for error messages (ex. 'button.destroy')
+const describe = vnode => {
+  const { className, id } = attributes(vnode)
+  return tagName(vnode) + (id ? '#' + id : '') + (className ? '.' + String(className).trim().split(/\s+/).join('.') : '')
+}
+
+// child vnodes of a vnode, leaving out text and empty children
+const childNodes = vnode => (vnode.children || []).filter(child => child && child.sel)
+
+// all text inside a vnode, which is what a screen reader would read out for it
+const textContent = vnode => {
+  if (!vnode) return ''
+  if (!vnode.sel) return vnode.text || ''
+  return (vnode.text || '') + (vnode.children || []).map(textContent).join('')
+}
+
+// walk a vDom tree, calling `fn(vnode, ancestors)` on every element
+const walk = (vnode, fn, ancestors=[]) => {
+  if (!vnode || !vnode.sel) return
+  fn(vnode, ancestors)
+  childNodes(vnode).forEach(child => walk(child, fn, [...ancestors, vnode]))
+}
+
+// check if an element has a name given by aria attributes or a title
+const hasAriaName = (attrs, ids) => {
+  if (attrs['aria-label'] && String(attrs['aria-label']).trim() !== '') return true
+  if (attrs['aria-labelledby'] && String(attrs['aria-labelledby']).split(/\s+/).every(id => ids.has(id))) return true
+  return !!attrs.title
+}
+
+// the rules, each one returns true if a vnode breaks it
+//  - `context` has the ids used in the tree, the ids pointed to by <label for="...">, and the vnode's ancestors
+const RULES = {
+
+  // buttons need text, or an aria-label for icon only buttons
+  'button-name': (vnode, { ids }) => {
+    if (tagName(vnode) !== 'button') return false
+    return !hasAriaName(attributes(vnode), ids) && textContent(vnode).trim() === ''
+  },
+
+  // links need text so it's clear where they go
+  'link-name': (vnode, { ids }) => {
+    const attrs = attributes(vnode)
+    if (tagName(vnode) !== 'a' || !attrs.href) return false
+    return !hasAriaName(attrs, ids) && textContent(vnode).trim() === ''
+  },
+
+  // form fields need a label, either a <label> around them or pointing at them, or an aria-label
+  'label': (vnode, { ids, labelled, ancestors }) => {
+    const attrs = attributes(vnode)
+    const tag   = tagName(vnode)
+    if (!['input', 'select', 'textarea'].includes(tag)) return false
+    if (tag === 'input' && UNLABELLED_INPUTS.includes(attrs.type)) return false
+    if (hasAriaName(attrs, ids)) return false
+    if (attrs.id && labelled.has(attrs.id)) return false
+    return !ancestors.some(ancestor => tagName(ancestor) === 'label')
+  },
+
+  // images need alternative text (an empty alt marks decorative images)
+  'image-alt': (vnode) => tagName(vnode) === 'img' && attributes(vnode).alt === undefined,
+
+  // roles have to be ones assistive technology knows about
+  'aria-roles': (vnode) => {
+    const { role } = attributes(vnode)
+    return role !== undefined && !ROLES.includes(role)
+  },
+
+  // aria attributes have to exist
+  'aria-valid-attr': (vnode) => Object.keys(attributes(vnode)).some(name => name.startsWith('aria-') && !ARIA_ATTRIBUTES.hasOwnProperty(name)),
+
+  // aria attributes have to have values they accept, and point at elements that exist
+  'aria-valid-attr-value': (vnode, { ids }) => {
+    const attrs = attributes(vnode)
+    return Object.keys(attrs).filter(name => ARIA_ATTRIBUTES.hasOwnProperty(name)).some(name => {
+      const value = String(attrs[name])
+      if (ID_REFERENCES.includes(name)) return !value.split(/\s+/).every(id => ids.has(id))
+      return ARIA_ATTRIBUTES[name] !== null && !ARIA_ATTRIBUTES[name].includes(value)
+    })
+  },
+
+  // a positive tabindex changes the tab order from the order things appear on the page
+  'tabindex': (vnode) => {
+    const attrs = attributes(vnode)
+    const value = attrs.tabindex !== undefined ? attrs.tabindex : attrs.tabIndex
+    return Number(value) > 0
+  },
+
+  // lists can only hold list items
+  'list': (vnode) => ['ul', 'ol'].includes(tagName(vnode)) && !attributes(vnode).role
+                     && childNodes(vnode).some(child => !['li', 'script', 'template'].includes(tagName(child))),
+
+  // list items have to be inside a list
+  'listitem': (vnode, { ancestors }) => {
+    const parent = ancestors[ancestors.length - 1]
+    return tagName(vnode) === 'li' && !(parent && (['ul', 'ol'].includes(tagName(parent)) || attributes(parent).role === 'list'))
+  },
+
+}
+
+/**
+ * check a vDom tree for accessibility problems
+ *
+ * @param {Object} vtree vnode to check, along with all of its children
+ * @param {Array} rules names of the rules to run (defaults to all of them)
+ * @return {Array} problems found like [{ rule: 'button-name', node: 'button.destroy' }], empty if there aren't any
+ *
+ * ids used more than once are reported under the 'duplicate-id' rule
+ */
+export function audit(vtree, rules=Object.keys(RULES)) {
+  const ids      = new Set()
+  const labelled = new Set()
+  const problems = []
+
+  // collect ids first so references to elements later in the tree can be checked
+  walk(vtree, vnode => {
+    const attrs = attributes(vnode)
+    if (attrs.id) {
+      if (ids.has(attrs.id)) problems.push({ rule: 'duplicate-id', node: describe(vnode) })
+      ids.add(attrs.id)
+    }
+    if (tagName(vnode) === 'label' && (attrs.for || attrs.htmlFor)) labelled.add(attrs.for || attrs.htmlFor)
+  })
+
+  walk(vtree, (vnode, ancestors) => {
+    rules.filter(rule => RULES[rule](vnode, { ids, labelled, ancestors }))
+         .forEach(rule => problems.push({ rule, node: describe(vnode) }))
+  })
+
+  return problems
+}
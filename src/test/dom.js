@@ -0,0 +1,232 @@
+import xs from 'xstream'
+
+// a mock DOM source that fires events on the vDom the app last rendered, so tests can click and type without a browser
+//  - events start on an element found in the vDom and bubble up through its parents, like they do on a page,
+//    so `DOM.select('.todo-list').events('click')` hears clicks on anything inside the list
+//  - elements are plain objects built from the vnodes, with the parts of the DOM API the app uses
+//    (matches(), closest(), getAttribute(), classList.contains(), the element's props, and so on)
+//  - isolated components only hear events from their own elements, and `DOM.select('document')` hears everything
+//  - selectors can be tags, classes, ids and attributes, combined and nested (ex. '.todo-list li.todo', 'input, button'),
+//    but not with '>' or pseudo-classes
+
+
+
+// split a selector list into selectors, each selector into the parts separated by spaces, and each part into simple selectors
+//  - 'ul li.todo, a' becomes [[[{ tag: 'UL' }], [{ tag: 'LI' }, { className: 'todo' }]], [[{ tag: 'A' }]]]
+const SIMPLE = /([#.]?[\w-]+|\*|\[[^\]]+\])/g
+
+const parseCompound = text => (text.match(SIMPLE) || []).map(simple => {
+  if (simple[0] === '.') return { className: simple.slice(1) }
+  if (simple[0] === '#') return { id: simple.slice(1) }
+  if (simple[0] === '[') {
+    const [name, value] = simple.slice(1, -1).split('=')
+    return { attribute: name.trim(), value: value && value.trim().replace(/^["']|["']$/g, '') }
+  }
+  return { tag: simple.toUpperCase() }
+})
+
+const parseSelector = selector => selector.split(',').map(part => part.trim().split(/\s+/).map(parseCompound))
+
+// check a single element against a part of a selector like 'li.todo'
+const matchesCompound = (el, compound) => compound.every(({ tag, className, id, attribute, value }) => {
+  if (tag) return tag === '*' || el.tagName === tag
+  if (className) return el.classList.contains(className)
+  if (id) return el.id === id
+  const actual = el.getAttribute(attribute)
+  return (value === undefined) ? actual !== null : actual === value
+})
+
+// check an element against a selector, finding ancestors for the parts before the last one (ex. '.todo-list' in '.todo-list li')
+const matchesParts = (el, parts) => {
+  if (!matchesCompound(el, parts[parts.length - 1])) return false
+  let rest     = parts.slice(0, -1)
+  let ancestor = el.parentNode
+  while (rest.length > 0 && ancestor) {
+    if (matchesCompound(ancestor, rest[rest.length - 1])) rest = rest.slice(0, -1)
+    ancestor = ancestor.parentNode
+  }
+  return rest.length === 0
+}
+
+const matches = (el, selector) => parseSelector(selector).some(parts => matchesParts(el, parts))
+
+// tag, id and classes of a vnode (ex. 'li.todo.todo-1')
+const tagOf     = vnode => (vnode.sel || '').split(/[#.]/)[0].toUpperCase()
+const classesOf = vnode => [
+  ...(vnode.sel || '').split('#')[0].split('.').slice(1),
+  ...String((vnode.data && vnode.data.props && vnode.data.props.className) || '').split(/\s+/),
+  ...Object.keys((vnode.data && vnode.data.class) || {}).filter(name => vnode.data.class[name]),
+].filter(Boolean)
+
+// the page the app is rendered into, which events bubble up to after the app's own elements
+const page = _ => ({
+  tagName:      'BODY',
+  parentNode:   null,
+  children:     [],
+  classList:    { contains: _ => false },
+  matches:      _ => false,
+  closest:      _ => null,
+  getAttribute: _ => null,
+  contains:     _ => true,
+  scopes:       [],
+})
+
+// build mock elements for a vnode and everything inside it
+//  - props like `value` and `checked` are copied onto the element, and `dataset` is read by getAttribute('data-*')
+//  - `scopes` lists the isolation scopes the element is inside of, outermost first
+const build = (vnode, parentNode, scopes) => {
+  const data    = vnode.data || {}
+  const props   = data.props || {}
+  const attrs   = data.attrs || {}
+  const dataset = data.dataset || {}
+  const classes = classesOf(vnode)
+  const isolate = [...scopes, ...(data.isolate || [])]
+
+  const el = {
+    ...props,
+    tagName:    tagOf(vnode),
+    id:         props.id || (vnode.sel || '').split('#')[1] || '',
+    className:  classes.join(' '),
+    dataset,
+    parentNode,
+    scopes:     isolate,
+    vnode,
+    textContent: '',
+    classList:  { contains: name => classes.includes(name) },
+    matches:    selector => matches(el, selector),
+    closest:    selector => {
+      let current = el
+      while (current && current.vnode) {
+        if (current.matches(selector)) return current
+        current = current.parentNode
+      }
+      return null
+    },
+    getAttribute: name => {
+      if (name.startsWith('data-') && dataset[name.slice(5)] !== undefined) return String(dataset[name.slice(5)])
+      if (attrs[name] !== undefined && attrs[name] !== false) return String(attrs[name])
+      if (props[name] !== undefined && props[name] !== false) return String(props[name])
+      return null
+    },
+    contains: other => {
+      let current = other
+      while (current && current !== el) current = current.parentNode
+      return current === el
+    },
+    getBoundingClientRect: _ => ({ top: 0, left: 0, width: 0, height: 0, bottom: 0, right: 0 }),
+  }
+
+  el.children = flatten(vnode.children).filter(child => child.sel).map(child => build(child, el, isolate))
+  el.children.forEach((child, index) => {
+    child.previousElementSibling = el.children[index - 1] || null
+    child.nextElementSibling     = el.children[index + 1] || null
+  })
+  el.textContent = (vnode.text || '') + flatten(vnode.children).map(child => child.sel ? '' : (child.text || '')).join('') + el.children.map(child => child.textContent).join('')
+  return el
+}
+
+// vnodes can be nested in arrays (ex. the DOM sink of a collection), and missing for components that render nothing
+const flatten = children => (children || []).reduce((acc, child) => Array.isArray(child) ? [...acc, ...flatten(child)] : [...acc, child], []).filter(Boolean)
+
+// list an element and everything inside it, in document order
+const descendants = el => el.children.reduce((acc, child) => [...acc, child, ...descendants(child)], [])
+
+// check if two lists of isolation scopes are the same
+const sameScopes = (a, b) => a.length === b.length && a.every((scope, index) => scope === b[index])
+
+/**
+ * make a mock DOM source and the functions used to drive it
+ *
+ * @return {Object}
+ *   - source: DOM source to give the app, with select(), events(), elements(), isolateSource() and isolateSink()
+ *   - render: call with each vDom the app sends to the DOM sink
+ *   - simulate: call with a selector, an event type and event fields to fire an event (see below)
+ *   - find: call with a selector to get the mock elements matching it in the last vDom
+ */
+export function makeMockDOM() {
+  let root = { ...page(), parentNode: page() }
+  const listeners = []
+
+  // the app can render a single vnode or an array of them (the DOM sink of a collection)
+  //  - the wrapper element isn't part of the app, so it's never the target of an event
+  const render = vtree => {
+    root = build({ sel: 'div', children: flatten([vtree]) }, page(), [])
+    root.vnode = null
+  }
+
+  const find = selector => descendants(root).filter(el => el.matches(selector))
+
+  const makeSource = (selectors, scopes) => ({
+    select: selector => makeSource([...selectors, selector], scopes),
+
+    // events are sent to this stream by simulate()
+    events: type => {
+      const stream = xs.create()
+      listeners.push({ type, selectors, scopes, stream })
+      return stream
+    },
+
+    elements: _ => xs.of(find(selectors.join(' ')).filter(el => sameScopes(el.scopes, scopes))).remember(),
+
+    // isolated components get their own scope, which their elements are tagged with by isolateSink()
+    isolateSource: (source, scope) => makeSource(selectors, [...scopes, scope]),
+    isolateSink:   (sink, scope) => sink.map(vtree => tagScope(vtree, scope)),
+  })
+
+  /**
+   * fire an event on the first element matching a selector, which bubbles up to the page
+   *
+   * @param {String} selector CSS selector of the element (ex. '.todo-2 .toggle'), or 'document' for events on the page itself
+   * @param {String} type event type (ex. 'click', 'keydown')
+   * @param {Object} fields fields to set on the event (ex. { keyCode: 13 }), `target` fields are set on the element (ex. { target: { value: 'Buy milk' } })
+   * @return {Object} the event, so tests can check if its default was prevented
+   */
+  const simulate = (selector, type, { target: targetFields={}, ...fields }={}) => {
+    const found = (selector === 'document') ? [root.parentNode] : find(selector)
+    if (found.length === 0) throw new Error(`no element matches '${ selector }' for a '${ type }' event`)
+    const target = Object.assign(found[0], targetFields)
+
+    const event = {
+      type,
+      target,
+      currentTarget:    null,
+      defaultPrevented: false,
+      preventDefault()  { event.defaultPrevented = true },
+      stopPropagation() {},
+      ...fields,
+    }
+
+    // the elements the event bubbles through, starting with its target
+    const path = []
+    let el = target
+    while (el) {
+      path.push(el)
+      el = el.parentNode
+    }
+
+    listeners.filter(listener => listener.type === type).forEach(({ selectors, scopes, stream }) => {
+      if (selectors[0] === 'document') {
+        event.currentTarget = root.parentNode
+        return stream.shamefullySendNext(event)
+      }
+      const selector = selectors.join(' ')
+      const owner = path.find(el => el.vnode && sameScopes(el.scopes, scopes) && el.matches(selector))
+      if (!owner) return
+      event.currentTarget = owner
+      stream.shamefullySendNext(event)
+    })
+    return event
+  }
+
+  return { source: makeSource([], []), render, simulate, find }
+}
+
+// tag the top level vnodes of an isolated component with its scope
+//  - vnodes are copied, since the same vnode is sent again when a collection item doesn't change
+//  - scopes are added outermost first, and a collection is isolated after its items, so its scope goes in front
+const tagScope = (vtree, scope) => {
+  if (Array.isArray(vtree)) return vtree.map(vnode => tagScope(vnode, scope))
+  if (!vtree || !vtree.sel) return vtree
+  const data = vtree.data || {}
+  return { ...vtree, data: { ...data, isolate: [scope, ...(data.isolate || [])] } }
+}
@@ -0,0 +1,232 @@
+import xs from 'xstream'
+import { run } from '@cycle/run'
+import { withState } from '@cycle/state'
+import * as Snabbdom from 'snabbdom-pragma'
+import { makeMockDOM } from './dom'
+import { routes } from '../routes'
+import { match, toPath } from '../lib/routerDriver'
+import App from '../app'
+
+// helpers for running the app (or any component) in tests without a browser
+//  - every driver is replaced by a mock, so nothing is saved, synced, or rendered to a page
+//  - events are fired on the vDom the component renders (see ./dom.js), and what it sends to each driver is recorded
+//  - the vDom sent to the DOM sink is kept so it can be checked (see ./audit.js)
+
+
+
+// webpack provides the JSX pragma as a global in the browser (see configs/webpack.config.*.js)
+global.Snabbdom = Snabbdom
+
+// how long the component has to go without doing anything before it counts as settled
+//  - actions dispatched with next() run 10ms after the action that sent them
+const SETTLE_TIME = 50
+
+// how late the settle timer can fire and still count as a quiet spell
+//  - a timer firing later than this means the component was busy (ex. rendering a long list) and may have more to do
+const SETTLE_SLACK = 15
+
+// how long to keep waiting for the component to render its latest state
+//  - rendering new TODO components takes a few timers of its own, which the quiet spell can't see
+const RENDER_WAIT = 1000
+
+// sinks that aren't recorded in `sent`, since they're kept as the vDom and the state instead
+const UNRECORDED = ['DOM', 'STATE']
+
+const HOME = { name: 'home', params: {}, query: {} }
+
+// a stream that tests can send values into, and that emits the last one to new listeners
+const subject = _ => xs.create().remember()
+
+/**
+ * run a component with mock drivers, and drive it from a test
+ *
+ * @param {Function} Component component to run (ex. the APP from ../app, or the todo list from ../components/todos)
+ * @param {Object} options
+ *   - stored: values in the mock STORE by key (ex. { todos: [ ...todos ] }), values sent to the STORE sink are saved here too, and removed keys are deleted
+ *   - route: route emitted by the mock ROUTER, as an object or a path (defaults to the home page)
+ *   - locale: language emitted by the mock LOCALE driver (defaults to English)
+ *   - state: state to start with, for components that don't have an initialState of their own (ex. { todos: [ ...todos ] })
+ * @return {Object} the running component
+ *   - simulate(selector, type, fields): fire a DOM event on the first element matching a selector (see ./dom.js)
+ *   - find(selector): get the mock elements matching a selector in the last vDom
+ *   - emit(source, value, key): send a value from a mock driver, one of 'ROUTER', 'LOCALE', 'FILES', 'DOMFX', 'OFFLINE', 'SYNC.status', 'CLOCK',
+ *     or 'STORE.fromOtherTabs' and 'SYNC.remote' with the key the value is for
+ *   - settle(): returns a Promise that resolves once the component has gone SETTLE_TIME without doing anything
+ *   - dispose(): stop the component
+ *   - vtree: the last vDom sent to the DOM sink, and `renderedAt` the time it was sent
+ *   - state: the current state, and `states` every state there has been
+ *   - reducers: every reducer sent to the STATE sink
+ *   - sent: everything sent to the other sinks, by driver (ex. sent.DOMFX is [{ type: 'FOCUS', data: { selector: '.new-todo' } }])
+ *   - stored: the mock STORE's values
+ */
+export function mount(Component, { stored={}, route=HOME, locale='en', state }={}) {
+  const dom = makeMockDOM()
+  const harness = {
+    vtree:      undefined,
+    renderedAt: undefined,
+    state:      undefined,
+    states:     [],
+    reducers:   [],
+    sent:       {},
+    stored:     { ...stored },
+    simulate:   (...args) => dom.simulate(...args),
+    find:       selector => dom.find(selector),
+  }
+
+  // settle() waits for a quiet spell, which any render, state, or sink message starts again
+  //  - once the component has rendered, the spell also has to come after it rendered its latest state
+  let waiting = []
+  let timer
+  let changedAt
+  const touch = _ => {
+    clearTimeout(timer)
+    const due = Date.now() + SETTLE_TIME
+    timer = setTimeout(_ => {
+      if (Date.now() - due > SETTLE_SLACK) return touch()
+      if (harness.renderedAt < changedAt && Date.now() - changedAt < RENDER_WAIT) return touch()
+      const resolved = waiting
+      waiting = []
+      resolved.forEach(resolve => resolve(harness))
+    }, SETTLE_TIME)
+  }
+  harness.settle = _ => new Promise(resolve => {
+    waiting.push(resolve)
+    touch()
+  })
+
+  // values sent by the mock drivers, by source
+  const mocks = {
+    'ROUTER':              subject(),
+    'LOCALE':              subject(),
+    'FILES':               xs.create(),
+    'DOMFX':               xs.create(),
+    'OFFLINE':             xs.create(),
+    'SYNC.status':         xs.create(),
+    'CLOCK':               xs.create(),
+    'STORE.fromOtherTabs': {},
+    'SYNC.remote':         {},
+  }
+  const keyed = (name, key) => mocks[name][key] || (mocks[name][key] = xs.create())
+  harness.emit = (name, value, key) => {
+    const source = (key === undefined) ? mocks[name] : keyed(name, key)
+    source.shamefullySendNext(value)
+  }
+
+  // record what's sent to a sink, and pass it on to the mock driver
+  const record = name => sink$ => sink$.map(value => {
+    harness.sent[name] = [...(harness.sent[name] || []), value]
+    touch()
+    return value
+  })
+
+  const ignore = sink$ => { sink$.addListener({}) }
+
+  // the component's state and reducers are taken from the STATE source and sink
+  //  - components without an initialState start from the `state` option
+  const main = sources => {
+    sources.STATE.stream.addListener({ next: current => {
+      harness.state  = current
+      harness.states = [...harness.states, current]
+      changedAt = Date.now()
+      touch()
+    } })
+    const sinks   = Component(sources)
+    const initial = state ? xs.of(_ => state) : xs.empty()
+    const state$  = xs.merge(initial, sinks.STATE || xs.empty()).map(reducer => {
+      harness.reducers = [...harness.reducers, reducer]
+      return reducer
+    })
+    return { ...sinks, STATE: state$ }
+  }
+
+  // navigating sends the new route back out, like the real ROUTER does after the page's url changes
+  const toRoute = nav => (typeof nav === 'string') ? match(routes, nav) : match(routes, toPath(routes, nav.name, nav.params, nav.query))
+
+  const drivers = {
+    DOM:    vtree$ => {
+      vtree$.addListener({ next: latest => {
+        harness.vtree = latest
+        harness.renderedAt = Date.now()
+        dom.render(latest)
+        touch()
+      } })
+      return dom.source
+    },
+    DOMFX:  fx$ => {
+      ignore(fx$)
+      return mocks.DOMFX
+    },
+    THEME:  ignore,
+    NOTIFY: ignore,
+    STORE:  store$ => {
+      store$.addListener({ next: ({ key, value, remove }) => {
+        if (remove) delete harness.stored[key]
+        else harness.stored[key] = value
+      } })
+      return {
+        get:           (key, defaultValue) => xs.of(harness.stored.hasOwnProperty(key) ? harness.stored[key] : defaultValue),
+        fromOtherTabs: key => keyed('STORE.fromOtherTabs', key),
+      }
+    },
+    ROUTER: route$ => {
+      route$.addListener({ next: nav => {
+        try {
+          mocks.ROUTER.shamefullySendNext(toRoute(nav))
+        } catch (e) {
+          console.log(e.message)
+        }
+      } })
+      return mocks.ROUTER.startWith(toRoute(route)).remember()
+    },
+    SYNC:   sync$ => {
+      ignore(sync$)
+      return { remote: key => keyed('SYNC.remote', key), status: _ => mocks['SYNC.status'] }
+    },
+    FILES:  files$ => {
+      ignore(files$)
+      return mocks.FILES
+    },
+    OFFLINE: offline$ => {
+      ignore(offline$)
+      return mocks.OFFLINE
+    },
+    // the time only moves on when a test emits it, instead of every 30 seconds
+    CLOCK:  _ => ({ ticks: _ => mocks.CLOCK }),
+    // switching languages sends the new language back out, like the real LOCALE driver does once it's loaded
+    LOCALE: locale$ => xs.merge(locale$, mocks.LOCALE).startWith(locale).remember(),
+  }
+
+  // record every sink the drivers are given
+  const recorded = Object.keys(drivers).reduce((acc, name) => ({
+    ...acc,
+    [name]: UNRECORDED.includes(name) ? drivers[name] : sink$ => drivers[name](record(name)(sink$)),
+  }), {})
+
+  harness.dispose = run(withState(main, 'STATE'), recorded)
+  return harness
+}
+
+/**
+ * run the app with mock drivers and get what it renders
+ *
+ * @param {Object} options
+ *   - stored: values in the mock STORE by key (ex. { todos: [ ...todos ] })
+ *   - route: route emitted by the mock ROUTER (defaults to the home page)
+ *   - state: fields to set on the app's state once the stored todos are loaded (ex. { showHelp: true })
+ *   - locale: language emitted by the mock LOCALE driver (defaults to English)
+ * @return {Promise} resolves to the last vDom rendered by the app
+ */
+export function render({ stored={}, route=HOME, state={}, locale='en' }={}) {
+  // set the extra state fields after the app has loaded
+  const Preset = sources => {
+    const sinks = App(sources)
+    const override$ = sources.STATE.stream.filter(current => current.loaded).take(1).map(_ => current => ({ ...current, ...state }))
+    return { ...sinks, STATE: xs.merge(sinks.STATE, override$) }
+  }
+
+  const app = mount(Preset, { stored, route, locale })
+  return app.settle().then(_ => {
+    app.dispose()
+    return app.vtree
+  })
+}
@@ -0,0 +1,8 @@
+// themes the app can be shown in, in the order they're listed in the theme picker
+//  - the colors of each theme are CSS custom properties in public/themes.css, picked by the `data-theme` attribute of the page
+//  - 'system' follows the operating system's setting (prefers-color-scheme, and prefers-contrast for high contrast)
+//  - their names are in the message catalogue as 'theme.<name>' (ex. 'theme.dark', see ./locales)
+export const THEMES = ['system', 'light', 'dark', 'high-contrast']
+
+// theme used until one is picked
+export const DEFAULT_THEME = 'system'